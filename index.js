@@ -1,11 +1,31 @@
 import { Server } from "duwende";
+import { readFile } from "fs/promises";
+import { SqlTool } from "./tools/sql_tool.js";
 
 console.log("Current working directory:", process.cwd());
 
+// Applies pending schema migrations when config.json enables them on startup.
+async function runMigrations() {
+  const config = JSON.parse(await readFile("config.json", "utf8"));
+  const { database, migrations } = config;
+  if (!database || !migrations?.runOnStartup) return;
+
+  const sqlTool = new SqlTool({ ...database, migrationsDir: migrations.directory, allowMigrations: true });
+  try {
+    const result = await sqlTool.use({ action: "migrate" });
+    if (result.status !== 200) {
+      throw new Error(result.content.error);
+    }
+    console.log(`Applied ${result.content.applied.length} migration(s)`);
+  } finally {
+    sqlTool.cleanup();
+  }
+}
+
 const duwende = new Server();
 
-duwende
-  .start()
+runMigrations()
+  .then(() => duwende.start())
   .then(() => {
     console.log("Duwende server started successfully");
   })
@@ -5,6 +5,12 @@ export class User extends Resource {
     super(hostname, service, name, config);
     this.greetingTool = Resource.tools['greeting_tool'].tool;
     this.mustacheTool = Resource.tools['mustache_tool'].tool;
+
+    // Handlers listed in the "auth" config (e.g. { "handlePost": ["admin"] }) require a valid JWT.
+    if (this.config?.auth) {
+      const authGuard = new (Resource.tools['auth_guard_tool'].tool)({ rules: this.config.auth, jwt: this.config.jwt });
+      authGuard.use({ action: 'protect', resource: this });
+    }
   }
 
   async handleGet(request, id) {
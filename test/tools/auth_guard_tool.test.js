@@ -0,0 +1,152 @@
+import { describe, expect, test, beforeEach } from "bun:test";
+import { Tool } from 'duwende';
+import { AuthGuardTool } from '../../tools/auth_guard_tool.js';
+import { JWTTool } from '../../tools/jwt_tool.js';
+
+const jwtConfig = { secretKey: 'guard_secret' };
+
+class Articles {
+    async handleGet(request, id) {
+        return Response.json({ id, viewer: request.auth?.claims.sub ?? null });
+    }
+
+    async handlePost(request) {
+        return Response.json({ created: true, by: request.auth.claims.sub }, { status: 201 });
+    }
+
+    async renderGet(request, id) {
+        return new Response(`<p>${id}</p>`, { headers: { 'Content-Type': 'text/html' } });
+    }
+}
+
+describe('AuthGuardTool', () => {
+    let signer;
+
+    const tokenFor = async (payload) => (await signer.use({ action: 'sign', payload, expiresIn: '5m' })).content;
+    const request = (token, options = {}) => new Request('http://localhost/api/articles/1?draft=true', {
+        ...options,
+        headers: token ? { authorization: `Bearer ${token}` } : {}
+    });
+
+    beforeEach(() => {
+        signer = new JWTTool(jwtConfig);
+    });
+
+    test("should properly extend Tool class", () => {
+        expect(AuthGuardTool.prototype instanceof Tool).toBe(true);
+    });
+
+    test('should only wrap handlers that have a rule', async () => {
+        const resource = new Articles();
+        const guard = new AuthGuardTool({ rules: { handlePost: ['editor'], renderGet: true }, jwt: jwtConfig });
+
+        const result = await guard.use({ action: 'protect', resource });
+        expect(result.content.methods.sort()).toEqual(['handlePost', 'renderGet']);
+
+        const response = await resource.handleGet(request(), '1');
+        expect(await response.json()).toEqual({ id: '1', viewer: null });
+    });
+
+    test('should pass claims to the handler when the role matches', async () => {
+        const resource = new Articles();
+        new AuthGuardTool({ rules: { handlePost: ['admin', 'editor'] }, jwt: jwtConfig }).protect(resource);
+
+        const token = await tokenFor({ sub: 'ada', roles: ['editor'] });
+        const response = await resource.handlePost(request(token, { method: 'POST' }));
+
+        expect(response.status).toBe(201);
+        expect(await response.json()).toEqual({ created: true, by: 'ada' });
+    });
+
+    test('should answer 401 JSON with the verification code for handlers', async () => {
+        const resource = new Articles();
+        new AuthGuardTool({ rules: { '*': true }, jwt: jwtConfig }).protect(resource);
+
+        const missing = await resource.handleGet(request(), '1');
+        expect(missing.status).toBe(401);
+        expect(missing.headers.get('content-type')).toBe('application/json');
+        expect(missing.headers.get('www-authenticate')).toBe('Bearer');
+        expect((await missing.json()).code).toBe('missing');
+
+        const { content: expiredToken } = await signer.use({ action: 'sign', payload: { exp: Math.floor(Date.now() / 1000) - 60 } });
+        const expired = await resource.handleGet(request(expiredToken), '1');
+        expect(expired.status).toBe(401);
+        expect(expired.headers.get('www-authenticate')).toBe('Bearer error="invalid_token"');
+        expect(await expired.json()).toMatchObject({ error: 'Unauthorized', code: 'expired' });
+    });
+
+    test('should answer 403 when the role or scopes are missing', async () => {
+        const resource = new Articles();
+        new AuthGuardTool({
+            rules: { handlePost: 'admin', handleGet: { scopes: ['articles:read', 'articles:list'] } },
+            jwt: jwtConfig
+        }).protect(resource);
+
+        const token = await tokenFor({ sub: 'ada', role: 'editor', scope: 'articles:read' });
+
+        const post = await resource.handlePost(request(token, { method: 'POST' }));
+        expect(post.status).toBe(403);
+        expect(await post.json()).toMatchObject({ error: 'Forbidden', code: 'insufficient-role' });
+
+        const get = await resource.handleGet(request(token), '1');
+        expect(get.status).toBe(403);
+        expect((await get.json()).message).toBe('Missing scopes: articles:list');
+    });
+
+    test('should answer with HTML for render methods', async () => {
+        const resource = new Articles();
+        new AuthGuardTool({ rules: { renderGet: ['admin'] }, jwt: jwtConfig }).protect(resource);
+
+        const response = await resource.renderGet(request(await tokenFor({ roles: ['<script>'] })), '1');
+        expect(response.status).toBe(403);
+        expect(response.headers.get('content-type')).toBe('text/html');
+        expect(await response.text()).toContain('<h1>403 Forbidden</h1>');
+    });
+
+    test('should redirect signed-out HTML requests to the login page', async () => {
+        const resource = new Articles();
+        new AuthGuardTool({ rules: { renderGet: true }, jwt: jwtConfig, loginUrl: '/login' }).protect(resource);
+
+        const response = await resource.renderGet(request(), '1');
+        expect(response.status).toBe(302);
+        expect(response.headers.get('location')).toBe('/login?next=%2Fapi%2Farticles%2F1%3Fdraft%3Dtrue');
+    });
+
+    test('should read the token from the cookie header', async () => {
+        const resource = new Articles();
+        new AuthGuardTool({ rules: { handleGet: true }, jwt: jwtConfig }).protect(resource);
+
+        const token = await tokenFor({ sub: 'grace' });
+        const response = await resource.handleGet(new Request('http://localhost/', { headers: { cookie: `jwt-token=${token}` } }), '1');
+        expect(await response.json()).toEqual({ id: '1', viewer: 'grace' });
+    });
+
+    test('should let public handlers opt out of a wildcard rule', async () => {
+        const guard = new AuthGuardTool({ rules: { '*': ['admin'], handleGet: false }, jwt: jwtConfig });
+
+        const result = await guard.use({ action: 'authorize', request: request(), method: 'handleGet' });
+        expect(result.status).toBe(200);
+        expect(result.content.allowed).toBe(true);
+    });
+
+    test('should report the denial status from the authorize action', async () => {
+        const guard = new AuthGuardTool({ rules: { handleDelete: ['admin'] }, jwt: jwtConfig });
+
+        const result = await guard.use({ action: 'authorize', request: request(), method: 'handleDelete' });
+        expect(result.status).toBe(401);
+        expect(result.content.allowed).toBe(false);
+    });
+
+    test('should refuse to start without a jwt secret or keys', () => {
+        expect(() => new AuthGuardTool({ rules: { handlePost: ['admin'] } }))
+            .toThrow('auth_guard_tool requires jwt.secretKey or jwt.keys');
+        expect(() => new AuthGuardTool({ rules: { handlePost: ['admin'] }, jwt: { issuer: 'https://auth.example.com' } }))
+            .toThrow('auth_guard_tool requires jwt.secretKey or jwt.keys');
+    });
+
+    test('should handle unsupported action', async () => {
+        const result = await new AuthGuardTool({ jwt: jwtConfig }).use({ action: 'unsupported' });
+        expect(result.status).toBe(400);
+        expect(result.content).toContain('Unsupported action');
+    });
+});
@@ -0,0 +1,110 @@
+import { describe, expect, test } from "bun:test";
+import { Tool } from 'duwende';
+import bcrypt from 'bcryptjs';
+import { mkdtemp, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import { BcryptTool } from '../../tools/bcrypt_tool.js';
+
+describe('BcryptTool', () => {
+    const longPassphrase = 'correct horse battery staple '.repeat(3);
+
+    test("should properly extend Tool class", () => {
+        expect(BcryptTool.prototype instanceof Tool).toBe(true);
+    });
+
+    test('should hash and compare passwords', async () => {
+        const tool = new BcryptTool({ saltRounds: 4 });
+        const { status, content: hash } = await tool.use({ action: 'hash', password: 'Tr0ub4dor&3' });
+
+        expect(status).toBe(200);
+        expect(bcrypt.getRounds(hash)).toBe(4);
+        expect((await tool.use({ action: 'compare', password: 'Tr0ub4dor&3', hash })).content).toBe(true);
+        expect((await tool.use({ action: 'compare', password: 'tr0ub4dor&3', hash })).content).toBe(false);
+    });
+
+    test('should validate passwords against the policy', async () => {
+        const tool = new BcryptTool({ passwordPolicy: { minLength: 10, requireDigit: true, minClasses: 3 } });
+
+        const weak = await tool.use({ action: 'validate', password: 'Password' });
+        expect(weak.status).toBe(400);
+        expect(weak.content.valid).toBe(false);
+        expect(weak.content.errors.map((error) => error.code)).toEqual(['too-short', 'missing-digit', 'too-few-classes', 'common-password']);
+
+        const strong = await tool.use({ action: 'validate', password: 'plum-Kettle-42' });
+        expect(strong).toEqual({ status: 200, content: { valid: true, errors: [] } });
+    });
+
+    test('should reject passwords containing user inputs', async () => {
+        const tool = new BcryptTool({});
+        const result = await tool.use({ action: 'validate', password: 'ada.lovelace1815', userInputs: ['Lovelace', 'al'] });
+        expect(result.content.errors).toEqual([{ code: 'contains-user-input', message: 'Password must not contain personal information' }]);
+    });
+
+    test('should use a custom denylist file', async () => {
+        const dir = await mkdtemp(path.join(tmpdir(), 'denylist-'));
+        try {
+            const file = path.join(dir, 'banned.txt');
+            await writeFile(file, '# banned\nAcmeCorp2024\n');
+            const tool = new BcryptTool({ passwordPolicy: { denylist: file } });
+
+            expect((await tool.use({ action: 'validate', password: 'acmecorp2024' })).content.errors[0].code).toBe('common-password');
+            expect((await tool.use({ action: 'validate', password: 'password123' })).status).toBe(200);
+        } finally {
+            await rm(dir, { recursive: true, force: true });
+        }
+    });
+
+    test('should report hashes with fewer rounds than configured', async () => {
+        const tool = new BcryptTool({ saltRounds: 5 });
+        const weaker = await bcrypt.hash('secret', 4);
+        const current = await bcrypt.hash('secret', 5);
+
+        expect(await tool.use({ action: 'needsRehash', hash: weaker })).toEqual({ status: 200, content: true });
+        expect(await tool.use({ action: 'needsRehash', hash: current })).toEqual({ status: 200, content: false });
+        expect(await tool.use({ action: 'needsRehash', hash: 'plain' })).toEqual({ status: 400, content: 'Error: Not a bcrypt hash' });
+    });
+
+    test('should reject passwords over 72 bytes instead of truncating them', async () => {
+        const tool = new BcryptTool({ saltRounds: 4 });
+
+        const hashed = await tool.use({ action: 'hash', password: longPassphrase });
+        expect(hashed).toEqual({ status: 400, content: 'Error: Password must be at most 72 bytes' });
+
+        const validated = await tool.use({ action: 'validate', password: longPassphrase });
+        expect(validated.content.errors.map((error) => error.code)).toEqual(['too-many-bytes']);
+
+        // Multi-byte characters count by their UTF-8 size.
+        expect((await tool.use({ action: 'hash', password: 'ß'.repeat(37) })).status).toBe(400);
+    });
+
+    test('should pre-hash long passwords so every byte counts', async () => {
+        const tool = new BcryptTool({ saltRounds: 4, longPasswords: 'prehash' });
+        const { content: hash } = await tool.use({ action: 'hash', password: longPassphrase });
+
+        expect((await tool.use({ action: 'compare', password: longPassphrase, hash })).content).toBe(true);
+        expect((await tool.use({ action: 'compare', password: `${longPassphrase}!`, hash })).content).toBe(false);
+        expect((await tool.use({ action: 'validate', password: longPassphrase })).status).toBe(200);
+    });
+
+    test('should apply the pepper before hashing', async () => {
+        const tool = new BcryptTool({ saltRounds: 4, pepper: 'server-side-secret' });
+        const { content: hash } = await tool.use({ action: 'hash', password: 'Tr0ub4dor&3' });
+
+        expect((await tool.use({ action: 'compare', password: 'Tr0ub4dor&3', hash })).content).toBe(true);
+        expect(await bcrypt.compare('Tr0ub4dor&3', hash)).toBe(false);
+
+        const otherPepper = new BcryptTool({ pepper: 'another-secret' });
+        expect((await otherPepper.use({ action: 'compare', password: 'Tr0ub4dor&3', hash })).content).toBe(false);
+
+        const { content: longHash } = await tool.use({ action: 'hash', password: longPassphrase });
+        expect((await tool.use({ action: 'compare', password: `${longPassphrase}!`, hash: longHash })).content).toBe(false);
+    });
+
+    test('should return 400 for missing passwords and unsupported actions', async () => {
+        const tool = new BcryptTool({});
+        expect(await tool.use({ action: 'hash' })).toEqual({ status: 400, content: 'Error: Password is required' });
+        expect(await tool.use({ action: 'encrypt', password: 'x' })).toEqual({ status: 400, content: 'Error: Unsupported action: encrypt' });
+        expect(() => new BcryptTool({ longPasswords: 'truncate' })).toThrow('Invalid longPasswords: truncate. Must be one of: reject, prehash');
+    });
+});
@@ -1,6 +1,18 @@
 import { describe, expect, test, beforeEach } from "bun:test";
 import { Tool } from 'duwende';
 import { JWTTool } from '../../tools/jwt_tool.js';
+import { SqlTool } from '../../tools/sql_tool.js';
+import { MemoryDenylistStore, SqlDenylistStore } from '../../tools/jwt/denylist.js';
+import { parseCookies, serializeCookie } from '../../tools/jwt/cookies.js';
+import { generateKeyPairSync } from 'crypto';
+
+function pemKeyPair(type, options = {}) {
+    return generateKeyPairSync(type, {
+        ...options,
+        publicKeyEncoding: { type: 'spki', format: 'pem' },
+        privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+    });
+}
 
 describe('JWTTool', () => {
     let jwtTool;
@@ -22,9 +34,9 @@ describe('JWTTool', () => {
             expect(tool.secretKey).toBe(customKey);
         });
 
-        test('should use default secret key if not provided', () => {
-            const tool = new JWTTool({});
-            expect(tool.secretKey).toBe('default_secret_key');
+        test('should require a secret key or keys', () => {
+            expect(() => new JWTTool({})).toThrow('jwt_tool requires a secretKey or keys');
+            expect(() => new JWTTool({ secretKey: '', keys: [] })).toThrow('jwt_tool requires a secretKey or keys');
         });
     });
 
@@ -142,7 +154,7 @@ describe('JWTTool', () => {
                 });
 
                 expect(result.status).toBe(401);
-                expect(result.content).toBe('Invalid token');
+                expect(result.content).toMatchObject({ error: 'Invalid token', code: 'malformed' });
             });
         });
 
@@ -178,6 +190,397 @@ describe('JWTTool', () => {
         });
     });
 
+    describe('Asymmetric Keys', () => {
+        const rsa = pemKeyPair('rsa', { modulusLength: 2048 });
+        const ec = pemKeyPair('ec', { namedCurve: 'P-256' });
+        const ed = pemKeyPair('ed25519');
+
+        const signAndVerify = async (key) => {
+            const tool = new JWTTool({ keys: [key] });
+            const signed = await tool.use({ action: 'sign', payload: testPayload, expiresIn: '5m' });
+            const decoded = await tool.use({ action: 'decode', token: signed.content });
+            const verified = await tool.use({ action: 'verify', token: signed.content });
+            return { decoded, verified };
+        };
+
+        test('should sign and verify with RS256', async () => {
+            const { decoded, verified } = await signAndVerify({ kid: 'rsa-1', algorithm: 'RS256', privateKey: rsa.privateKey });
+            expect(decoded.content.header).toMatchObject({ alg: 'RS256', kid: 'rsa-1' });
+            expect(verified.status).toBe(200);
+            expect(verified.content).toMatchObject(testPayload);
+        });
+
+        test('should sign and verify with ES256', async () => {
+            const { decoded, verified } = await signAndVerify({ kid: 'ec-1', algorithm: 'ES256', privateKey: ec.privateKey });
+            expect(decoded.content.header).toMatchObject({ alg: 'ES256', kid: 'ec-1' });
+            expect(verified.status).toBe(200);
+        });
+
+        test('should sign and verify with EdDSA', async () => {
+            const { decoded, verified } = await signAndVerify({ kid: 'ed-1', algorithm: 'EdDSA', privateKey: ed.privateKey });
+            expect(decoded.content.header).toMatchObject({ alg: 'EdDSA', kid: 'ed-1' });
+            expect(decoded.content.payload.exp - decoded.content.payload.iat).toBe(300);
+            expect(verified.status).toBe(200);
+            expect(verified.content).toMatchObject(testPayload);
+        });
+
+        test('should reject EdDSA tokens with a tampered payload', async () => {
+            const tool = new JWTTool({ keys: [{ kid: 'ed-1', algorithm: 'EdDSA', privateKey: ed.privateKey }] });
+            const { content: token } = await tool.use({ action: 'sign', payload: { role: 'user' } });
+            const [header, , signature] = token.split('.');
+            const forged = Buffer.from(JSON.stringify({ role: 'admin' })).toString('base64url');
+
+            const result = await tool.use({ action: 'verify', token: `${header}.${forged}.${signature}` });
+            expect(result.status).toBe(401);
+        });
+
+        test('should keep verifying tokens from a retired key after rotation', async () => {
+            const oldTool = new JWTTool({ keys: [{ kid: 'old', algorithm: 'ES256', privateKey: ec.privateKey }] });
+            const { content: oldToken } = await oldTool.use({ action: 'sign', payload: testPayload });
+
+            const rotated = new JWTTool({
+                keys: [
+                    { kid: 'new', algorithm: 'EdDSA', privateKey: ed.privateKey },
+                    { kid: 'old', algorithm: 'ES256', publicKey: ec.publicKey }
+                ]
+            });
+            const { content: newToken } = await rotated.use({ action: 'sign', payload: testPayload });
+
+            expect(jwtHeader(newToken).kid).toBe('new');
+            expect((await rotated.use({ action: 'verify', token: oldToken })).status).toBe(200);
+            expect((await rotated.use({ action: 'verify', token: newToken })).status).toBe(200);
+        });
+
+        test('should reject tokens signed by an unknown kid', async () => {
+            const other = new JWTTool({ keys: [{ kid: 'other', algorithm: 'ES256', privateKey: pemKeyPair('ec', { namedCurve: 'P-256' }).privateKey }] });
+            const { content: token } = await other.use({ action: 'sign', payload: testPayload });
+
+            const tool = new JWTTool({ keys: [{ kid: 'ec-1', algorithm: 'ES256', privateKey: ec.privateKey }] });
+            expect((await tool.use({ action: 'verify', token })).status).toBe(401);
+        });
+
+        test('should not accept an HMAC token signed with the public key', async () => {
+            const tool = new JWTTool({ keys: [{ kid: 'rsa-1', algorithm: 'RS256', publicKey: rsa.publicKey }] });
+            const hmac = new JWTTool({ keys: [{ kid: 'rsa-1', algorithm: 'HS256', secret: rsa.publicKey }] });
+            const { content: token } = await hmac.use({ action: 'sign', payload: testPayload });
+
+            expect((await tool.use({ action: 'verify', token })).status).toBe(401);
+        });
+
+        test('should publish only public keys in the JWKS', async () => {
+            const tool = new JWTTool({
+                keys: [
+                    { kid: 'rsa-1', algorithm: 'RS256', privateKey: rsa.privateKey },
+                    { kid: 'ed-1', algorithm: 'EdDSA', publicKey: ed.publicKey },
+                    { kid: 'hmac-1', algorithm: 'HS256', secret: 'shared' }
+                ]
+            });
+
+            const result = await tool.use({ action: 'jwks' });
+            expect(result.status).toBe(200);
+            expect(result.content.keys.map((key) => key.kid)).toEqual(['rsa-1', 'ed-1']);
+            expect(result.content.keys[0]).toMatchObject({ kty: 'RSA', alg: 'RS256', use: 'sig' });
+            expect(result.content.keys[0].d).toBeUndefined();
+            expect(result.content.keys[1]).toMatchObject({ kty: 'OKP', crv: 'Ed25519', alg: 'EdDSA' });
+        });
+
+        test('should reject keys that do not match their algorithm', () => {
+            expect(() => new JWTTool({ keys: [{ kid: 'bad', algorithm: 'ES256', privateKey: rsa.privateKey }] }))
+                .toThrow('ES256 cannot be used with a rsa key');
+        });
+
+        test('should refuse to sign when only public keys are configured', async () => {
+            const tool = new JWTTool({ keys: [{ kid: 'ec-1', algorithm: 'ES256', publicKey: ec.publicKey }] });
+            const result = await tool.use({ action: 'sign', payload: testPayload });
+
+            expect(result.status).toBe(400);
+            expect(result.content).toContain('No key available for signing');
+        });
+    });
+
+    describe('Refresh Tokens', () => {
+        let store;
+        let tool;
+
+        beforeEach(() => {
+            store = new MemoryDenylistStore();
+            tool = new JWTTool({ secretKey: testSecretKey, denylist: store, accessExpiresIn: '5m', refreshExpiresIn: '1d' });
+        });
+
+        test('should accept the same durations as sign', async () => {
+            const long = new JWTTool({ secretKey: testSecretKey, denylist: store, accessExpiresIn: '2 hours', refreshExpiresIn: '1.5d' });
+            const result = await long.use({ action: 'issuePair', payload: testPayload });
+
+            expect(result.status).toBe(200);
+            expect(result.content.expiresIn).toBe(7200);
+            const refresh = (await long.use({ action: 'decode', token: result.content.refreshToken })).content.payload;
+            expect(refresh.exp - refresh.iat).toBe(129600);
+        });
+
+        test('should reject unparseable durations at construction', () => {
+            expect(() => new JWTTool({ secretKey: testSecretKey, accessExpiresIn: 'soon' }))
+                .toThrow('"accessExpiresIn" should be a number of seconds or a timespan such as "15m"');
+            expect(() => new JWTTool({ secretKey: testSecretKey, maxAge: 'forever' }))
+                .toThrow('"maxAge" should be a number of seconds');
+        });
+
+        test('should issue an access and refresh token pair', async () => {
+            const result = await tool.use({ action: 'issuePair', payload: testPayload });
+
+            expect(result.status).toBe(200);
+            expect(result.content).toMatchObject({ tokenType: 'Bearer', expiresIn: 300 });
+
+            const verified = await tool.use({ action: 'verify', token: result.content.accessToken });
+            expect(verified.status).toBe(200);
+            expect(verified.content).toMatchObject({ ...testPayload, token_use: 'access' });
+            expect(verified.content.exp - verified.content.iat).toBe(300);
+        });
+
+        test('should not accept a refresh token as an access token', async () => {
+            const { content } = await tool.use({ action: 'issuePair', payload: testPayload });
+            const result = await tool.use({ action: 'verify', token: content.refreshToken });
+
+            expect(result.status).toBe(401);
+        });
+
+        test('should rotate refresh tokens and keep the original claims', async () => {
+            const first = await tool.use({ action: 'issuePair', payload: testPayload });
+            const second = await tool.use({ action: 'refresh', token: first.content.refreshToken });
+
+            expect(second.status).toBe(200);
+            expect(second.content.refreshToken).not.toBe(first.content.refreshToken);
+
+            const verified = await tool.use({ action: 'verify', token: second.content.accessToken });
+            expect(verified.content).toMatchObject(testPayload);
+            expect(verified.content.fam).toBe(jwtPayload(first.content.accessToken).fam);
+        });
+
+        test('should revoke the whole family when a refresh token is reused', async () => {
+            const first = await tool.use({ action: 'issuePair', payload: testPayload });
+            const second = await tool.use({ action: 'refresh', token: first.content.refreshToken });
+
+            const reused = await tool.use({ action: 'refresh', token: first.content.refreshToken });
+            expect(reused.status).toBe(401);
+            expect(reused.content).toMatchObject({ error: 'Refresh token reuse detected', code: 'reused' });
+
+            const access = await tool.use({ action: 'verify', token: second.content.accessToken });
+            expect(access.status).toBe(401);
+            expect(access.content.code).toBe('revoked');
+
+            const refresh = await tool.use({ action: 'refresh', token: second.content.refreshToken });
+            expect(refresh.status).toBe(401);
+        });
+
+        test('should reject revoked access tokens in verify', async () => {
+            const { content } = await tool.use({ action: 'issuePair', payload: testPayload });
+
+            const revoked = await tool.use({ action: 'revoke', token: content.accessToken });
+            expect(revoked.status).toBe(200);
+            expect(revoked.content.revoked).toBe(true);
+
+            const result = await tool.use({ action: 'verify', token: content.accessToken });
+            expect(result.status).toBe(401);
+            expect(result.content).toMatchObject({ error: 'Token has been revoked', code: 'revoked' });
+        });
+
+        test('should log out the family when a refresh token is revoked', async () => {
+            const { content } = await tool.use({ action: 'issuePair', payload: testPayload });
+            await tool.use({ action: 'revoke', token: content.refreshToken });
+
+            expect((await tool.use({ action: 'verify', token: content.accessToken })).status).toBe(401);
+            expect((await tool.use({ action: 'refresh', token: content.refreshToken })).status).toBe(401);
+        });
+
+        test('should refuse to revoke tokens without a jti', async () => {
+            const { content: token } = await tool.use({ action: 'sign', payload: testPayload });
+            const result = await tool.use({ action: 'revoke', token });
+
+            expect(result.status).toBe(400);
+            expect(result.content).toContain('jti');
+        });
+
+        test('should share revocations through a sql_tool-backed store', async () => {
+            const sqlTool = new SqlTool({ type: 'sqlite', dbPath: ':memory:' });
+            await sqlTool.initialize();
+            const denylist = new SqlDenylistStore({ sqlTool });
+
+            const issuer = new JWTTool({ secretKey: testSecretKey, denylist });
+            const { content } = await issuer.use({ action: 'issuePair', payload: testPayload });
+            await issuer.use({ action: 'refresh', token: content.refreshToken });
+
+            const other = new JWTTool({ secretKey: testSecretKey, denylist: new SqlDenylistStore({ sqlTool }) });
+            const reused = await other.use({ action: 'refresh', token: content.refreshToken });
+            expect(reused.content.code).toBe('reused');
+
+            sqlTool.cleanup();
+        });
+
+        test('should share named denylist stores only between identical configurations', () => {
+            const memory = new JWTTool({ secretKey: testSecretKey, denylist: { type: 'memory', name: 'jwt-shared-test' } });
+            const again = new JWTTool({ secretKey: testSecretKey, denylist: { type: 'memory', name: 'jwt-shared-test' } });
+            expect(again.denylist).toBe(memory.denylist);
+
+            new JWTTool({ secretKey: testSecretKey, denylist: { type: 'sql', name: 'jwt-db-test', database: { type: 'sqlite', dbPath: 'a.db' } } });
+            expect(() => new JWTTool({ secretKey: testSecretKey, denylist: { type: 'sql', name: 'jwt-db-test', database: { type: 'sqlite', dbPath: 'b.db' } } }))
+                .toThrow('The denylist store "jwt-db-test" is already configured with different options');
+        });
+
+        test('should let denylist entries lapse when they expire', async () => {
+            const past = Math.floor(Date.now() / 1000) - 1;
+            expect(await store.add('expired', past)).toBe(true);
+            expect(await store.has('expired')).toBe(false);
+            expect(await store.add('expired', null)).toBe(true);
+            expect(await store.add('expired', null)).toBe(false);
+        });
+    });
+
+    describe('Claim Validation', () => {
+        const sign = (payload, expiresIn) => jwtTool.use({ action: 'sign', payload, expiresIn });
+        const now = () => Math.floor(Date.now() / 1000);
+
+        test('should report expired tokens', async () => {
+            const { content: token } = await sign({ ...testPayload, exp: now() - 10 });
+            const result = await jwtTool.use({ action: 'verify', token });
+
+            expect(result.status).toBe(401);
+            expect(result.content.code).toBe('expired');
+        });
+
+        test('should accept recently expired tokens within the clock tolerance', async () => {
+            const { content: token } = await sign({ ...testPayload, exp: now() - 10 });
+            const result = await jwtTool.use({ action: 'verify', token, clockTolerance: 30 });
+
+            expect(result.status).toBe(200);
+        });
+
+        test('should report tokens that are not yet valid', async () => {
+            const { content: token } = await sign({ ...testPayload, nbf: now() + 60 });
+            const result = await jwtTool.use({ action: 'verify', token });
+
+            expect(result.content.code).toBe('not-yet-valid');
+        });
+
+        test('should report bad signatures', async () => {
+            const other = new JWTTool({ secretKey: 'another_secret' });
+            const { content: token } = await other.use({ action: 'sign', payload: testPayload });
+            const result = await jwtTool.use({ action: 'verify', token });
+
+            expect(result.content.code).toBe('bad-signature');
+        });
+
+        test('should enforce the configured issuer and audience', async () => {
+            const tool = new JWTTool({ secretKey: testSecretKey, issuer: 'https://auth.example.com', audience: ['api', 'admin'] });
+            const { content: good } = await tool.use({ action: 'sign', payload: { iss: 'https://auth.example.com', aud: 'api' } });
+            const { content: wrongAudience } = await tool.use({ action: 'sign', payload: { iss: 'https://auth.example.com', aud: 'web' } });
+            const { content: wrongIssuer } = await tool.use({ action: 'sign', payload: { iss: 'https://evil.example.com', aud: 'api' } });
+
+            expect((await tool.use({ action: 'verify', token: good })).status).toBe(200);
+            expect((await tool.use({ action: 'verify', token: wrongAudience })).content.code).toBe('wrong-audience');
+            expect((await tool.use({ action: 'verify', token: wrongIssuer })).content.code).toBe('wrong-issuer');
+        });
+
+        test('should let a call override the configured audience', async () => {
+            const tool = new JWTTool({ secretKey: testSecretKey, audience: 'api' });
+            const { content: token } = await tool.use({ action: 'sign', payload: { aud: 'web' } });
+
+            expect((await tool.use({ action: 'verify', token, audience: 'web' })).status).toBe(200);
+        });
+
+        test('should reject algorithms that are not allowed', async () => {
+            const { content: token } = await sign(testPayload);
+            const result = await jwtTool.use({ action: 'verify', token, algorithms: ['HS512'] });
+
+            expect(result.content.code).toBe('bad-algorithm');
+        });
+
+        test('should enforce maxAge from iat', async () => {
+            const { content: token } = await sign({ ...testPayload, iat: now() - 120 });
+            const result = await jwtTool.use({ action: 'verify', token, maxAge: '1m' });
+
+            expect(result.content).toMatchObject({ code: 'expired', message: 'maxAge exceeded' });
+        });
+
+        test('should require the configured claims', async () => {
+            const tool = new JWTTool({ secretKey: testSecretKey, requiredClaims: ['sub'] });
+            const { content: token } = await tool.use({ action: 'sign', payload: testPayload });
+            const result = await tool.use({ action: 'verify', token });
+
+            expect(result.content).toMatchObject({ code: 'missing-claim', message: 'jwt sub claim is required' });
+        });
+
+        test('should apply claim validation to EdDSA tokens', async () => {
+            const ed = pemKeyPair('ed25519');
+            const tool = new JWTTool({ keys: [{ kid: 'ed-1', algorithm: 'EdDSA', privateKey: ed.privateKey }], issuer: 'auth' });
+            const { content: token } = await tool.use({ action: 'sign', payload: { iss: 'other' } });
+
+            expect((await tool.use({ action: 'verify', token })).content.code).toBe('wrong-issuer');
+        });
+
+        test('should report tokens signed by an unknown key', async () => {
+            const ec = pemKeyPair('ec', { namedCurve: 'P-256' });
+            const signer = new JWTTool({ keys: [{ kid: 'a', algorithm: 'ES256', privateKey: ec.privateKey }] });
+            const verifier = new JWTTool({ keys: [{ kid: 'b', algorithm: 'ES256', privateKey: ec.privateKey }] });
+            const { content: token } = await signer.use({ action: 'sign', payload: testPayload });
+
+            expect((await verifier.use({ action: 'verify', token })).content.code).toBe('unknown-key');
+        });
+    });
+
+    describe('Cookies', () => {
+        test('should return a Set-Cookie header matching expiresIn when signing', async () => {
+            const tool = new JWTTool({ secretKey: testSecretKey, cookie: { name: 'session', domain: 'example.com', sameSite: 'strict' } });
+            const result = await tool.use({ action: 'sign', payload: testPayload, expiresIn: '1h', setCookie: true });
+
+            expect(result.status).toBe(200);
+            expect(typeof result.content.token).toBe('string');
+            expect(result.content.setCookie).toStartWith(`session=${result.content.token}; Max-Age=3600; Expires=`);
+            expect(result.content.setCookie).toEndWith('; Domain=example.com; Path=/; HttpOnly; Secure; SameSite=Strict');
+        });
+
+        test('should issue a session cookie for tokens without an expiry', async () => {
+            const result = await jwtTool.use({ action: 'sign', payload: testPayload, setCookie: true });
+
+            expect(result.content.setCookie).not.toContain('Max-Age');
+            expect(result.content.setCookie).toContain('jwt-token=');
+        });
+
+        test('should produce an expiring cookie on clear', async () => {
+            const tool = new JWTTool({ secretKey: testSecretKey, cookie: { path: '/app' } });
+            const result = await tool.use({ action: 'clear' });
+
+            expect(result.status).toBe(200);
+            expect(result.content.setCookie).toBe('jwt-token=; Max-Age=0; Expires=Thu, 01 Jan 1970 00:00:00 GMT; Path=/app; HttpOnly; Secure; SameSite=Lax');
+        });
+
+        test('should verify a token read from the cookie header among other cookies', async () => {
+            const { content: token } = await jwtTool.use({ action: 'sign', payload: testPayload });
+            const headers = new Headers({ cookie: `theme=dark; prefs="a=b"; jwt-token=${token}; other=1` });
+
+            const result = await jwtTool.use({ action: 'verify', cookies: true, headers });
+            expect(result.status).toBe(200);
+            expect(result.content).toMatchObject(testPayload);
+        });
+
+        test('should parse cookie headers per RFC 6265', () => {
+            expect(parseCookies('a=1;b=2 ;  c = 3')).toEqual({ a: '1', b: '2', c: '3' });
+            expect(parseCookies('quoted="hello world"; encoded=caf%C3%A9; bad=%E0%A4%A')).toEqual({
+                quoted: 'hello world',
+                encoded: 'café',
+                bad: '%E0%A4%A'
+            });
+            expect(parseCookies('first=1; first=2')).toEqual({ first: '1' });
+            expect(parseCookies('novalue; =empty; ok=yes; sp ace=no')).toEqual({ ok: 'yes' });
+            expect(parseCookies('token=a.b=c')).toEqual({ token: 'a.b=c' });
+            expect(parseCookies(undefined)).toEqual({});
+        });
+
+        test('should reject invalid cookie attributes', () => {
+            expect(() => serializeCookie('bad name', 'x')).toThrow('Invalid cookie name');
+            expect(() => serializeCookie('a', 'x', { sameSite: 'None', secure: false })).toThrow('must be secure');
+            expect(() => serializeCookie('a', 'x', { path: '/; Domain=evil.com' })).toThrow('Invalid cookie path');
+        });
+    });
+
     describe('Error Handling', () => {
         test('should handle unsupported action', async () => {
             const result = await jwtTool.use({
@@ -209,7 +612,7 @@ describe('JWTTool', () => {
             expect(schema.action).toBeDefined();
             expect(schema.action.type).toBe('string');
             expect(schema.action.required).toBe(true);
-            expect(schema.action.enum).toEqual(['sign', 'verify', 'decode']);
+            expect(schema.action.enum).toEqual(['sign', 'verify', 'decode', 'clear', 'jwks', 'issuePair', 'refresh', 'revoke']);
             
             expect(schema.payload).toBeDefined();
             expect(schema.payload.type).toBe('object');
@@ -253,3 +656,11 @@ describe('JWTTool', () => {
         });
     });
 });
+
+function jwtHeader(token) {
+    return JSON.parse(Buffer.from(token.split('.')[0], 'base64url').toString('utf8'));
+}
+
+function jwtPayload(token) {
+    return JSON.parse(Buffer.from(token.split('.')[1], 'base64url').toString('utf8'));
+}
@@ -0,0 +1,101 @@
+import { describe, expect, test } from "bun:test";
+import { Tool } from 'duwende';
+import bcrypt from 'bcryptjs';
+import { PasswordTool } from '../../tools/password_tool.js';
+import { identifyHash } from '../../tools/password/hashes.js';
+
+// Small costs keep the tests fast.
+const argon2 = { algorithm: 'argon2id', memoryCost: 1024, timeCost: 1 };
+const scrypt = { algorithm: 'scrypt', cost: 1024, blockSize: 8, parallelization: 1 };
+
+describe('PasswordTool', () => {
+    test("should properly extend Tool class", () => {
+        expect(PasswordTool.prototype instanceof Tool).toBe(true);
+    });
+
+    test('should hash with argon2id by default and encode the parameters', async () => {
+        const tool = new PasswordTool({ memoryCost: 1024, timeCost: 1 });
+        const { status, content: hash } = await tool.use({ action: 'hash', password: 'plum-Kettle-42' });
+
+        expect(status).toBe(200);
+        expect(hash).toStartWith('$argon2id$v=19$m=1024,t=1,p=1$');
+        expect(await tool.use({ action: 'verify', password: 'plum-Kettle-42', hash }))
+            .toEqual({ status: 200, content: { valid: true, algorithm: 'argon2id', needsRehash: false } });
+        expect((await tool.use({ action: 'verify', password: 'plum-kettle-42', hash })).content.valid).toBe(false);
+    });
+
+    test('should hash and verify with scrypt', async () => {
+        const tool = new PasswordTool(scrypt);
+        const { content: hash } = await tool.use({ action: 'hash', password: 'plum-Kettle-42' });
+
+        expect(hash).toMatch(/^\$scrypt\$ln=10,r=8,p=1\$[A-Za-z0-9+/]{22}\$[A-Za-z0-9+/]{43}$/);
+        expect((await tool.use({ action: 'verify', password: 'plum-Kettle-42', hash })).content)
+            .toEqual({ valid: true, algorithm: 'scrypt', needsRehash: false });
+        expect((await tool.use({ action: 'verify', password: 'wrong', hash })).content.valid).toBe(false);
+        expect(identifyHash(hash).params.cost).toBe(1024);
+    });
+
+    test('should verify any supported format regardless of the configured algorithm', async () => {
+        const scryptHash = (await new PasswordTool(scrypt).use({ action: 'hash', password: 'secret-1' })).content;
+        const argonHash = (await new PasswordTool(argon2).use({ action: 'hash', password: 'secret-2' })).content;
+        const bcryptHash = await bcrypt.hash('secret-3', 4);
+
+        const tool = new PasswordTool({ ...argon2, saltRounds: 4 });
+        expect((await tool.use({ action: 'verify', password: 'secret-1', hash: scryptHash })).content.valid).toBe(true);
+        expect((await tool.use({ action: 'verify', password: 'secret-2', hash: argonHash })).content.valid).toBe(true);
+        expect((await tool.use({ action: 'verify', password: 'secret-3', hash: bcryptHash })).content.valid).toBe(true);
+    });
+
+    test('should return a migrated hash when a bcrypt password matches', async () => {
+        const tool = new PasswordTool(argon2);
+        const legacy = await bcrypt.hash('plum-Kettle-42', 4);
+
+        const { content } = await tool.use({ action: 'verify', password: 'plum-Kettle-42', hash: legacy });
+        expect(content).toMatchObject({ valid: true, algorithm: 'bcrypt', needsRehash: true });
+        expect(content.rehash).toStartWith('$argon2id$');
+        expect((await tool.use({ action: 'verify', password: 'plum-Kettle-42', hash: content.rehash })).content.needsRehash).toBe(false);
+
+        const wrong = await tool.use({ action: 'verify', password: 'guess', hash: legacy });
+        expect(wrong.content).toEqual({ valid: false, algorithm: 'bcrypt', needsRehash: false });
+    });
+
+    test('should report hashes with weaker parameters', async () => {
+        const weak = (await new PasswordTool(argon2).use({ action: 'hash', password: 'x' })).content;
+        const stronger = new PasswordTool({ ...argon2, memoryCost: 2048 });
+
+        expect((await stronger.use({ action: 'needsRehash', hash: weak })).content).toBe(true);
+        expect((await new PasswordTool(argon2).use({ action: 'needsRehash', hash: weak })).content).toBe(false);
+
+        const scryptHash = (await new PasswordTool(scrypt).use({ action: 'hash', password: 'x' })).content;
+        expect((await new PasswordTool({ ...scrypt, cost: 2048 }).use({ action: 'needsRehash', hash: scryptHash })).content).toBe(true);
+        expect((await new PasswordTool(argon2).use({ action: 'needsRehash', hash: scryptHash })).content).toBe(true);
+    });
+
+    test('should apply the pepper to every algorithm', async () => {
+        for (const options of [argon2, scrypt, { algorithm: 'bcrypt', saltRounds: 4 }]) {
+            const peppered = new PasswordTool({ ...options, pepper: 'server-side-secret' });
+            const { content: hash } = await peppered.use({ action: 'hash', password: 'plum-Kettle-42' });
+
+            expect((await peppered.use({ action: 'verify', password: 'plum-Kettle-42', hash })).content.valid).toBe(true);
+            expect((await new PasswordTool(options).use({ action: 'verify', password: 'plum-Kettle-42', hash })).content.valid).toBe(false);
+        }
+    });
+
+    test('should validate passwords, with the byte limit only for bcrypt', async () => {
+        const longPassphrase = 'correct horse battery staple '.repeat(3);
+        expect((await new PasswordTool(argon2).use({ action: 'validate', password: longPassphrase })).status).toBe(200);
+        expect((await new PasswordTool(argon2).use({ action: 'validate', password: 'letmein' })).content.errors.map((error) => error.code))
+            .toEqual(['too-short', 'common-password']);
+
+        const bcryptTool = new PasswordTool({ algorithm: 'bcrypt' });
+        expect((await bcryptTool.use({ action: 'validate', password: longPassphrase })).content.errors[0].code).toBe('too-many-bytes');
+    });
+
+    test('should return 400 for unknown hashes and invalid input', async () => {
+        const tool = new PasswordTool(argon2);
+        expect(await tool.use({ action: 'verify', password: 'x', hash: '$md5$abc' })).toEqual({ status: 400, content: 'Error: Unsupported hash format' });
+        expect(await tool.use({ action: 'hash' })).toEqual({ status: 400, content: 'Error: Password is required' });
+        expect(await tool.use({ action: 'encrypt' })).toEqual({ status: 400, content: 'Error: Unsupported action: encrypt' });
+        expect(() => new PasswordTool({ algorithm: 'md5' })).toThrow('Unsupported algorithm: md5. Must be one of: argon2id, scrypt, bcrypt');
+    });
+});
@@ -0,0 +1,139 @@
+import { describe, expect, test, beforeAll, afterAll } from "bun:test";
+import { Tool } from 'duwende';
+import { mkdtemp, rm, writeFile, utimes } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import { PolicyTool } from '../../tools/policy_tool.js';
+
+const policy = {
+    roles: {
+        user: {},
+        support: { inherits: ['user'] },
+        admin: { inherits: ['support'] }
+    },
+    rules: [
+        { id: 'admins-manage-users', effect: 'allow', roles: ['admin'], actions: ['*'], resources: ['user'] },
+        { id: 'support-reads-users', effect: 'allow', roles: ['support'], actions: ['GET', 'LIST'], resources: ['user'] },
+        { id: 'own-profile', effect: 'allow', roles: ['user'], actions: ['GET', 'PATCH'], resources: ['user'], when: { id: '$subject.sub' } },
+        { id: 'no-self-delete', effect: 'deny', actions: ['DELETE'], resources: ['user'], when: { id: '$subject.sub' } },
+        {
+            id: 'team-documents',
+            effect: 'allow',
+            roles: ['user'],
+            actions: ['GET'],
+            resources: ['document'],
+            when: {
+                any: [
+                    { 'attributes.ownerId': '$subject.sub' },
+                    { 'attributes.team': { in: '$subject.teams' }, 'attributes.level': { lte: 2 } }
+                ]
+            }
+        }
+    ]
+};
+
+describe('PolicyTool', () => {
+    const tool = new PolicyTool({ policy });
+    const ada = { sub: 'ada', roles: ['user'] };
+
+    test("should properly extend Tool class", () => {
+        expect(PolicyTool.prototype instanceof Tool).toBe(true);
+    });
+
+    test('should let users PATCH only their own user', async () => {
+        expect(await tool.can(ada, 'PATCH', 'user', 'ada')).toBe(true);
+        expect(await tool.can(ada, 'patch', 'user', 'bob')).toBe(false);
+        expect(await tool.can(ada, 'DELETE', 'user', 'ada')).toBe(false);
+        expect(await tool.can({}, 'GET', 'user', 'ada')).toBe(false);
+    });
+
+    test('should compare ids and claims by value', async () => {
+        expect(await tool.can({ sub: 42, role: 'user' }, 'GET', 'user', '42')).toBe(true);
+    });
+
+    test('should apply inherited roles and let deny rules win', async () => {
+        const admin = { sub: 'root', roles: 'admin' };
+        expect(await tool.can(admin, 'DELETE', 'user', 'bob')).toBe(true);
+        expect(await tool.can(admin, 'LIST', 'user')).toBe(true);
+        expect(await tool.can(admin, 'DELETE', 'user', 'root')).toBe(false);
+        expect(await tool.can({ sub: 'sam', roles: ['support'] }, 'PATCH', 'user', 'bob')).toBe(false);
+    });
+
+    test('should evaluate attribute conditions with operators and any', async () => {
+        const subject = { sub: 'ada', roles: ['user'], teams: ['blue', 'green'] };
+        expect(await tool.can(subject, 'GET', 'document', 7, { ownerId: 'ada', level: 5 })).toBe(true);
+        expect(await tool.can(subject, 'GET', 'document', 7, { ownerId: 'bob', team: 'blue', level: 2 })).toBe(true);
+        expect(await tool.can(subject, 'GET', 'document', 7, { ownerId: 'bob', team: 'blue', level: 3 })).toBe(false);
+        expect(await tool.can(subject, 'GET', 'document', 7, { ownerId: 'bob', team: 'red', level: 1 })).toBe(false);
+    });
+
+    test('should explain which rule decided and why the others did not match', async () => {
+        const allowed = await tool.use({ action: 'explain', subject: ada, operation: 'PATCH', resource: 'user', id: 'ada' });
+        expect(allowed.status).toBe(200);
+        expect(allowed.content).toMatchObject({ allowed: true, decision: 'allow', rule: 'own-profile', roles: ['user'] });
+
+        const denied = await tool.use({ action: 'explain', subject: ada, operation: 'PATCH', resource: 'user', id: 'bob' });
+        expect(denied.content).toMatchObject({ allowed: false, decision: 'default-deny', rule: null });
+        const reasons = Object.fromEntries(denied.content.trace.map((entry) => [entry.rule, entry.reason]));
+        expect(reasons['admins-manage-users']).toBe('requires one of the roles: admin');
+        expect(reasons['own-profile']).toBe('condition failed: id eq "ada" (was "bob")');
+        expect(reasons['no-self-delete']).toBe('action PATCH is not one of: DELETE');
+
+        const overridden = await tool.use({ action: 'can', explain: true, subject: { sub: 'root', roles: ['admin'] }, operation: 'DELETE', resource: 'user', id: 'root' });
+        expect(overridden.content).toMatchObject({ allowed: false, decision: 'deny', rule: 'no-self-delete' });
+    });
+
+    test('should answer the can action with only the decision', async () => {
+        const result = await tool.use({ action: 'can', subject: ada, operation: 'GET', resource: 'user', id: 'ada' });
+        expect(result).toEqual({ status: 200, content: { allowed: true } });
+    });
+
+    test('should reject invalid policies', () => {
+        expect(() => new PolicyTool({})).toThrow('Either policy or policyPath is required');
+        expect(() => new PolicyTool({ policy: { roles: { a: { inherits: ['b'] }, b: { inherits: ['a'] } }, rules: [] } }))
+            .toThrow('Circular role inheritance: a -> b -> a');
+        expect(() => new PolicyTool({ policy: { roles: { user: {} }, rules: [{ effect: 'allow', roles: ['editor'] }] } }))
+            .toThrow('Rule rule-1: unknown role editor');
+        expect(() => new PolicyTool({ policy: { rules: [{ effect: 'maybe' }] } }))
+            .toThrow('Rule rule-1: effect must be one of: allow, deny');
+        expect(() => new PolicyTool({ policy: { rules: [{ effect: 'allow', when: { id: { like: 'a%' } } }] } }))
+            .toThrow('Rule rule-1: unsupported operator like');
+    });
+
+    test('should return 400 for unsupported actions and missing arguments', async () => {
+        expect(await tool.use({ action: 'grant' })).toEqual({ status: 400, content: 'Error: Unsupported action: grant' });
+        expect((await tool.use({ action: 'can', subject: ada })).content).toBe('Error: An operation and a resource are required');
+    });
+
+    describe('policy files', () => {
+        let dir;
+        let file;
+
+        beforeAll(async () => {
+            dir = await mkdtemp(path.join(tmpdir(), 'policy-'));
+            file = path.join(dir, 'policy.json');
+        });
+
+        afterAll(async () => {
+            await rm(dir, { recursive: true, force: true });
+        });
+
+        test('should load the policy file and reload it when it changes', async () => {
+            await writeFile(file, JSON.stringify(policy));
+            const fromFile = new PolicyTool({ policyPath: file });
+            expect(await fromFile.can(ada, 'PATCH', 'user', 'ada')).toBe(true);
+
+            await writeFile(file, JSON.stringify({ rules: [] }));
+            await utimes(file, new Date(), new Date(Date.now() + 5000));
+            expect(await fromFile.can(ada, 'PATCH', 'user', 'ada')).toBe(false);
+        });
+
+        test('should report unreadable policy files', async () => {
+            await writeFile(file, '{ not json');
+            await utimes(file, new Date(), new Date(Date.now() + 10000));
+            const result = await new PolicyTool({ policyPath: file }).use({ action: 'can', subject: ada, operation: 'GET', resource: 'user' });
+            expect(result.status).toBe(400);
+            expect(result.content).toStartWith(`Error: Invalid policy file ${file}`);
+        });
+    });
+});
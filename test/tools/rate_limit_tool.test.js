@@ -0,0 +1,228 @@
+import { describe, expect, test, afterEach, setSystemTime } from "bun:test";
+import { Tool } from 'duwende';
+import { RateLimitTool } from '../../tools/rate_limit_tool.js';
+import { MemoryAttemptStore, SqlAttemptStore, createAttemptStore } from '../../tools/rate_limit/stores.js';
+import { SqlTool } from '../../tools/sql_tool.js';
+
+const start = new Date('2026-01-01T00:00:00Z').getTime();
+const at = (seconds) => setSystemTime(new Date(start + seconds * 1000));
+
+describe('RateLimitTool', () => {
+    afterEach(() => {
+        setSystemTime();
+    });
+
+    const limiter = (options = {}) => new RateLimitTool({
+        store: new MemoryAttemptStore(),
+        maxFailures: 5,
+        freeAttempts: 3,
+        baseDelay: 1,
+        maxDelay: 60,
+        lockout: '15m',
+        ...options
+    });
+
+    test("should properly extend Tool class", () => {
+        expect(RateLimitTool.prototype instanceof Tool).toBe(true);
+    });
+
+    test('should allow the free attempts without delay', async () => {
+        const tool = limiter();
+        at(0);
+        for (let i = 0; i < 2; i++) {
+            await tool.use({ action: 'fail', username: 'ada', ip: '10.0.0.1' });
+        }
+        expect(await tool.use({ action: 'check', username: 'ada', ip: '10.0.0.1' })).toEqual({ status: 200, content: { allowed: true } });
+    });
+
+    test('should back off exponentially after the free attempts', async () => {
+        const tool = limiter({ maxFailures: 10 });
+        at(0);
+        for (let i = 0; i < 3; i++) {
+            await tool.use({ action: 'fail', username: 'ada' });
+        }
+        expect(await tool.use({ action: 'check', username: 'ada' }))
+            .toEqual({ status: 429, content: { allowed: false, retryAfter: 1, reason: 'backoff', limitedBy: 'username' } });
+
+        at(1);
+        expect((await tool.use({ action: 'check', username: 'ada' })).status).toBe(200);
+        const failed = await tool.use({ action: 'fail', username: 'ada' });
+        expect(failed.content).toEqual({ failures: { username: 4 }, locked: false, retryAfter: 2 });
+
+        at(3);
+        await tool.use({ action: 'fail', username: 'ada' });
+        expect((await tool.use({ action: 'check', username: 'ada' })).content.retryAfter).toBe(4);
+    });
+
+    test('should cap the backoff at maxDelay', async () => {
+        const tool = limiter({ maxFailures: 100, maxDelay: 5 });
+        at(0);
+        for (let i = 0; i < 20; i++) {
+            await tool.use({ action: 'fail', username: 'ada' });
+        }
+        expect((await tool.use({ action: 'check', username: 'ada' })).content.retryAfter).toBe(5);
+    });
+
+    test('should lock the username out after maxFailures', async () => {
+        const tool = limiter();
+        at(0);
+        let result;
+        for (let i = 0; i < 5; i++) {
+            result = await tool.use({ action: 'fail', username: 'Ada ' });
+        }
+        expect(result.content).toEqual({ failures: { username: 5 }, locked: true, retryAfter: 900 });
+
+        at(600);
+        expect(await tool.use({ action: 'check', username: 'ada' }))
+            .toEqual({ status: 429, content: { allowed: false, retryAfter: 300, reason: 'locked', limitedBy: 'username' } });
+        expect((await tool.use({ action: 'check', username: 'grace' })).status).toBe(200);
+
+        // After the window has passed the old failures no longer count.
+        at(901);
+        expect((await tool.use({ action: 'check', username: 'ada' })).status).toBe(200);
+    });
+
+    test('should limit an ip guessing many usernames', async () => {
+        const tool = limiter({ maxIpFailures: 4 });
+        at(0);
+        for (const username of ['a', 'b', 'c', 'd']) {
+            await tool.use({ action: 'fail', username, ip: '10.0.0.9' });
+        }
+
+        const blocked = await tool.use({ action: 'check', username: 'e', ip: '10.0.0.9' });
+        expect(blocked.content).toMatchObject({ allowed: false, reason: 'locked', limitedBy: 'ip' });
+        expect((await tool.use({ action: 'check', username: 'e', ip: '10.0.0.10' })).status).toBe(200);
+    });
+
+    test('should only count failures within the sliding window', async () => {
+        const tool = limiter({ window: 60, maxFailures: 3, freeAttempts: 10 });
+        at(0);
+        await tool.use({ action: 'fail', username: 'ada' });
+        at(30);
+        await tool.use({ action: 'fail', username: 'ada' });
+        at(61);
+        const result = await tool.use({ action: 'fail', username: 'ada' });
+        expect(result.content).toEqual({ failures: { username: 2 }, locked: false, retryAfter: 0 });
+    });
+
+    test('should clear the username but not the ip on reset', async () => {
+        const tool = limiter({ maxIpFailures: 5 });
+        at(0);
+        for (let i = 0; i < 5; i++) {
+            await tool.use({ action: 'fail', username: 'ada', ip: '10.0.0.1' });
+        }
+        expect(await tool.use({ action: 'reset', username: 'ada' })).toEqual({ status: 200, content: { reset: true } });
+        expect((await tool.use({ action: 'check', username: 'ada' })).status).toBe(200);
+        expect((await tool.use({ action: 'check', username: 'ada', ip: '10.0.0.1' })).content.limitedBy).toBe('ip');
+    });
+
+    test('should count parallel attempts before any password is compared', async () => {
+        at(0);
+        const tool = limiter();
+        const results = await Promise.all(Array.from({ length: 50 }, () => tool.use({ action: 'attempt', username: 'ada', ip: '10.0.0.1' })));
+        expect(results.filter((result) => result.status === 200)).toHaveLength(3);
+        expect(results.filter((result) => result.status === 429).every((result) => result.content.reason === 'backoff')).toBe(true);
+
+        // Without backoff, maxFailures caps the burst and locks the username.
+        const capped = limiter({ freeAttempts: 10 });
+        const burst = await Promise.all(Array.from({ length: 50 }, () => capped.use({ action: 'attempt', username: 'ada' })));
+        expect(burst.filter((result) => result.status === 200)).toHaveLength(5);
+        expect(await capped.use({ action: 'check', username: 'ada' }))
+            .toEqual({ status: 429, content: { allowed: false, retryAfter: 900, reason: 'locked', limitedBy: 'username' } });
+    });
+
+    test('should release a successful attempt on reset', async () => {
+        at(0);
+        const store = new MemoryAttemptStore();
+        const tool = limiter({ store, freeAttempts: 10 });
+        const first = await tool.use({ action: 'attempt', username: 'ada', ip: '10.0.0.1' });
+        expect(first.status).toBe(200);
+        expect(first.content.attemptId).toEqual(expect.any(String));
+        await tool.use({ action: 'attempt', username: 'ada', ip: '10.0.0.1' });
+        expect((await store.failures('ip:10.0.0.1', -1)).count).toBe(2);
+
+        await tool.use({ action: 'reset', username: 'ada', ip: '10.0.0.1', attemptId: first.content.attemptId });
+        expect((await store.failures('username:ada', -1)).count).toBe(0);
+        expect((await store.failures('ip:10.0.0.1', -1)).count).toBe(1);
+    });
+
+    test('should not count attempts that were turned away', async () => {
+        at(0);
+        const store = new MemoryAttemptStore();
+        const tool = limiter({ store });
+        for (let i = 0; i < 5; i++) {
+            await tool.use({ action: 'attempt', username: 'ada' });
+        }
+        expect((await store.failures('username:ada', -1)).count).toBe(3);
+    });
+
+    test('should purge expired attempts from the store', async () => {
+        at(0);
+        const store = new MemoryAttemptStore();
+        const tool = limiter({ store, window: 60, lockout: 60 });
+        for (let i = 0; i < 100; i++) {
+            await tool.use({ action: 'fail', username: `user${i}`, ip: `10.0.${i}.1` });
+        }
+        expect(store.failureLog.size).toBe(200);
+
+        at(121);
+        await tool.use({ action: 'attempt', username: 'ada' });
+        expect([...store.failureLog.keys()]).toEqual(['username:ada']);
+        expect(store.locks.size).toBe(0);
+    });
+
+    test('should share memory stores by name between instances', async () => {
+        at(0);
+        const first = new RateLimitTool({ store: { type: 'memory', name: 'shared-test' }, maxFailures: 1 });
+        await first.use({ action: 'fail', username: 'ada' });
+
+        const second = new RateLimitTool({ store: { type: 'memory', name: 'shared-test' } });
+        expect((await second.use({ action: 'check', username: 'ada' })).content.reason).toBe('locked');
+    });
+
+    test('should refuse to share a store name between different databases', () => {
+        const first = createAttemptStore({ type: 'sql', name: 'by-database', database: { type: 'sqlite', dbPath: 'a.db' } });
+        expect(createAttemptStore({ name: 'by-database', type: 'sql', database: { dbPath: 'a.db', type: 'sqlite' } })).toBe(first);
+        expect(() => createAttemptStore({ type: 'sql', name: 'by-database', database: { type: 'sqlite', dbPath: 'b.db' } }))
+            .toThrow('The attempt store "by-database" is already configured with different options; give this one its own name');
+        expect(createAttemptStore({ type: 'sql', name: 'by-database-b', database: { type: 'sqlite', dbPath: 'b.db' } })).not.toBe(first);
+    });
+
+    test('should keep attempts in a database through sql_tool', async () => {
+        const sqlTool = new SqlTool({ type: 'sqlite', dbPath: ':memory:' });
+        await sqlTool.initialize();
+        try {
+            const store = new SqlAttemptStore({ sqlTool });
+            const tool = limiter({ store, maxFailures: 3 });
+            at(0);
+            for (let i = 0; i < 3; i++) {
+                await tool.use({ action: 'fail', username: 'ada', ip: '10.0.0.1' });
+            }
+            expect(await store.failures('username:ada', -1)).toEqual({ count: 3, last: start });
+            expect(await tool.use({ action: 'check', username: 'ada' }))
+                .toEqual({ status: 429, content: { allowed: false, retryAfter: 900, reason: 'locked', limitedBy: 'username' } });
+
+            await tool.use({ action: 'reset', username: 'ada' });
+            expect(await store.lockedUntil('username:ada')).toBeNull();
+
+            await store.purge(start + 1);
+            expect((await store.failures('ip:10.0.0.1', -1)).count).toBe(0);
+
+            const attempts = await Promise.all(Array.from({ length: 10 }, () => tool.use({ action: 'attempt', username: 'grace', ip: '10.0.0.2' })));
+            // Reservations that see each other may all back off, but never more than freeAttempts pass.
+            const admitted = attempts.filter((result) => result.status === 200).length;
+            expect(admitted).toBeLessThanOrEqual(3);
+            expect((await store.failures('username:grace', -1)).count).toBe(admitted);
+        } finally {
+            sqlTool.cleanup();
+        }
+    });
+
+    test('should return 400 without a username or ip', async () => {
+        const tool = limiter();
+        expect(await tool.use({ action: 'check' })).toEqual({ status: 400, content: 'Error: A username or an ip is required' });
+        expect(await tool.use({ action: 'block', username: 'ada' })).toEqual({ status: 400, content: 'Error: Unsupported action: block' });
+        expect(() => new RateLimitTool({ window: 'soon' })).toThrow('"window" should be a number of seconds or a timespan such as "15m"');
+        expect(() => new RateLimitTool({ store: 'redis' })).toThrow('Unsupported attempt store: redis. Must be one of: memory, sql');
+    });
+});
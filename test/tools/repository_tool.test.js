@@ -0,0 +1,199 @@
+import { describe, expect, test, beforeEach, afterEach } from "bun:test";
+import { Tool } from "duwende";
+import { RepositoryTool } from "../../tools/repository_tool.js";
+import { SqlTool } from "../../tools/sql_tool.js";
+import { defineModel, validateInput } from "../../tools/sql/model.js";
+
+const userModel = {
+  table: "users",
+  fields: {
+    email: { type: "string", required: true, unique: true, maxLength: 50 },
+    name: { type: "string", required: true },
+    age: { type: "integer" },
+    active: { type: "boolean", default: true },
+    settings: { type: "json", default: {} }
+  },
+  timestamps: true,
+  softDelete: true
+};
+
+const usersTable = `CREATE TABLE users (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  email TEXT NOT NULL UNIQUE,
+  name TEXT NOT NULL,
+  age INTEGER,
+  active INTEGER NOT NULL,
+  settings TEXT,
+  created_at TEXT,
+  updated_at TEXT,
+  deleted_at TEXT
+);`;
+
+describe("RepositoryTool", () => {
+  let sqlTool;
+  let users;
+
+  beforeEach(async () => {
+    sqlTool = new SqlTool({ type: "sqlite", dbPath: ":memory:", initialization: usersTable });
+    await sqlTool.initialize();
+    users = new RepositoryTool({ model: userModel, sqlTool });
+  });
+
+  afterEach(() => {
+    users.cleanup();
+    sqlTool.cleanup();
+  });
+
+  test("should properly extend Tool class", () => {
+    expect(RepositoryTool.prototype instanceof Tool).toBe(true);
+  });
+
+  test("should create a row with defaults, timestamps and typed mapping", async () => {
+    const result = await users.use({
+      action: "create",
+      data: { email: "ada@example.com", name: "Ada", age: 36, settings: { theme: "dark" } }
+    });
+
+    expect(result.status).toBe(201);
+    expect(result.content.row).toMatchObject({
+      id: 1,
+      email: "ada@example.com",
+      active: true,
+      settings: { theme: "dark" },
+      deleted_at: null
+    });
+    expect(result.content.row.created_at).toBeInstanceOf(Date);
+    expect(result.content.row.updated_at).toBeInstanceOf(Date);
+  });
+
+  test("should reject invalid input with per-field errors", async () => {
+    const result = await users.use({
+      action: "create",
+      data: { email: "x".repeat(51), age: 3.5, role: "admin" }
+    });
+
+    expect(result.status).toBe(400);
+    expect(result.content.errors).toEqual(expect.arrayContaining([
+      { field: "role", message: "Unknown field" },
+      { field: "email", message: "Must be at most 50 characters" },
+      { field: "name", message: "Field is required" },
+      { field: "age", message: "Expected integer" }
+    ]));
+  });
+
+  test("should reject duplicate unique values with 409", async () => {
+    await users.use({ action: "create", data: { email: "ada@example.com", name: "Ada" } });
+    const result = await users.use({ action: "create", data: { email: "ada@example.com", name: "Other" } });
+
+    expect(result.status).toBe(409);
+    expect(result.content.field).toBe("email");
+  });
+
+  test("should find by id and by where", async () => {
+    await users.use({ action: "create", data: { email: "ada@example.com", name: "Ada" } });
+
+    const byId = await users.use({ action: "find", id: 1 });
+    expect(byId.content.row.name).toBe("Ada");
+
+    const byWhere = await users.use({ action: "find", where: { email: "ada@example.com", active: true } });
+    expect(byWhere.content.row.id).toBe(1);
+
+    const missing = await users.use({ action: "find", id: 99 });
+    expect(missing.status).toBe(404);
+  });
+
+  test("should filter, order and limit findMany", async () => {
+    for (const [email, age] of [["a@example.com", 20], ["b@example.com", 40], ["c@example.com", 30]]) {
+      await users.use({ action: "create", data: { email, name: email, age } });
+    }
+
+    const result = await users.use({
+      action: "findMany",
+      where: { age: { gte: 25 } },
+      orderBy: { column: "age", direction: "desc" },
+      limit: 10
+    });
+
+    expect(result.status).toBe(200);
+    expect(result.content.rows.map((row) => row.age)).toEqual([40, 30]);
+  });
+
+  test("should reject unknown fields in where", async () => {
+    const result = await users.use({ action: "findMany", where: { password: "x" } });
+    expect(result.status).toBe(400);
+    expect(result.content.error).toContain("Unknown field in where: password");
+  });
+
+  test("should update fields and refresh updated_at", async () => {
+    const created = await users.use({ action: "create", data: { email: "ada@example.com", name: "Ada" } });
+    await Bun.sleep(5);
+
+    const result = await users.use({ action: "update", id: 1, data: { name: "Ada L.", active: false } });
+    expect(result.status).toBe(200);
+    expect(result.content.row.name).toBe("Ada L.");
+    expect(result.content.row.active).toBe(false);
+    expect(result.content.row.updated_at.getTime()).toBeGreaterThan(created.content.row.updated_at.getTime());
+  });
+
+  test("should not allow updating the primary key or managed fields", async () => {
+    await users.use({ action: "create", data: { email: "ada@example.com", name: "Ada" } });
+    const result = await users.use({ action: "update", id: 1, data: { id: 2, created_at: new Date() } });
+
+    expect(result.status).toBe(400);
+    expect(result.content.errors.map((error) => error.field)).toEqual(["id", "created_at"]);
+  });
+
+  test("should soft delete and hide deleted rows", async () => {
+    await users.use({ action: "create", data: { email: "ada@example.com", name: "Ada" } });
+
+    const deleted = await users.use({ action: "delete", id: 1 });
+    expect(deleted.content).toMatchObject({ deleted: true, soft: true });
+
+    expect((await users.use({ action: "find", id: 1 })).status).toBe(404);
+    expect((await users.use({ action: "update", id: 1, data: { name: "Ghost" } })).status).toBe(404);
+
+    const withDeleted = await users.use({ action: "find", id: 1, withDeleted: true });
+    expect(withDeleted.content.row.deleted_at).toBeInstanceOf(Date);
+  });
+
+  test("should hard delete on request", async () => {
+    await users.use({ action: "create", data: { email: "ada@example.com", name: "Ada" } });
+
+    const deleted = await users.use({ action: "delete", id: 1, hard: true });
+    expect(deleted.content.soft).toBe(false);
+
+    const { rows } = await sqlTool.executeQuery("SELECT COUNT(*) AS total FROM users");
+    expect(rows[0].total).toBe(0);
+  });
+
+  test("should open its own connection from database params", async () => {
+    const repository = new RepositoryTool({
+      model: { table: "notes", fields: { body: { type: "text", required: true } } },
+      database: { type: "sqlite", dbPath: ":memory:", initialization: "CREATE TABLE notes (id INTEGER PRIMARY KEY, body TEXT);" }
+    });
+
+    const result = await repository.use({ action: "create", data: { body: "hello" } });
+    repository.cleanup();
+
+    expect(result.status).toBe(201);
+    expect(result.content.row).toEqual({ id: 1, body: "hello" });
+  });
+
+  describe("Model definitions", () => {
+    test("should add a generated primary key when none is declared", () => {
+      const model = defineModel({ table: "tags", fields: { label: "string" } });
+      expect(model.fields.id).toMatchObject({ type: "integer", generated: true });
+    });
+
+    test("should reject unsupported field types", () => {
+      expect(() => defineModel({ table: "tags", fields: { label: "varchar" } })).toThrow("unsupported type varchar");
+    });
+
+    test("should only validate provided fields for partial input", () => {
+      const model = defineModel(userModel);
+      const { values, errors } = validateInput(model, { age: 40 }, { partial: true });
+      expect(errors).toEqual([]);
+      expect(values).toEqual({ age: 40 });
+    });
+  });
+});
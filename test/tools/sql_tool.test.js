@@ -1,6 +1,13 @@
 import { describe, test, expect, beforeAll, afterAll, beforeEach, afterEach } from "bun:test";
 import { Tool } from 'duwende';
 import { SqlTool } from "../../tools/sql_tool.js";
+import { compileStatement } from "../../tools/sql/query_builder.js";
+import { checkQuery, resolvePolicy, isReadOnlyQuery, fingerprintQuery } from "../../tools/sql/query_policy.js";
+import { QueryMetrics } from "../../tools/sql/query_metrics.js";
+import { loadFixtures, readFixtures, snapshotDatabase, restoreDatabase } from "../../tools/sql/fixtures.js";
+import { mkdtemp, writeFile, rm } from "fs/promises";
+import { tmpdir } from "os";
+import path from "path";
 
 describe("SqlTool", () => {
   test("should properly extend Tool class", () => {
@@ -65,6 +72,294 @@ describe("SqlTool", () => {
     });
   });
 
+  describe("Result Metadata Tests", () => {
+    let tool;
+
+    beforeEach(async () => {
+      tool = new SqlTool({
+        type: "sqlite",
+        dbPath: ":memory:",
+        initialization: "CREATE TABLE items (id INTEGER PRIMARY KEY, name TEXT);"
+      });
+      await tool.initialize();
+    });
+
+    afterEach(() => {
+      if (tool) tool.cleanup();
+    });
+
+    test("should report inserted id and command for INSERT", async () => {
+      await tool.use({ query: "INSERT INTO items (name) VALUES (?)", values: ["a"] });
+      const result = await tool.use({ query: "INSERT INTO items (name) VALUES (?)", values: ["b"] });
+
+      expect(result.content.command).toBe("INSERT");
+      expect(result.content.affectedRows).toBe(1);
+      expect(result.content.lastInsertId).toBe(2);
+    });
+
+    test("should not report an inserted id when an insert is ignored", async () => {
+      await tool.use({ query: "INSERT INTO items (id, name) VALUES (3, 'c')" });
+      const result = await tool.use({ query: "INSERT OR IGNORE INTO items (id, name) VALUES (3, 'again')" });
+
+      expect(result.status).toBe(200);
+      expect(result.content.command).toBe("INSERT");
+      expect(result.content.affectedRows).toBe(0);
+      expect(result.content.lastInsertId).toBeNull();
+    });
+
+    test("should take the inserted id from RETURNING rows", async () => {
+      const result = await tool.use({
+        query: "INSERT INTO items (name) VALUES (?) RETURNING id",
+        values: ["a"]
+      });
+
+      expect(result.content.rows).toEqual([{ id: 1 }]);
+      expect(result.content.lastInsertId).toBe(1);
+    });
+
+    test("should report real affected-row counts for UPDATE and DELETE", async () => {
+      await tool.use({ query: "INSERT INTO items (name) VALUES ('a'), ('b'), ('c')" });
+
+      const update = await tool.use({ query: "UPDATE items SET name = ? WHERE id > ?", values: ["x", 0] });
+      expect(update.content.command).toBe("UPDATE");
+      expect(update.content.affectedRows).toBe(3);
+      expect(update.content.lastInsertId).toBeNull();
+
+      const remove = await tool.use({ query: "DELETE FROM items WHERE id = ?", values: [1] });
+      expect(remove.content.command).toBe("DELETE");
+      expect(remove.content.affectedRows).toBe(1);
+    });
+
+    test("should report row count and command for SELECT", async () => {
+      await tool.use({ query: "INSERT INTO items (name) VALUES ('a'), ('b')" });
+      const result = await tool.use({ query: "SELECT * FROM items" });
+
+      expect(result.content.command).toBe("SELECT");
+      expect(result.content.affectedRows).toBe(2);
+      expect(result.content.lastInsertId).toBeNull();
+    });
+  });
+
+  describe("Transaction Tests", () => {
+    let tool;
+
+    beforeEach(async () => {
+      tool = new SqlTool({
+        type: "sqlite",
+        dbPath: ":memory:",
+        initialization: `
+          CREATE TABLE orders (id INTEGER PRIMARY KEY, customer TEXT NOT NULL);
+          CREATE TABLE stock (sku TEXT PRIMARY KEY, quantity INTEGER NOT NULL CHECK (quantity >= 0));
+          INSERT INTO stock (sku, quantity) VALUES ('widget', 1);
+        `
+      });
+      await tool.initialize();
+    });
+
+    afterEach(() => {
+      if (tool) tool.cleanup();
+    });
+
+    test("should commit all steps atomically", async () => {
+      const result = await tool.use({
+        action: "transaction",
+        steps: [
+          { query: "INSERT INTO orders (customer) VALUES (?)", values: ["alice"] },
+          { query: "UPDATE stock SET quantity = quantity - 1 WHERE sku = ?", values: ["widget"] }
+        ]
+      });
+
+      expect(result.status).toBe(200);
+      expect(result.content.success).toBe(true);
+      expect(result.content.committed).toBe(true);
+      expect(result.content.steps).toHaveLength(2);
+
+      const stock = await tool.use({ query: "SELECT quantity FROM stock WHERE sku = 'widget'" });
+      expect(stock.content.rows).toEqual([{ quantity: 0 }]);
+    });
+
+    test("should roll back and report the failing step", async () => {
+      const result = await tool.use({
+        action: "transaction",
+        steps: [
+          { query: "INSERT INTO orders (customer) VALUES (?)", values: ["bob"] },
+          { query: "UPDATE stock SET quantity = quantity - 2 WHERE sku = ?", values: ["widget"] },
+          { query: "INSERT INTO orders (customer) VALUES (?)", values: ["never"] }
+        ]
+      });
+
+      expect(result.status).toBe(400);
+      expect(result.content.success).toBe(false);
+      expect(result.content.committed).toBe(false);
+      expect(result.content.failedStep).toBe(1);
+      expect(result.content.steps).toHaveLength(2);
+      expect(result.content.error).toBeDefined();
+
+      const orders = await tool.use({ query: "SELECT * FROM orders" });
+      expect(orders.content.rows).toEqual([]);
+    });
+
+    test("should roll back only an optional step to its savepoint", async () => {
+      const result = await tool.use({
+        action: "transaction",
+        steps: [
+          { query: "INSERT INTO orders (customer) VALUES (?)", values: ["carol"] },
+          { query: "UPDATE stock SET quantity = quantity - 5 WHERE sku = ?", values: ["widget"], optional: true },
+          { query: "INSERT INTO orders (customer) VALUES (?)", values: ["dave"] }
+        ]
+      });
+
+      expect(result.status).toBe(200);
+      expect(result.content.committed).toBe(true);
+      expect(result.content.steps[1].success).toBe(false);
+
+      const orders = await tool.use({ query: "SELECT customer FROM orders ORDER BY id" });
+      expect(orders.content.rows).toEqual([{ customer: "carol" }, { customer: "dave" }]);
+    });
+
+    test("should reject empty or invalid steps", async () => {
+      const empty = await tool.use({ action: "transaction", steps: [] });
+      expect(empty.status).toBe(400);
+      expect(empty.content.error).toBe("Transaction steps are required");
+
+      const missing = await tool.use({ action: "transaction", steps: [{ values: [] }] });
+      expect(missing.status).toBe(400);
+      expect(missing.content.error).toContain("step 0");
+    });
+
+    test("should reject unsupported isolation levels", async () => {
+      const result = await tool.use({
+        action: "transaction",
+        isolationLevel: "chaotic",
+        steps: [{ query: "SELECT 1" }]
+      });
+
+      expect(result.status).toBe(400);
+      expect(result.content.error).toContain("Unsupported isolation level");
+    });
+  });
+
+  describe("Migration Tests", () => {
+    let tool;
+    let migrationsDir;
+
+    beforeEach(async () => {
+      migrationsDir = await mkdtemp(path.join(tmpdir(), "sql-migrations-"));
+      await writeFile(path.join(migrationsDir, "001_create_users.up.sql"), "CREATE TABLE users (id INTEGER PRIMARY KEY, email TEXT);");
+      await writeFile(path.join(migrationsDir, "001_create_users.down.sql"), "DROP TABLE users;");
+      await writeFile(path.join(migrationsDir, "002_add_name.up.sql"), "ALTER TABLE users ADD COLUMN name TEXT;");
+      await writeFile(path.join(migrationsDir, "002_add_name.down.sql"), "ALTER TABLE users DROP COLUMN name;");
+
+      tool = new SqlTool({ type: "sqlite", dbPath: ":memory:", migrationsDir, allowMigrations: true });
+      await tool.initialize();
+    });
+
+    afterEach(async () => {
+      if (tool) tool.cleanup();
+      await rm(migrationsDir, { recursive: true, force: true });
+    });
+
+    test("should report pending migrations before migrating", async () => {
+      const result = await tool.use({ action: "migrationStatus" });
+
+      expect(result.status).toBe(200);
+      expect(result.content.drift).toBe(false);
+      expect(result.content.migrations.map(m => m.state)).toEqual(["pending", "pending"]);
+    });
+
+    test("should apply pending migrations in order and record them", async () => {
+      const result = await tool.use({ action: "migrate" });
+
+      expect(result.status).toBe(200);
+      expect(result.content.applied).toEqual([1, 2]);
+
+      const insert = await tool.use({
+        query: "INSERT INTO users (email, name) VALUES (?, ?)",
+        values: ["a@example.com", "Ada"]
+      });
+      expect(insert.status).toBe(200);
+
+      const again = await tool.use({ action: "migrate" });
+      expect(again.content.applied).toEqual([]);
+
+      const status = await tool.use({ action: "migrationStatus" });
+      expect(status.content.migrations.map(m => m.state)).toEqual(["applied", "applied"]);
+    });
+
+    test("should roll back the requested number of migrations", async () => {
+      await tool.use({ action: "migrate" });
+
+      const result = await tool.use({ action: "rollback", count: 2 });
+      expect(result.status).toBe(200);
+      expect(result.content.reverted).toEqual([2, 1]);
+
+      const select = await tool.use({ query: "SELECT * FROM users" });
+      expect(select.status).toBe(400);
+    });
+
+    test("should detect drift and refuse to migrate", async () => {
+      await tool.use({ action: "migrate" });
+      await writeFile(path.join(migrationsDir, "001_create_users.up.sql"), "CREATE TABLE users (id INTEGER PRIMARY KEY);");
+      await writeFile(path.join(migrationsDir, "003_add_index.up.sql"), "CREATE INDEX users_email ON users (email);");
+
+      const status = await tool.use({ action: "migrationStatus" });
+      expect(status.content.drift).toBe(true);
+      expect(status.content.migrations[0].state).toBe("modified");
+
+      const result = await tool.use({ action: "migrate" });
+      expect(result.status).toBe(409);
+      expect(result.content.error).toContain("drift");
+    });
+
+    test("should stop at a failing migration without recording it", async () => {
+      await writeFile(path.join(migrationsDir, "003_broken.up.sql"), "CREATE TABLE broken (;");
+
+      const result = await tool.use({ action: "migrate" });
+      expect(result.status).toBe(400);
+      expect(result.content.applied).toEqual([1, 2]);
+      expect(result.content.failedVersion).toBe(3);
+
+      const status = await tool.use({ action: "migrationStatus" });
+      expect(status.content.migrations[2].state).toBe("pending");
+    });
+
+    test("should reject an invalid rollback count", async () => {
+      const result = await tool.use({ action: "rollback", count: 0 });
+      expect(result.status).toBe(400);
+    });
+
+    test("should only run migrations from the configured directory", async () => {
+      const otherDir = await mkdtemp(path.join(tmpdir(), "sql-other-"));
+      try {
+        await writeFile(path.join(otherDir, "001_wipe.up.sql"), "CREATE TABLE wiped (id INTEGER);");
+        const result = await tool.use({ action: "migrate", directory: otherDir });
+
+        expect(result.content.applied).toEqual([1, 2]);
+        const wiped = await tool.use({ query: "SELECT name FROM sqlite_master WHERE name = 'wiped'" });
+        expect(wiped.content.rows).toEqual([]);
+        expect(SqlTool.in_schema().directory).toBeUndefined();
+      } finally {
+        await rm(otherDir, { recursive: true, force: true });
+      }
+    });
+
+    test("should refuse to migrate or roll back unless migrations are allowed", async () => {
+      const readOnly = new SqlTool({ type: "sqlite", dbPath: ":memory:", migrationsDir, queryPolicy: "read-only" });
+      await readOnly.initialize();
+      try {
+        expect(await readOnly.use({ action: "migrate" })).toEqual({
+          status: 403,
+          content: { error: "The migrate action requires the allowMigrations init parameter", success: false }
+        });
+        expect((await readOnly.use({ action: "rollback" })).status).toBe(403);
+        expect((await readOnly.use({ query: "SELECT name FROM sqlite_master WHERE name = 'users'" })).content.rows).toEqual([]);
+        expect((await readOnly.use({ action: "migrationStatus" })).status).toBe(200);
+      } finally {
+        readOnly.cleanup();
+      }
+    });
+  });
+
   describe("PostgreSQL Tests", () => {
     let postgresTool;
 
@@ -254,6 +549,857 @@ describe("SqlTool", () => {
     });
   });
 
+  describe("Query Policy Tests", () => {
+    const createTool = async (queryPolicy) => {
+      const tool = new SqlTool({
+        type: "sqlite",
+        dbPath: ":memory:",
+        queryPolicy,
+        initialization: "CREATE TABLE notes (id INTEGER PRIMARY KEY, body TEXT);"
+      });
+      await tool.initialize();
+      return tool;
+    };
+
+    let tool;
+
+    afterEach(() => {
+      if (tool) tool.cleanup();
+    });
+
+    test("should allow comment markers inside string literals", async () => {
+      tool = await createTool();
+      const result = await tool.use({
+        query: "INSERT INTO notes (body) VALUES ('see /* this */ and -- that; DROP TABLE notes')"
+      });
+
+      expect(result.status).toBe(200);
+      expect(result.content.success).toBe(true);
+    });
+
+    test("should detect statements stacked after a comment", async () => {
+      tool = await createTool();
+      const result = await tool.use({
+        query: "SELECT * FROM notes /* harmless */; DELETE FROM notes WHERE id = 1"
+      });
+
+      expect(result.status).toBe(400);
+      expect(result.content.error).toContain("Multiple statements");
+    });
+
+    test("should reject UPDATE and DELETE without a WHERE clause", async () => {
+      tool = await createTool();
+      const deleteAll = await tool.use({ query: "DELETE FROM notes" });
+      expect(deleteAll.status).toBe(400);
+      expect(deleteAll.content.error).toContain("without a WHERE clause");
+
+      const updateAll = await tool.use({ query: "UPDATE notes SET body = (SELECT 'x' WHERE 1 = 1)" });
+      expect(updateAll.status).toBe(400);
+
+      const bounded = await tool.use({ query: "DELETE FROM notes WHERE id = ?", values: [1] });
+      expect(bounded.status).toBe(200);
+    });
+
+    test("should reject DROP INDEX under the default policy", async () => {
+      tool = await createTool();
+      const result = await tool.use({ query: "DROP INDEX IF EXISTS notes_body" });
+
+      expect(result.status).toBe(400);
+      expect(result.content.error).toContain("DROP statements are not allowed");
+    });
+
+    test("should only allow reads under the read-only policy", async () => {
+      tool = await createTool("read-only");
+      const select = await tool.use({ query: "SELECT * FROM notes" });
+      expect(select.status).toBe(200);
+
+      const insert = await tool.use({ query: "INSERT INTO notes (body) VALUES (?)", values: ["x"] });
+      expect(insert.status).toBe(400);
+      expect(insert.content.error).toContain("read-only policy");
+
+      const cte = await tool.use({
+        query: "WITH gone AS (DELETE FROM notes WHERE id = 1 RETURNING *) SELECT * FROM gone"
+      });
+      expect(cte.status).toBe(400);
+    });
+
+    test("should reject DDL under the dml-only policy", async () => {
+      tool = await createTool("dml-only");
+      const result = await tool.use({ query: "CREATE TABLE other (id INTEGER)" });
+
+      expect(result.status).toBe(400);
+      expect(result.content.error).toContain("CREATE statements");
+    });
+
+    test("should allow everything under the full policy", async () => {
+      tool = await createTool("full");
+      const result = await tool.use({ query: "DELETE FROM notes; DROP TABLE notes;" });
+
+      expect(result.status).toBe(200);
+    });
+
+    test("should accept a custom allow-list policy", async () => {
+      tool = await createTool({ allow: ["select", "insert"] });
+      const insert = await tool.use({ query: "INSERT INTO notes (body) VALUES (?)", values: ["x"] });
+      expect(insert.status).toBe(200);
+
+      const update = await tool.use({ query: "UPDATE notes SET body = ? WHERE id = 1", values: ["y"] });
+      expect(update.status).toBe(400);
+    });
+
+    test("should reject unterminated string literals", async () => {
+      tool = await createTool();
+      const result = await tool.use({ query: "SELECT 'unterminated" });
+
+      expect(result.status).toBe(400);
+      expect(result.content.error).toContain("Unterminated string literal");
+    });
+
+    test("should reject unknown policy names", () => {
+      expect(() => new SqlTool({ type: "sqlite", queryPolicy: "anything-goes" }))
+        .toThrow("Unknown query policy");
+    });
+
+    test("should check the statement that EXPLAIN ANALYZE runs", () => {
+      const readOnly = resolvePolicy("read-only");
+      expect(checkQuery("EXPLAIN ANALYZE DELETE FROM users", readOnly, "postgresql"))
+        .toEqual({ allowed: false, reason: "DELETE statements are not allowed by the read-only policy" });
+      expect(checkQuery("EXPLAIN (ANALYZE, BUFFERS) UPDATE users SET name = 'x' WHERE id = 1", readOnly, "postgresql").allowed).toBe(false);
+      expect(checkQuery("EXPLAIN ANALYZE DELETE FROM users", resolvePolicy("standard"), "postgresql").reason)
+        .toBe("DELETE without a WHERE clause is not allowed");
+      expect(isReadOnlyQuery("EXPLAIN ANALYZE DELETE FROM users WHERE id = 1", "postgresql")).toBe(false);
+
+      // Without ANALYZE the statement is only planned.
+      expect(checkQuery("EXPLAIN DELETE FROM users", readOnly, "postgresql")).toEqual({ allowed: true });
+      expect(checkQuery("EXPLAIN ANALYZE SELECT * FROM users", readOnly, "mysql")).toEqual({ allowed: true });
+      expect(isReadOnlyQuery("EXPLAIN ANALYZE SELECT * FROM users", "postgresql")).toBe(true);
+    });
+
+    test("should treat SELECT ... INTO as a write", () => {
+      const readOnly = resolvePolicy("read-only");
+      expect(checkQuery("SELECT * INTO backup FROM users", readOnly, "postgresql"))
+        .toEqual({ allowed: false, reason: "SELECT ... INTO is not allowed by the read-only policy" });
+      expect(checkQuery("SELECT * INTO backup FROM users", resolvePolicy("standard"), "postgresql")).toEqual({ allowed: true });
+      expect(isReadOnlyQuery("SELECT * INTO backup FROM users", "postgresql")).toBe(false);
+      expect(isReadOnlyQuery("SELECT id FROM users WHERE id IN (SELECT user_id FROM orders)", "postgresql")).toBe(true);
+      expect(checkQuery("INSERT INTO backup SELECT * FROM users", resolvePolicy("dml-only"), "postgresql")).toEqual({ allowed: true });
+    });
+
+    test("should honour backslash escapes in PostgreSQL E'' strings", () => {
+      const standard = resolvePolicy("standard");
+      expect(checkQuery("SELECT E'\\'' ; DROP TABLE users; --'", standard, "postgresql"))
+        .toEqual({ allowed: false, reason: "Multiple statements are not allowed" });
+      expect(checkQuery("SELECT e'it\\'s; fine'", standard, "postgresql")).toEqual({ allowed: true });
+      // Standard strings still only escape a quote by doubling it.
+      expect(checkQuery("SELECT 'a\\' ; DROP TABLE users; --'", standard, "postgresql").allowed).toBe(false);
+    });
+
+    test("should tokenize the body of MySQL executable comments", () => {
+      const readOnly = resolvePolicy("read-only");
+      expect(checkQuery("SELECT 1 /*! INTO OUTFILE '/tmp/x' */", readOnly, "mysql"))
+        .toEqual({ allowed: false, reason: "SELECT ... INTO is not allowed by the read-only policy" });
+      expect(checkQuery("SELECT 1 /*!50100 ; DROP TABLE users */", resolvePolicy("standard"), "mysql").reason)
+        .toBe("Multiple statements are not allowed");
+      expect(checkQuery("SELECT 1 /*! FROM users", readOnly, "mysql").reason).toBe("Unterminated executable comment");
+      // Ordinary comments and optimizer hints stay comments.
+      expect(checkQuery("SELECT /*+ MAX_EXECUTION_TIME(10) */ 1 /* ; DROP TABLE users */", readOnly, "mysql")).toEqual({ allowed: true });
+      // MySQL needs whitespace after -- for a comment.
+      expect(checkQuery("SELECT 1--1; DROP TABLE users", resolvePolicy("standard"), "mysql").reason)
+        .toBe("Multiple statements are not allowed");
+    });
+
+    test("should match PostgreSQL dollar-quote tags with digits and non-ASCII letters", () => {
+      const standard = resolvePolicy("standard");
+      expect(checkQuery("SELECT $a1$ ' $a1$; DROP TABLE users; --'", standard, "postgresql"))
+        .toEqual({ allowed: false, reason: "Multiple statements are not allowed" });
+      expect(checkQuery("SELECT $ü$ ' $ü$; DROP TABLE users; --'", standard, "postgresql").allowed).toBe(false);
+      expect(checkQuery("SELECT $body1$ it's; fine $body1$", standard, "postgresql")).toEqual({ allowed: true });
+      // "é$$" is an identifier, not the start of a dollar-quoted string.
+      expect(checkQuery("SELECT é$$; DROP TABLE users; --$$", standard, "postgresql").allowed).toBe(false);
+    });
+
+    test("should nest PostgreSQL block comments", () => {
+      const standard = resolvePolicy("standard");
+      // The quote sits inside the outer comment, which the first */ does not close.
+      expect(checkQuery("/* /* */ SELECT '*/; DROP TABLE users; --' */", standard, "postgresql"))
+        .toEqual({ allowed: false, reason: "DROP statements are not allowed by the standard policy" });
+      expect(checkQuery("/* /* */ SELECT 1; DROP TABLE users; -- */", standard, "postgresql").reason).toBe("Query contains no statements");
+      expect(checkQuery("/* /* */ */ SELECT 1; DROP TABLE users", standard, "postgresql"))
+        .toEqual({ allowed: false, reason: "Multiple statements are not allowed" });
+      expect(checkQuery("/* /* */ SELECT 1", standard, "postgresql").reason).toBe("Unterminated block comment");
+      // Other dialects end a comment at the first */.
+      expect(checkQuery("/* /* */ SELECT 1; DROP TABLE users", standard, "sqlite").allowed).toBe(false);
+    });
+
+    test("should check the WHERE clause of data-modifying subqueries", () => {
+      const unbounded = "WITH x AS (DELETE FROM users RETURNING *) SELECT * FROM x";
+      expect(checkQuery(unbounded, resolvePolicy("dml-only"), "postgresql"))
+        .toEqual({ allowed: false, reason: "DELETE without a WHERE clause is not allowed" });
+      expect(checkQuery(unbounded, resolvePolicy("standard"), "postgresql").allowed).toBe(false);
+      expect(checkQuery(unbounded, resolvePolicy("full"), "postgresql")).toEqual({ allowed: true });
+
+      const bounded = "WITH x AS (DELETE FROM users WHERE id IN (SELECT user_id FROM bans) RETURNING *) SELECT * FROM x";
+      expect(checkQuery(bounded, resolvePolicy("dml-only"), "postgresql")).toEqual({ allowed: true });
+      expect(checkQuery("WITH x AS (UPDATE users SET name = 'x' RETURNING *) SELECT * FROM x", resolvePolicy({ allow: ["select", "delete"] }), "postgresql").reason)
+        .toBe("UPDATE statements are not allowed by the custom policy");
+    });
+  });
+
+  describe("Query Builder Tests", () => {
+    let tool;
+
+    beforeEach(async () => {
+      tool = new SqlTool({
+        type: "sqlite",
+        dbPath: ":memory:",
+        initialization: `
+          CREATE TABLE users (id INTEGER PRIMARY KEY, name TEXT, age INTEGER);
+          CREATE TABLE orders (id INTEGER PRIMARY KEY, user_id INTEGER, total INTEGER);
+        `
+      });
+      await tool.initialize();
+    });
+
+    afterEach(() => {
+      if (tool) tool.cleanup();
+    });
+
+    test("should insert, select, update and delete through built statements", async () => {
+      const insert = await tool.use({
+        action: "build",
+        statement: {
+          type: "insert",
+          table: "users",
+          values: [{ name: "Ada", age: 36 }, { name: "Linus", age: 12 }]
+        }
+      });
+      expect(insert.status).toBe(200);
+
+      const select = await tool.use({
+        action: "build",
+        statement: {
+          type: "select",
+          table: "users",
+          columns: ["name"],
+          where: { age: { gte: 18 } },
+          orderBy: [{ column: "name", direction: "desc" }],
+          limit: 10
+        }
+      });
+      expect(select.content.rows).toEqual([{ name: "Ada" }]);
+
+      const update = await tool.use({
+        action: "build",
+        statement: { type: "update", table: "users", set: { age: 13 }, where: { name: "Linus" } }
+      });
+      expect(update.status).toBe(200);
+
+      const remove = await tool.use({
+        action: "build",
+        statement: { type: "delete", table: "users", where: { age: { lt: 18 } } }
+      });
+      expect(remove.status).toBe(200);
+
+      const remaining = await tool.use({ query: "SELECT name FROM users" });
+      expect(remaining.content.rows).toEqual([{ name: "Ada" }]);
+    });
+
+    test("should join tables", async () => {
+      await tool.use({ query: "INSERT INTO users (id, name, age) VALUES (1, 'Ada', 36)" });
+      await tool.use({ query: "INSERT INTO orders (user_id, total) VALUES (1, 50), (1, 70)" });
+
+      const result = await tool.use({
+        action: "build",
+        statement: {
+          type: "select",
+          table: { name: "users", as: "u" },
+          columns: ["u.name", { column: "o.total", as: "orderTotal" }],
+          joins: [{ type: "left", table: { name: "orders", as: "o" }, on: { "u.id": "o.user_id" } }],
+          orderBy: "o.total"
+        }
+      });
+
+      expect(result.status).toBe(200);
+      expect(result.content.rows).toEqual([
+        { name: "Ada", orderTotal: 50 },
+        { name: "Ada", orderTotal: 70 }
+      ]);
+    });
+
+    test("should return the compiled query on dry run", async () => {
+      const result = await tool.use({
+        action: "build",
+        dryRun: true,
+        statement: { type: "select", table: "users", where: { id: { in: [1, 2] }, name: null } }
+      });
+
+      expect(result.status).toBe(200);
+      expect(result.content.query).toBe('SELECT * FROM "users" WHERE "id" IN (?, ?) AND "name" IS NULL');
+      expect(result.content.values).toEqual([1, 2]);
+    });
+
+    test("should still apply the query policy to built statements", async () => {
+      const result = await tool.use({
+        action: "build",
+        statement: { type: "delete", table: "users" }
+      });
+
+      expect(result.status).toBe(400);
+      expect(result.content.error).toContain("without a WHERE clause");
+    });
+
+    test("should reject invalid identifiers", async () => {
+      const result = await tool.use({
+        action: "build",
+        statement: { type: "select", table: "users; DROP TABLE users" }
+      });
+
+      expect(result.status).toBe(400);
+      expect(result.content.error).toContain("Invalid identifier");
+    });
+
+    test("should compile dialect-specific placeholders and quoting", () => {
+      const statement = {
+        type: "update",
+        table: "users",
+        set: { name: "Ada" },
+        where: { or: [{ id: 1 }, { age: { gt: 30 } }] }
+      };
+
+      expect(compileStatement(statement, "postgresql")).toEqual({
+        query: 'UPDATE "users" SET "name" = $1 WHERE ("id" = $2 OR "age" > $3)',
+        values: ["Ada", 1, 30]
+      });
+      expect(compileStatement(statement, "mysql")).toEqual({
+        query: "UPDATE `users` SET `name` = ? WHERE (`id` = ? OR `age` > ?)",
+        values: ["Ada", 1, 30]
+      });
+    });
+
+    test("should reject RETURNING for mysql", () => {
+      expect(() => compileStatement({ type: "insert", table: "users", values: { name: "Ada" }, returning: "id" }, "mysql"))
+        .toThrow("RETURNING is not supported by mysql");
+    });
+
+    test("should reject FULL OUTER JOIN for mysql", () => {
+      const statement = { type: "select", table: "users", joins: [{ type: "full", table: "posts", on: { "users.id": "posts.user_id" } }] };
+      expect(compileStatement(statement, "postgresql").query)
+        .toBe('SELECT * FROM "users" FULL OUTER JOIN "posts" ON "users"."id" = "posts"."user_id"');
+      expect(() => compileStatement(statement, "mysql")).toThrow("FULL OUTER JOIN is not supported by mysql");
+    });
+
+    test("should reject empty conditions", () => {
+      expect(() => compileStatement({ type: "select", table: "t", where: { name: {} } }))
+        .toThrow("Condition on name requires at least one operator");
+      expect(() => compileStatement({ type: "delete", table: "t", where: { not: {} } }))
+        .toThrow("Condition groups require at least one condition");
+      expect(() => compileStatement({ type: "select", table: "t", where: { or: [{ id: 1 }, {}] } }))
+        .toThrow("Condition groups require at least one condition");
+    });
+  });
+
+  describe("Pagination and Streaming Tests", () => {
+    let tool;
+    const statement = { type: "select", table: "events", columns: ["id", "kind"], orderBy: "id" };
+
+    beforeEach(async () => {
+      tool = new SqlTool({
+        type: "sqlite",
+        dbPath: ":memory:",
+        initialization: `
+          CREATE TABLE events (id INTEGER PRIMARY KEY, kind TEXT);
+          INSERT INTO events (kind) VALUES ('a'), ('b'), ('a'), ('c'), ('a');
+        `
+      });
+      await tool.initialize();
+    });
+
+    afterEach(() => {
+      if (tool) tool.cleanup();
+    });
+
+    test("should page through rows with continuation tokens", async () => {
+      const first = await tool.use({ action: "page", statement, pageSize: 2 });
+      expect(first.status).toBe(200);
+      expect(first.content.rows.map(r => r.id)).toEqual([1, 2]);
+      expect(first.content.hasMore).toBe(true);
+
+      const second = await tool.use({ action: "page", statement, pageSize: 2, cursor: first.content.nextCursor });
+      expect(second.content.rows.map(r => r.id)).toEqual([3, 4]);
+
+      const last = await tool.use({ action: "page", statement, pageSize: 2, cursor: second.content.nextCursor });
+      expect(last.content.rows.map(r => r.id)).toEqual([5]);
+      expect(last.content.hasMore).toBe(false);
+      expect(last.content.nextCursor).toBeNull();
+    });
+
+    test("should combine keyset pages with where clauses and mixed directions", async () => {
+      const filtered = {
+        ...statement,
+        where: { kind: "a" },
+        orderBy: [{ column: "kind", direction: "asc" }, { column: "id", direction: "desc" }]
+      };
+
+      const first = await tool.use({ action: "page", statement: filtered, pageSize: 2 });
+      expect(first.content.rows.map(r => r.id)).toEqual([5, 3]);
+
+      const second = await tool.use({ action: "page", statement: filtered, pageSize: 2, cursor: first.content.nextCursor });
+      expect(second.content.rows.map(r => r.id)).toEqual([1]);
+    });
+
+    test("should reject pagination without an orderBy or with a bad cursor", async () => {
+      const unordered = await tool.use({ action: "page", statement: { type: "select", table: "events" } });
+      expect(unordered.status).toBe(400);
+      expect(unordered.content.error).toContain("orderBy");
+
+      const badCursor = await tool.use({ action: "page", statement, cursor: "not-a-cursor" });
+      expect(badCursor.status).toBe(400);
+      expect(badCursor.content.error).toBe("Invalid cursor");
+    });
+
+    test("should stream rows through an async iterator", async () => {
+      const result = await tool.use({ action: "stream", statement, pageSize: 2 });
+      expect(result.status).toBe(200);
+
+      const ids = [];
+      for await (const row of result.content.iterator) {
+        ids.push(row.id);
+      }
+      expect(ids).toEqual([1, 2, 3, 4, 5]);
+    });
+
+    test("should stream NDJSON and CSV bodies", async () => {
+      const ndjson = await tool.use({ action: "stream", statement, pageSize: 2, format: "ndjson" });
+      const lines = (await new Response(ndjson.content.body).text()).trim().split("\n");
+      expect(lines).toHaveLength(5);
+      expect(JSON.parse(lines[0])).toEqual({ id: 1, kind: "a" });
+
+      await tool.use({ query: "UPDATE events SET kind = ? WHERE id = ?", values: ['say "hi", ok', 2] });
+      const csv = await tool.use({ action: "stream", statement, pageSize: 3, format: "csv" });
+      const text = await new Response(csv.content.body).text();
+      expect(text.split("\n").slice(0, 3)).toEqual(["id,kind", "1,a", '2,"say ""hi"", ok"']);
+    });
+
+    test("should reject unsupported stream formats", async () => {
+      const result = await tool.use({ action: "stream", statement, format: "xml" });
+      expect(result.status).toBe(400);
+      expect(result.content.error).toContain("Unsupported stream format");
+    });
+  });
+
+  describe("Read Replica Routing Tests", () => {
+    let tool;
+    let calls;
+
+    const fakeConnection = (name, { fail = false } = {}) => ({
+      unsafe: async (query) => {
+        calls.push(name);
+        if (fail) throw new Error(`${name} unavailable`);
+        return [{ server: name }];
+      },
+      end: () => {}
+    });
+
+    beforeEach(() => {
+      calls = [];
+      tool = new SqlTool({
+        type: "postgresql",
+        host: "primary.db",
+        user: "app",
+        password: "secret",
+        database: "shop",
+        port: 5432,
+        replicas: ["replica-1.db", { host: "replica-2.db", port: 5433 }]
+      });
+      tool.connection = fakeConnection("primary");
+      tool.replicas = [fakeConnection("replica-1"), fakeConnection("replica-2")];
+    });
+
+    test("should inherit primary settings for replica endpoints", () => {
+      expect(tool.replicaEndpoints()).toEqual([
+        { host: "replica-1.db", user: "app", password: "secret", database: "shop", port: 5432 },
+        { host: "replica-2.db", user: "app", password: "secret", database: "shop", port: 5433 }
+      ]);
+    });
+
+    test("should round-robin reads across replicas", async () => {
+      await tool.use({ query: "SELECT * FROM products" });
+      await tool.use({ query: "SELECT * FROM products" });
+      await tool.use({ query: "SELECT * FROM products" });
+
+      expect(calls).toEqual(["replica-1", "replica-2", "replica-1"]);
+    });
+
+    test("should send writes and locking reads to the primary", async () => {
+      await tool.use({ query: "UPDATE products SET stock = stock - 1 WHERE id = $1", values: [1] });
+      await tool.use({ query: "SELECT * FROM products WHERE id = $1 FOR UPDATE", values: [1] });
+
+      expect(calls).toEqual(["primary", "primary"]);
+    });
+
+    test("should fail over to the primary when a replica errors", async () => {
+      tool.replicas = [fakeConnection("replica-1", { fail: true })];
+
+      const result = await tool.use({ query: "SELECT * FROM products" });
+
+      expect(result.status).toBe(200);
+      expect(result.content.rows).toEqual([{ server: "primary" }]);
+      expect(calls).toEqual(["replica-1", "primary"]);
+    });
+
+    test("should honour an explicit target", async () => {
+      await tool.use({ query: "SELECT * FROM products", target: "primary" });
+      expect(calls).toEqual(["primary"]);
+
+      const invalid = await tool.use({ query: "SELECT 1", target: "nearest" });
+      expect(invalid.status).toBe(400);
+      expect(invalid.content.error).toContain("Unsupported target");
+    });
+
+    test("should reject replicas for sqlite", () => {
+      expect(() => new SqlTool({ type: "sqlite", replicas: ["elsewhere"] }))
+        .toThrow("Read replicas are only supported");
+    });
+  });
+
+  describe("Query Cache Tests", () => {
+    let tool;
+
+    beforeEach(async () => {
+      tool = new SqlTool({
+        type: "sqlite",
+        dbPath: ":memory:",
+        cache: { maxEntries: 2, ttl: 60 },
+        initialization: `
+          CREATE TABLE products (id INTEGER PRIMARY KEY, name TEXT);
+          CREATE TABLE reviews (id INTEGER PRIMARY KEY, body TEXT);
+          INSERT INTO products (name) VALUES ('lamp');
+        `
+      });
+      await tool.initialize();
+    });
+
+    afterEach(() => {
+      if (tool) tool.cleanup();
+    });
+
+    test("should serve repeated reads from the cache when requested", async () => {
+      const first = await tool.use({ query: "SELECT * FROM products WHERE id = ?", values: [1], cache: true });
+      const second = await tool.use({ query: "select *   from products\n where id = ?", values: [1], cache: true });
+
+      expect(first.content.cached).toBeUndefined();
+      expect(second.content.cached).toBe(true);
+      expect(second.content.rows).toEqual([{ id: 1, name: "lamp" }]);
+
+      const stats = await tool.use({ action: "cacheStats" });
+      expect(stats.content.hits).toBe(1);
+      expect(stats.content.misses).toBe(1);
+      expect(stats.content.size).toBe(1);
+    });
+
+    test("should not cache reads that did not opt in", async () => {
+      await tool.use({ query: "SELECT * FROM products" });
+      const stats = await tool.use({ action: "cacheStats" });
+      expect(stats.content.size).toBe(0);
+    });
+
+    test("should invalidate entries when a write hits a tagged table", async () => {
+      await tool.use({ query: "SELECT * FROM products", cache: true });
+      await tool.use({ query: "SELECT * FROM reviews", cache: true });
+
+      await tool.use({ query: "INSERT INTO products (name) VALUES (?)", values: ["desk"] });
+
+      const products = await tool.use({ query: "SELECT * FROM products", cache: true });
+      expect(products.content.cached).toBeUndefined();
+      expect(products.content.rows).toHaveLength(2);
+
+      const reviews = await tool.use({ query: "SELECT * FROM reviews", cache: true });
+      expect(reviews.content.cached).toBe(true);
+    });
+
+    test("should invalidate after a committed transaction", async () => {
+      await tool.use({ query: "SELECT * FROM products", cache: true });
+      await tool.use({
+        action: "transaction",
+        steps: [{ query: "UPDATE products SET name = ? WHERE id = ?", values: ["lantern", 1] }]
+      });
+
+      const products = await tool.use({ query: "SELECT * FROM products", cache: true });
+      expect(products.content.rows).toEqual([{ id: 1, name: "lantern" }]);
+    });
+
+    test("should expire entries after their ttl", async () => {
+      await tool.use({ query: "SELECT * FROM products", cache: { ttl: 0.05 } });
+      await Bun.sleep(80);
+
+      const result = await tool.use({ query: "SELECT * FROM products", cache: true });
+      expect(result.content.cached).toBeUndefined();
+    });
+
+    test("should evict the least recently used entry", async () => {
+      await tool.use({ query: "SELECT 1 AS a", cache: true });
+      await tool.use({ query: "SELECT 2 AS b", cache: true });
+      await tool.use({ query: "SELECT 1 AS a", cache: true });
+      await tool.use({ query: "SELECT 3 AS c", cache: true });
+
+      const stats = await tool.use({ action: "cacheStats" });
+      expect(stats.content.evictions).toBe(1);
+
+      const kept = await tool.use({ query: "SELECT 1 AS a", cache: true });
+      expect(kept.content.cached).toBe(true);
+    });
+
+    test("should invalidate by explicit tags", async () => {
+      await tool.use({ query: "SELECT * FROM products", cache: { tags: ["catalog"] } });
+
+      const result = await tool.use({ action: "invalidate", tags: ["catalog"] });
+      expect(result.content.invalidated).toBe(1);
+    });
+
+    test("should report when the cache is disabled", async () => {
+      const plain = new SqlTool({ type: "sqlite", dbPath: ":memory:" });
+      const result = await plain.use({ action: "cacheStats" });
+      plain.cleanup();
+
+      expect(result.status).toBe(400);
+      expect(result.content.error).toBe("Query cache is not enabled");
+    });
+  });
+
+  describe("Query Metrics Tests", () => {
+    let tool;
+    let warn;
+    let warnings;
+
+    beforeEach(async () => {
+      warnings = [];
+      warn = console.warn;
+      console.warn = (message) => warnings.push(message);
+
+      tool = new SqlTool({
+        type: "sqlite",
+        dbPath: ":memory:",
+        initialization: "CREATE TABLE logs (id INTEGER PRIMARY KEY, level TEXT);"
+      });
+      await tool.initialize();
+    });
+
+    afterEach(() => {
+      console.warn = warn;
+      if (tool) tool.cleanup();
+    });
+
+    test("should aggregate timings by statement fingerprint", async () => {
+      await tool.use({ query: "INSERT INTO logs (level) VALUES (?)", values: ["info"] });
+      await tool.use({ query: "INSERT INTO logs (level) VALUES ('warn')" });
+      await tool.use({ query: "SELECT * FROM logs WHERE id = 1" });
+      await tool.use({ query: "SELECT * FROM logs WHERE id = 2" });
+      await tool.use({ query: "SELECT * FROM logs WHERE id = 3" });
+
+      const result = await tool.use({ action: "stats" });
+      expect(result.status).toBe(200);
+      expect(result.content.totalQueries).toBe(5);
+
+      const select = result.content.statements.find(s => s.fingerprint === "SELECT * FROM LOGS WHERE ID = ?");
+      expect(select.count).toBe(3);
+      expect(select.p50).toBeLessThanOrEqual(select.p95);
+      expect(select.p95).toBeLessThanOrEqual(select.p99);
+
+      const insert = result.content.statements.find(s => s.fingerprint === "INSERT INTO LOGS ( LEVEL ) VALUES ( ? )");
+      expect(insert.count).toBe(2);
+    });
+
+    test("should share one fingerprint across IN list lengths and VALUES rows", () => {
+      expect(fingerprintQuery("SELECT * FROM logs WHERE id IN (1, 2, 3)"))
+        .toBe(fingerprintQuery("SELECT * FROM logs WHERE id IN (?)"));
+      expect(fingerprintQuery("SELECT * FROM logs WHERE id NOT IN (1, 2)")).toBe("SELECT * FROM LOGS WHERE ID NOT IN ( ... )");
+      expect(fingerprintQuery("INSERT INTO logs (level, msg) VALUES ('a', 'b'), ('c', 'd'), (?, ?)"))
+        .toBe("INSERT INTO LOGS ( LEVEL , MSG ) VALUES ( ? , ? ) , ...");
+    });
+
+    test("should not keep the text of queries that cannot be tokenized", () => {
+      expect(fingerprintQuery("SELECT 'unterminated secret")).toBe("(unparsable query)");
+    });
+
+    test("should evict the least recently used fingerprints past the limit", () => {
+      const metrics = new QueryMetrics(2);
+      metrics.record("A", 1, true);
+      metrics.record("B", 1, true);
+      metrics.record("A", 1, true);
+      metrics.record("C", 1, true);
+
+      const snapshot = metrics.snapshot();
+      expect(snapshot.statements.map(s => s.fingerprint).sort()).toEqual(["A", "C"]);
+      expect(snapshot.evictedStatements).toBe(1);
+    });
+
+    test("should count failed statements as errors", async () => {
+      await tool.use({ query: "SELECT * FROM missing_table" });
+
+      const result = await tool.use({ action: "stats" });
+      expect(result.content.statements[0].errors).toBe(1);
+    });
+
+    test("should reset stats on request", async () => {
+      await tool.use({ query: "SELECT 1" });
+      await tool.use({ action: "stats", reset: true });
+
+      const result = await tool.use({ action: "stats" });
+      expect(result.content.totalQueries).toBe(0);
+    });
+
+    test("should log slow statements without their values", async () => {
+      const slowTool = new SqlTool({ type: "sqlite", dbPath: ":memory:", slowQueryMs: 0.000001 });
+      await slowTool.use({ query: "SELECT ? AS secret", values: ["hunter2"] });
+      slowTool.cleanup();
+
+      expect(warnings).toHaveLength(1);
+      expect(warnings[0]).toContain("slow query");
+      expect(warnings[0]).toContain("1 params");
+      expect(warnings[0]).toContain("SELECT ? AS SECRET");
+      expect(warnings[0]).not.toContain("hunter2");
+    });
+  });
+
+  describe("Fixture Tests", () => {
+    let tool;
+    let fixturesDir;
+
+    beforeEach(async () => {
+      fixturesDir = await mkdtemp(path.join(tmpdir(), "sql-fixtures-"));
+      await writeFile(path.join(fixturesDir, "posts.yml"), [
+        "posts:",
+        "  hello:",
+        "    title: Hello",
+        "    author_id: { $ref: users.ada }",
+        "    author_email: { $ref: users.ada.email }",
+        "    meta: { tags: [intro] }"
+      ].join("\n"));
+      await writeFile(path.join(fixturesDir, "users.json"), JSON.stringify({
+        users: {
+          ada: { email: "ada@example.com" },
+          grace: { id: 10, email: "grace@example.com", mentor_id: { $ref: "users.ada" } }
+        }
+      }));
+
+      tool = new SqlTool({
+        type: "sqlite",
+        dbPath: path.join(fixturesDir, "test.db"),
+        initialization: `
+          CREATE TABLE users (id INTEGER PRIMARY KEY, email TEXT, mentor_id INTEGER REFERENCES users(id));
+          CREATE TABLE posts (id INTEGER PRIMARY KEY, title TEXT, author_id INTEGER REFERENCES users(id), author_email TEXT, meta TEXT);
+        `
+      });
+      await tool.initialize();
+    });
+
+    afterEach(async () => {
+      if (tool) tool.cleanup();
+      await rm(fixturesDir, { recursive: true, force: true });
+    });
+
+    test("should load YAML and JSON fixtures with references resolved", async () => {
+      const fixtures = await loadFixtures(tool, fixturesDir);
+
+      expect(fixtures.users.ada.id).toBe(1);
+      expect(fixtures.users.grace).toMatchObject({ id: 10, mentor_id: 1 });
+      expect(fixtures.posts.hello).toMatchObject({
+        title: "Hello",
+        author_id: 1,
+        author_email: "ada@example.com",
+        meta: JSON.stringify({ tags: ["intro"] })
+      });
+    });
+
+    test("should replace existing rows when reset is set", async () => {
+      await loadFixtures(tool, fixturesDir);
+      await loadFixtures(tool, fixturesDir, { reset: true });
+
+      const { rows } = await tool.executeQuery("SELECT COUNT(*) AS total FROM users");
+      expect(rows[0].total).toBe(2);
+    });
+
+    test("should reject unknown and circular references", async () => {
+      await expect(loadFixtures(tool, { posts: { a: { author_id: { $ref: "users.nobody" } } } }))
+        .rejects.toThrow("Unknown fixture reference: users.nobody");
+
+      await expect(loadFixtures(tool, {
+        users: {
+          a: { mentor_id: { $ref: "users.b" } },
+          b: { mentor_id: { $ref: "users.a" } }
+        }
+      })).rejects.toThrow("Circular fixture reference: users.a -> users.b -> users.a");
+    });
+
+    test("should reject duplicate labels across files", async () => {
+      await writeFile(path.join(fixturesDir, "more_users.yml"), "users:\n  ada:\n    email: other@example.com\n");
+      await expect(readFixtures(fixturesDir)).rejects.toThrow("Duplicate fixture users.ada");
+    });
+
+    test("should snapshot and restore a sqlite database file", async () => {
+      await loadFixtures(tool, fixturesDir);
+      const snapshot = await snapshotDatabase(tool);
+
+      await tool.use({ query: "DELETE FROM posts" });
+      await restoreDatabase(tool, snapshot);
+
+      const result = await tool.use({ query: "SELECT title FROM posts" });
+      expect(result.content.rows).toEqual([{ title: "Hello" }]);
+    });
+
+    test("should refuse to snapshot an in-memory database", async () => {
+      const memoryTool = new SqlTool({ type: "sqlite", dbPath: ":memory:" });
+      await memoryTool.initialize();
+
+      await expect(snapshotDatabase(memoryTool)).rejects.toThrow("Snapshots require a file-backed sqlite database");
+      memoryTool.cleanup();
+    });
+  });
+
+  describe("Pool and Health Tests", () => {
+    test("should report health with latency for sqlite", async () => {
+      const tool = new SqlTool({ type: "sqlite", dbPath: ":memory:" });
+      await tool.initialize();
+
+      const result = await tool.use({ action: "health" });
+      tool.cleanup();
+
+      expect(result.status).toBe(200);
+      expect(result.content.healthy).toBe(true);
+      expect(result.content.type).toBe("sqlite");
+      expect(typeof result.content.latencyMs).toBe("number");
+      expect(result.content.pool).toEqual({ max: 1 });
+      expect(result.content.inFlight).toBe(0);
+    });
+
+    test("should build pool options from init params", () => {
+      const tool = new SqlTool({
+        type: "postgresql",
+        maxConn: 25,
+        idleTimeout: 60,
+        maxLifetime: 1800,
+        connectionTimeout: 5
+      });
+
+      expect(tool.poolOptions()).toEqual({
+        max: 25,
+        idleTimeout: 60,
+        maxLifetime: 1800,
+        connectionTimeout: 5
+      });
+    });
+
+    test("should default pool options", () => {
+      const tool = new SqlTool({ type: "mysql" });
+      expect(tool.poolOptions()).toEqual({
+        max: 10,
+        idleTimeout: 20,
+        maxLifetime: 0,
+        connectionTimeout: 30
+      });
+    });
+  });
+
   describe("Resilience Tests", () => {
     test("should handle failed initialization SQL gracefully", async () => {
       const badTool = new SqlTool({
@@ -330,7 +1476,8 @@ describe("SqlTool", () => {
       const schema = SqlTool.in_schema();
       expect(schema.query).toBeDefined();
       expect(schema.query.type).toBe("string");
-      expect(schema.query.required).toBe(true);
+      // Only the query action takes a query, so it is not required by the schema.
+      expect(schema.query.required).toBe(false);
       expect(schema.values).toBeDefined();
       expect(schema.values.type).toBe("array");
       expect(schema.values.required).toBe(false);
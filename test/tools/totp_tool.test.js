@@ -0,0 +1,113 @@
+import { describe, expect, test, afterEach, setSystemTime } from "bun:test";
+import { Tool } from 'duwende';
+import { TotpTool } from '../../tools/totp_tool.js';
+import { MemoryDenylistStore } from '../../tools/jwt/denylist.js';
+import { base32Decode, base32Encode } from '../../tools/totp/otp.js';
+
+// RFC 6238 appendix B seeds.
+const seeds = {
+    SHA1: base32Encode(Buffer.from('12345678901234567890')),
+    SHA256: base32Encode(Buffer.from('12345678901234567890123456789012')),
+    SHA512: base32Encode(Buffer.from('1234567890123456789012345678901234567890123456789012345678901234'))
+};
+
+describe('TotpTool', () => {
+    const newTool = (options = {}) => new TotpTool({ replay: new MemoryDenylistStore(), bcrypt: { saltRounds: 4 }, ...options });
+
+    afterEach(() => {
+        setSystemTime();
+    });
+
+    test("should properly extend Tool class", () => {
+        expect(TotpTool.prototype instanceof Tool).toBe(true);
+    });
+
+    test('should match the RFC 6238 test vectors', async () => {
+        const vectors = [
+            ['SHA1', 59, '94287082'],
+            ['SHA1', 1111111109, '07081804'],
+            ['SHA1', 2000000000, '69279037'],
+            ['SHA256', 59, '46119246'],
+            ['SHA256', 1234567890, '91819424'],
+            ['SHA512', 59, '90693936'],
+            ['SHA512', 20000000000, '47863826']
+        ];
+        for (const [algorithm, seconds, code] of vectors) {
+            const tool = newTool({ algorithm, digits: 8 });
+            expect((await tool.use({ action: 'generate', secret: seeds[algorithm], time: seconds * 1000 })).content).toBe(code);
+        }
+    });
+
+    test('should round-trip base32', () => {
+        const bytes = Buffer.from([0, 1, 2, 250, 251, 252, 253]);
+        expect(base32Decode(base32Encode(bytes))).toEqual(bytes);
+        expect(base32Encode(Buffer.from('foobar'))).toBe('MZXW6YTBOI');
+        expect(base32Decode('mzxw 6ytb-oi======').toString()).toBe('foobar');
+    });
+
+    test('should generate secrets and provisioning URIs', async () => {
+        const tool = newTool({ issuer: 'Acme Corp' });
+        const { content } = await tool.use({ action: 'generateSecret', account: 'ada@example.com' });
+
+        expect(content.secret).toMatch(/^[A-Z2-7]{32}$/);
+        expect(base32Decode(content.secret).length).toBe(20);
+        expect(content.uri).toBe(`otpauth://totp/Acme%20Corp:ada%40example.com?secret=${content.secret}&issuer=Acme%20Corp&algorithm=SHA1&digits=6&period=30`);
+    });
+
+    test('should verify codes within the drift window', async () => {
+        const tool = newTool({ window: 1 });
+        const { content: { secret } } = await tool.use({ action: 'generateSecret' });
+        const now = new Date('2026-03-01T12:00:10Z').getTime();
+        setSystemTime(new Date(now));
+
+        const previous = (await tool.use({ action: 'generate', secret, time: now - 30000 })).content;
+        expect(await tool.use({ action: 'verify', secret, code: previous, account: 'ada' })).toEqual({ status: 200, content: { valid: true, delta: -1 } });
+
+        const next = (await tool.use({ action: 'generate', secret, time: now + 30000 })).content;
+        expect((await tool.use({ action: 'verify', secret, code: `${next.slice(0, 3)} ${next.slice(3)}`, account: 'ada' })).content.delta).toBe(1);
+
+        const tooOld = (await tool.use({ action: 'generate', secret, time: now - 60000 })).content;
+        expect(await tool.use({ action: 'verify', secret, code: tooOld, account: 'ada' }))
+            .toEqual({ status: 401, content: { valid: false, code: 'invalid-code', message: 'Invalid code' } });
+        expect((await tool.use({ action: 'verify', secret, code: '12345', account: 'ada' })).content.code).toBe('invalid-code');
+    });
+
+    test('should reject a code that was already used', async () => {
+        const tool = newTool();
+        const { content: { secret } } = await tool.use({ action: 'generateSecret' });
+        const code = (await tool.use({ action: 'generate', secret })).content;
+
+        expect((await tool.use({ action: 'verify', secret, code, account: 'ada' })).status).toBe(200);
+        expect(await tool.use({ action: 'verify', secret, code, account: 'ada' }))
+            .toEqual({ status: 401, content: { valid: false, code: 'replayed', message: 'Code has already been used' } });
+        // Replay protection is per account, and falls back to the secret.
+        expect((await tool.use({ action: 'verify', secret, code, account: 'grace' })).status).toBe(200);
+        expect((await tool.use({ action: 'verify', secret, code })).status).toBe(200);
+        expect((await tool.use({ action: 'verify', secret, code })).content.code).toBe('replayed');
+    });
+
+    test('should generate single-use recovery codes stored as bcrypt hashes', async () => {
+        const tool = newTool();
+        const { content } = await tool.use({ action: 'recoveryCodes', count: 3 });
+
+        expect(content.codes).toHaveLength(3);
+        expect(content.codes[0]).toMatch(/^[a-z2-9]{5}-[a-z2-9]{5}$/);
+        expect(content.hashes.every((hash) => hash.startsWith('$2'))).toBe(true);
+
+        const used = await tool.use({ action: 'verifyRecoveryCode', code: content.codes[1].toUpperCase(), hashes: content.hashes });
+        expect(used).toEqual({ status: 200, content: { valid: true, remaining: [content.hashes[0], content.hashes[2]] } });
+
+        const again = await tool.use({ action: 'verifyRecoveryCode', code: content.codes[1], hashes: used.content.remaining });
+        expect(again).toEqual({ status: 401, content: { valid: false, code: 'invalid-code', message: 'Invalid recovery code' } });
+    });
+
+    test('should return 400 for invalid input', async () => {
+        const tool = newTool();
+        expect(await tool.use({ action: 'verify', code: '123456' })).toEqual({ status: 400, content: 'Error: A secret is required' });
+        expect(await tool.use({ action: 'generate', secret: 'not base32!' })).toEqual({ status: 400, content: 'Error: Secret must be base32 encoded' });
+        expect(await tool.use({ action: 'uri', secret: 'MZXW6YTBOI' })).toEqual({ status: 400, content: 'Error: A secret and an account are required' });
+        expect(await tool.use({ action: 'verifyRecoveryCode', code: 'abc' })).toEqual({ status: 400, content: 'Error: The stored recovery code hashes are required' });
+        expect(() => new TotpTool({ algorithm: 'md5' })).toThrow('Unsupported algorithm: MD5. Must be one of: SHA1, SHA256, SHA512');
+        expect(() => new TotpTool({ digits: 4 })).toThrow('digits must be 6, 7 or 8');
+    });
+});
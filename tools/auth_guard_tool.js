@@ -0,0 +1,227 @@
+import { Tool } from 'duwende';
+import { JWTTool } from './jwt_tool.js';
+
+const STATUS_TEXT = { 401: 'Unauthorized', 403: 'Forbidden' };
+
+export class AuthGuardTool extends Tool {
+  constructor(params) {
+    super(params);
+    this.rules = params.rules || {};
+    if (!params.jwt?.secretKey && !params.jwt?.keys?.length) {
+      throw new Error('auth_guard_tool requires jwt.secretKey or jwt.keys');
+    }
+    this.jwtTool = new JWTTool(params.jwt);
+    this.rolesClaim = params.rolesClaim || 'roles';
+    this.scopesClaim = params.scopesClaim || 'scope';
+    this.loginUrl = params.loginUrl || null;
+  }
+
+  async use(params) {
+    try {
+      switch (params.action) {
+        case 'protect':
+          return {
+            status: 200,
+            content: { methods: this.protect(params.resource) }
+          };
+        case 'authorize':
+          return await this.authorizeAction(params.request, params.method);
+        default:
+          throw new Error(`Unsupported action: ${params.action}`);
+      }
+    } catch (error) {
+      return {
+        status: 400,
+        content: `Error: ${error.message}`
+      };
+    }
+  }
+
+  // Rules are keyed by handler name, with '*' applying to every handler without its own rule:
+  // - true: any authenticated user
+  // - 'admin' or ['admin', 'editor']: one of the roles
+  // - { roles: [...], scopes: [...] }: one of the roles and all of the scopes
+  // - false or null: public
+  ruleFor(method) {
+    const rule = method in this.rules ? this.rules[method] : this.rules['*'];
+    if (rule === undefined || rule === null || rule === false) return null;
+    if (rule === true) return { roles: [], scopes: [] };
+    if (typeof rule === 'string' || Array.isArray(rule)) return { roles: [].concat(rule), scopes: [] };
+    return { roles: [].concat(rule.roles || []), scopes: [].concat(rule.scopes || []) };
+  }
+
+  /**
+   * Wraps the guarded handleXXX/renderXXX methods of a resource so each request is
+   * authorized before the handler runs. Wrapping happens synchronously, so a resource
+   * can call `use({ action: 'protect', resource: this })` from its constructor.
+   * @param {Object} resource - The resource instance.
+   * @returns {Array<string>} The names of the wrapped methods.
+   */
+  protect(resource) {
+    if (!resource) {
+      throw new Error('A resource is required');
+    }
+
+    const wrapped = [];
+    for (const method of handlerNames(resource)) {
+      if (!this.ruleFor(method)) continue;
+
+      const handler = resource[method].bind(resource);
+      resource[method] = async (request, ...args) => {
+        const result = await this.authorize(request, method);
+        return result.allowed ? handler(request, ...args) : result.response;
+      };
+      wrapped.push(method);
+    }
+    return wrapped;
+  }
+
+  async authorizeAction(request, method) {
+    if (!request || !method) {
+      throw new Error('authorize requires a request and a method');
+    }
+
+    const result = await this.authorize(request, method);
+    return {
+      status: result.allowed ? 200 : result.response.status,
+      content: result
+    };
+  }
+
+  /**
+   * Verifies the request's token against the method's rule. On success the claims are
+   * attached to the request as `request.auth`; otherwise a JSON (handleXXX) or HTML
+   * (renderXXX) 401/403 response is returned.
+   * @param {Request} request - The incoming request.
+   * @param {string} method - The handler name, e.g. handlePost.
+   * @returns {Promise<Object>} `{ allowed, claims }` or `{ allowed: false, response }`.
+   */
+  async authorize(request, method) {
+    const rule = this.ruleFor(method);
+    if (!rule) {
+      return { allowed: true, claims: null };
+    }
+
+    const verified = await this.jwtTool.use({ action: 'verify', headers: request.headers, cookies: true });
+    if (verified.status !== 200) {
+      const { code = 'missing', message } = typeof verified.content === 'object' ? verified.content : {};
+      return {
+        allowed: false,
+        response: this.deny(401, method, request, code, message || verified.content)
+      };
+    }
+
+    const claims = verified.content;
+    const roles = this.claimValues(claims[this.rolesClaim] ?? claims.role);
+    const scopes = this.claimValues(claims[this.scopesClaim] ?? claims.scp);
+
+    if (rule.roles.length > 0 && !rule.roles.some((role) => roles.includes(role))) {
+      return {
+        allowed: false,
+        response: this.deny(403, method, request, 'insufficient-role', `Requires one of the roles: ${rule.roles.join(', ')}`)
+      };
+    }
+    const missingScopes = rule.scopes.filter((scope) => !scopes.includes(scope));
+    if (missingScopes.length > 0) {
+      return {
+        allowed: false,
+        response: this.deny(403, method, request, 'insufficient-scope', `Missing scopes: ${missingScopes.join(', ')}`)
+      };
+    }
+
+    request.auth = { claims, roles, scopes };
+    return { allowed: true, claims };
+  }
+
+  // Roles may be a string or an array; OAuth scopes are a space-delimited string.
+  claimValues(value) {
+    if (Array.isArray(value)) return value.map(String);
+    if (typeof value === 'string') return value.split(/\s+/).filter(Boolean);
+    return [];
+  }
+
+  deny(status, method, request, code, message) {
+    const error = STATUS_TEXT[status];
+
+    if (!method.startsWith('render')) {
+      const headers = { 'Content-Type': 'application/json' };
+      if (status === 401) {
+        headers['WWW-Authenticate'] = code === 'missing' ? 'Bearer' : 'Bearer error="invalid_token"';
+      }
+      return new Response(JSON.stringify({ error, code, message }), { status, headers });
+    }
+
+    // Signed-out visitors of HTML pages are sent to the login page when one is configured.
+    if (status === 401 && this.loginUrl) {
+      const { pathname, search } = new URL(request.url);
+      const location = `${this.loginUrl}${this.loginUrl.includes('?') ? '&' : '?'}next=${encodeURIComponent(pathname + search)}`;
+      return new Response(null, { status: 302, headers: { Location: location } });
+    }
+
+    const html = `<!DOCTYPE html>
+<html>
+  <head><title>${status} ${error}</title></head>
+  <body>
+    <h1>${status} ${error}</h1>
+    <p>${escapeHtml(message || '')}</p>
+  </body>
+</html>`;
+    return new Response(html, { status, headers: { 'Content-Type': 'text/html' } });
+  }
+
+  static init_schema() {
+    return {
+      rules: { type: 'object', required: false },
+      jwt: { type: 'object', required: false },
+      rolesClaim: { type: 'string', required: false },
+      scopesClaim: { type: 'string', required: false },
+      loginUrl: { type: 'string', required: false }
+    };
+  }
+
+  static in_schema() {
+    return {
+      action: {
+        type: 'string',
+        required: true,
+        enum: ['protect', 'authorize']
+      },
+      resource: { type: 'object', required: false },
+      request: { type: 'object', required: false },
+      method: { type: 'string', required: false }
+    };
+  }
+
+  static out_schema() {
+    return {
+      type: 'object',
+      properties: {
+        status: { type: 'number' },
+        content: { type: 'any' }
+      }
+    };
+  }
+
+  static about() {
+    return 'This tool guards resource handlers with JWT authentication and role/scope rules declared per method (for example in a resource\'s config.json "auth" section). The protect action wraps the guarded handleXXX and renderXXX methods of a resource, attaches the verified claims to the request as request.auth, and answers with consistent 401/403 responses as JSON for handlers and HTML for renderers.';
+  }
+}
+
+// handleXXX and renderXXX methods defined by the resource class and its ancestors.
+function handlerNames(resource) {
+  const names = new Set();
+  for (let proto = Object.getPrototypeOf(resource); proto && proto !== Object.prototype; proto = Object.getPrototypeOf(proto)) {
+    for (const name of Object.getOwnPropertyNames(proto)) {
+      if (/^(handle|render)[A-Z]/.test(name) && typeof resource[name] === 'function') {
+        names.add(name);
+      }
+    }
+  }
+  return [...names];
+}
+
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, (char) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&#39;' })[char]);
+}
+
+export const auth_guard_tool = AuthGuardTool;
@@ -1,10 +1,24 @@
 import { Tool } from 'duwende';
 import bcrypt from 'bcryptjs';
+import { createHash } from 'crypto';
+import { checkStrength } from './password/strength.js';
+import { pepperPassword } from './password/hashes.js';
+
+// bcrypt ignores everything after the first 72 bytes of a password.
+const BCRYPT_MAX_BYTES = 72;
+const LONG_PASSWORDS = ['reject', 'prehash'];
 
 export class BcryptTool extends Tool {
   constructor(params) {
     super(params);
     this.saltRounds = params.saltRounds || 10;
+    this.pepper = params.pepper || null;
+    this.passwordPolicy = params.passwordPolicy || {};
+    this.longPasswords = params.longPasswords || 'reject';
+
+    if (!LONG_PASSWORDS.includes(this.longPasswords)) {
+      throw new Error(`Invalid longPasswords: ${this.longPasswords}. Must be one of: ${LONG_PASSWORDS.join(', ')}`);
+    }
   }
 
   async use(params) {
@@ -13,9 +27,16 @@ export class BcryptTool extends Tool {
     try {
       switch (action) {
         case 'hash':
-          return this.hashPassword(password);
+          return await this.hashPassword(password);
         case 'compare':
-          return this.comparePassword(password, hash);
+          return await this.comparePassword(password, hash);
+        case 'validate':
+          return await this.validatePassword(password, params.userInputs);
+        case 'needsRehash':
+          return {
+            status: 200,
+            content: this.needsRehash(hash)
+          };
         default:
           throw new Error(`Unsupported action: ${action}`);
       }
@@ -27,9 +48,36 @@ export class BcryptTool extends Tool {
     }
   }
 
+  /**
+   * Turns a password into the bcrypt input. With a pepper the password is replaced by
+   * its HMAC-SHA256 under the pepper, which also keeps it under bcrypt's 72-byte limit.
+   * Without one, longer passwords are rejected when hashing or, with
+   * longPasswords 'prehash', replaced by their SHA-256 digest.
+   */
+  preparePassword(password, { hashing }) {
+    if (typeof password !== 'string' || password.length === 0) {
+      throw new Error('Password is required');
+    }
+    if (this.pepper) {
+      return pepperPassword(password, this.pepper);
+    }
+    if (Buffer.byteLength(password) <= BCRYPT_MAX_BYTES) {
+      return password;
+    }
+    if (this.longPasswords === 'prehash') {
+      return createHash('sha256').update(password).digest('base64');
+    }
+    // Hashes stored before long passwords were rejected still verify against the truncated password.
+    if (hashing) {
+      throw new Error(`Password must be at most ${BCRYPT_MAX_BYTES} bytes`);
+    }
+    return password;
+  }
+
   async hashPassword(password) {
+    const input = this.preparePassword(password, { hashing: true });
     try {
-      const hash = await bcrypt.hash(password, this.saltRounds);
+      const hash = await bcrypt.hash(input, this.saltRounds);
       return {
         status: 200,
         content: hash
@@ -43,8 +91,9 @@ export class BcryptTool extends Tool {
   }
 
   async comparePassword(password, hash) {
+    const input = this.preparePassword(password, { hashing: false });
     try {
-      const match = await bcrypt.compare(password, hash);
+      const match = await bcrypt.compare(input, hash);
       return {
         status: 200,
         content: match
@@ -57,9 +106,55 @@ export class BcryptTool extends Tool {
     }
   }
 
+  /**
+   * Checks a password against the configured passwordPolicy (see checkStrength) and,
+   * unless long passwords are pre-hashed or peppered, bcrypt's 72-byte limit.
+   * @param {string} password - The password.
+   * @param {Array<string>} [userInputs] - Personal values the password must not contain.
+   * @returns {Promise<Object>} 200 with `{ valid: true, errors: [] }` or 400 with the failed rules.
+   */
+  async validatePassword(password, userInputs = []) {
+    if (typeof password !== 'string') {
+      throw new Error('Password is required');
+    }
+
+    const errors = await checkStrength(password, this.passwordPolicy, userInputs);
+    if (!this.pepper && this.longPasswords === 'reject' && Buffer.byteLength(password) > BCRYPT_MAX_BYTES) {
+      errors.push({ code: 'too-many-bytes', message: `Password must be at most ${BCRYPT_MAX_BYTES} bytes` });
+    }
+
+    if (errors.length > 0) {
+      return {
+        status: 400,
+        content: { error: 'Password does not meet the requirements', valid: false, errors }
+      };
+    }
+    return {
+      status: 200,
+      content: { valid: true, errors: [] }
+    };
+  }
+
+  /**
+   * Tells whether a stored hash was made with fewer rounds than saltRounds, so it
+   * should be replaced after the next successful compare.
+   * @param {string} hash - The stored bcrypt hash.
+   * @returns {boolean} Whether to rehash.
+   * @throws {Error} If the hash is not a bcrypt hash
+   */
+  needsRehash(hash) {
+    if (typeof hash !== 'string' || !/^\$2[abxy]\$\d{2}\$[./A-Za-z0-9]{53}$/.test(hash)) {
+      throw new Error('Not a bcrypt hash');
+    }
+    return bcrypt.getRounds(hash) < this.saltRounds;
+  }
+
   static init_schema() {
     return {
-      saltRounds: { type: 'number', required: false }
+      saltRounds: { type: 'number', required: false },
+      pepper: { type: 'string', required: false },
+      passwordPolicy: { type: 'object', required: false },
+      longPasswords: { type: 'string', required: false, enum: LONG_PASSWORDS }
     };
   }
 
@@ -68,10 +163,11 @@ export class BcryptTool extends Tool {
       action: {
         type: 'string',
         required: true,
-        enum: ['hash', 'compare']
+        enum: ['hash', 'compare', 'validate', 'needsRehash']
       },
-      password: { type: 'string', required: true },
-      hash: { type: 'string', required: false }
+      password: { type: 'string', required: false },
+      hash: { type: 'string', required: false },
+      userInputs: { type: 'array', required: false }
     };
   }
 
@@ -86,7 +182,7 @@ export class BcryptTool extends Tool {
   }
 
   static about() {
-    return 'This tool provides bcrypt operations for password hashing and verification. It supports hashing passwords with configurable salt rounds and comparing plain text passwords with hashed values.';
+    return 'This tool provides bcrypt operations for password hashing and verification. It supports hashing passwords with configurable salt rounds and comparing plain text passwords with hashed values, validating passwords against strength rules and a bundled list of common passwords, detecting hashes made with fewer rounds than configured, an optional server-side pepper applied with HMAC, and rejecting or pre-hashing passwords longer than bcrypt\'s 72-byte limit instead of silently truncating them.';
   }
 }
 
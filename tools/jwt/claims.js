@@ -0,0 +1,86 @@
+import jwt from 'jsonwebtoken';
+import { timespanSeconds } from './keys.js';
+
+/**
+ * A token rejection with a stable machine-readable code:
+ * malformed, bad-signature, bad-algorithm, unknown-key, expired, not-yet-valid,
+ * wrong-issuer, wrong-audience, missing-claim, wrong-token-type, revoked or reused.
+ */
+export class TokenError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'TokenError';
+    this.code = code;
+  }
+}
+
+/**
+ * Checks the registered claims of a payload whose signature is already verified.
+ * @param {Object} payload - The token payload.
+ * @param {Object} [options]
+ * @param {string|Array<string>} [options.issuer] - Accepted `iss` values.
+ * @param {string|Array<string>} [options.audience] - Accepted `aud` values; one match is enough.
+ * @param {number|string} [options.maxAge] - Maximum age since `iat`, in seconds or as a timespan.
+ * @param {number} [options.clockTolerance=0] - Allowed clock skew in seconds for exp, nbf and maxAge.
+ * @param {Array<string>} [options.requiredClaims] - Claims that must be present.
+ * @throws {TokenError} If a claim is missing or does not match
+ */
+export function validateClaims(payload, options = {}) {
+  const { issuer, audience, maxAge, clockTolerance = 0, requiredClaims = [] } = options;
+  if (!payload || typeof payload !== 'object') {
+    throw new TokenError('malformed', 'jwt payload must be an object');
+  }
+
+  for (const claim of requiredClaims) {
+    if (payload[claim] === undefined) {
+      throw new TokenError('missing-claim', `jwt ${claim} claim is required`);
+    }
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  for (const claim of ['nbf', 'exp', 'iat']) {
+    if (payload[claim] !== undefined && typeof payload[claim] !== 'number') {
+      throw new TokenError('malformed', `jwt ${claim} claim must be a number`);
+    }
+  }
+
+  if (payload.nbf !== undefined && payload.nbf > now + clockTolerance) {
+    throw new TokenError('not-yet-valid', 'jwt not active');
+  }
+  if (payload.exp !== undefined && now >= payload.exp + clockTolerance) {
+    throw new TokenError('expired', 'jwt expired');
+  }
+  if (maxAge !== undefined) {
+    if (payload.iat === undefined) {
+      throw new TokenError('missing-claim', 'jwt iat claim is required when maxAge is set');
+    }
+    if (now - clockTolerance > payload.iat + timespanSeconds(maxAge)) {
+      throw new TokenError('expired', 'maxAge exceeded');
+    }
+  }
+
+  if (issuer !== undefined && ![].concat(issuer).includes(payload.iss)) {
+    throw new TokenError('wrong-issuer', `jwt issuer invalid. expected: ${[].concat(issuer).join(' or ')}`);
+  }
+  if (audience !== undefined) {
+    const expected = [].concat(audience);
+    const actual = [].concat(payload.aud ?? []);
+    if (!actual.some((value) => expected.includes(value))) {
+      throw new TokenError('wrong-audience', `jwt audience invalid. expected: ${expected.join(' or ')}`);
+    }
+  }
+}
+
+/**
+ * Maps jsonwebtoken and TokenError failures to a TokenError code.
+ * @param {Error} error - The verification error.
+ * @returns {string} The code.
+ */
+export function errorCode(error) {
+  if (error instanceof TokenError) return error.code;
+  if (error instanceof jwt.TokenExpiredError) return 'expired';
+  if (error instanceof jwt.NotBeforeError) return 'not-yet-valid';
+  if (error.message === 'invalid signature') return 'bad-signature';
+  if (/algorithm/.test(error.message)) return 'bad-algorithm';
+  return 'malformed';
+}
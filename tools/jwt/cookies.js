@@ -0,0 +1,120 @@
+// RFC 6265 cookie-name is an RFC 7230 token.
+const COOKIE_NAME = /^[!#$%&'*+\-.^_`|~0-9A-Za-z]+$/;
+const SAME_SITE = { strict: 'Strict', lax: 'Lax', none: 'None' };
+
+/**
+ * Parses a Cookie request header (RFC 6265 section 5.4) into a name/value map.
+ * Values may be double-quoted and are percent-decoded when they are valid
+ * encodings; pairs without a name or `=` are skipped and the first occurrence of
+ * a name wins, since browsers send the most specific path first.
+ * @param {string} header - The Cookie header value.
+ * @returns {Object<string, string>} The cookies by name.
+ */
+export function parseCookies(header) {
+  const cookies = {};
+  if (!header) return cookies;
+
+  for (const pair of header.split(';')) {
+    const separator = pair.indexOf('=');
+    if (separator === -1) continue;
+
+    const name = pair.slice(0, separator).trim();
+    if (!COOKIE_NAME.test(name) || name in cookies) continue;
+
+    let value = pair.slice(separator + 1).trim();
+    if (value.length >= 2 && value.startsWith('"') && value.endsWith('"')) {
+      value = value.slice(1, -1);
+    }
+    cookies[name] = decode(value);
+  }
+
+  return cookies;
+}
+
+function decode(value) {
+  if (!value.includes('%')) return value;
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
+}
+
+/**
+ * Builds a Set-Cookie header value. Cookies default to HttpOnly, Secure,
+ * SameSite=Lax and Path=/.
+ * @param {string} name - The cookie name.
+ * @param {string} value - The cookie value; it is percent-encoded.
+ * @param {Object} [options]
+ * @param {number} [options.maxAge] - Lifetime in seconds; also sets Expires. Omit for a session cookie.
+ * @param {Date} [options.expires] - An explicit Expires date.
+ * @param {string} [options.domain] - The Domain attribute.
+ * @param {string} [options.path='/'] - The Path attribute.
+ * @param {boolean} [options.httpOnly=true] - Hide the cookie from scripts.
+ * @param {boolean} [options.secure=true] - Only send the cookie over HTTPS.
+ * @param {string} [options.sameSite='Lax'] - Strict, Lax or None (None requires secure).
+ * @returns {string} The header value.
+ * @throws {Error} If the name or an attribute is invalid
+ */
+export function serializeCookie(name, value, options = {}) {
+  const { maxAge, expires, domain, path = '/', httpOnly = true, secure = true, sameSite = 'Lax' } = options;
+  if (!COOKIE_NAME.test(name)) {
+    throw new Error(`Invalid cookie name: ${name}`);
+  }
+
+  const parts = [`${name}=${encodeURIComponent(value)}`];
+
+  if (maxAge !== undefined) {
+    if (!Number.isInteger(maxAge)) {
+      throw new Error('Cookie maxAge must be an integer number of seconds');
+    }
+    parts.push(`Max-Age=${maxAge}`);
+  }
+  // Expires is kept for clients that ignore Max-Age.
+  const expiresAt = expires ?? (maxAge !== undefined ? new Date(Date.now() + Math.max(maxAge, 0) * 1000) : null);
+  if (expiresAt) {
+    parts.push(`Expires=${expiresAt.toUTCString()}`);
+  }
+  if (domain) {
+    parts.push(`Domain=${checkAttribute('domain', domain)}`);
+  }
+  if (path) {
+    parts.push(`Path=${checkAttribute('path', path)}`);
+  }
+  if (httpOnly) {
+    parts.push('HttpOnly');
+  }
+  if (secure) {
+    parts.push('Secure');
+  }
+  if (sameSite) {
+    const normalized = SAME_SITE[String(sameSite).toLowerCase()];
+    if (!normalized) {
+      throw new Error(`Invalid cookie sameSite: ${sameSite}. Must be one of: Strict, Lax, None`);
+    }
+    if (normalized === 'None' && !secure) {
+      throw new Error('SameSite=None cookies must be secure');
+    }
+    parts.push(`SameSite=${normalized}`);
+  }
+
+  return parts.join('; ');
+}
+
+/**
+ * Builds a Set-Cookie header that makes the browser drop a cookie. Domain and
+ * path must match the ones the cookie was set with.
+ * @param {string} name - The cookie name.
+ * @param {Object} [options] - The serializeCookie options the cookie was set with.
+ * @returns {string} The header value.
+ */
+export function clearCookie(name, options = {}) {
+  return serializeCookie(name, '', { ...options, maxAge: 0, expires: new Date(0) });
+}
+
+function checkAttribute(name, value) {
+  if (/[;\r\n]/.test(value)) {
+    throw new Error(`Invalid cookie ${name}: ${value}`);
+  }
+  return value;
+}
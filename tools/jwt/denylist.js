@@ -0,0 +1,147 @@
+import { SqlTool } from '../sql_tool.js';
+import { resolveSharedStore } from '../stores/shared.js';
+
+const IDENTIFIER = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+/**
+ * Denylist stores record revoked token ids until the token would have expired anyway.
+ * A store implements:
+ * - `add(id, expiresAt)`: resolves true if the id was newly added, false if it was
+ *   already present. Refresh rotation relies on this being atomic to detect reuse.
+ * - `has(id)`: resolves true while the id is denied.
+ * `expiresAt` is in seconds since the epoch, or null for ids that never expire.
+ */
+export class MemoryDenylistStore {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  // The check and the insert run without yielding, so concurrent adds of one id
+  // cannot both succeed.
+  async add(id, expiresAt) {
+    if (this.isDenied(id)) return false;
+    this.entries.set(id, expiresAt ?? null);
+    return true;
+  }
+
+  async has(id) {
+    return this.isDenied(id);
+  }
+
+  isDenied(id) {
+    if (!this.entries.has(id)) return false;
+
+    const expiresAt = this.entries.get(id);
+    if (expiresAt !== null && expiresAt <= nowSeconds()) {
+      this.entries.delete(id);
+      return false;
+    }
+    return true;
+  }
+
+  async purge() {
+    for (const id of this.entries.keys()) {
+      this.isDenied(id);
+    }
+  }
+}
+
+/**
+ * Keeps the denylist in a database table through sql_tool, so revocations are
+ * shared between processes. The table is created on first use.
+ */
+export class SqlDenylistStore {
+  /**
+   * @param {Object} options
+   * @param {import('../sql_tool.js').SqlTool} [options.sqlTool] - An existing SqlTool to share.
+   * @param {Object} [options.database] - SqlTool init parameters used when no sqlTool is given.
+   * @param {string} [options.table='jwt_denylist'] - The table name.
+   */
+  constructor({ sqlTool, database, table = 'jwt_denylist' } = {}) {
+    if (!IDENTIFIER.test(table)) {
+      throw new Error(`Invalid denylist table: ${table}`);
+    }
+    this.sqlTool = sqlTool || new SqlTool(database || {});
+    this.table = table;
+    this.ready = null;
+  }
+
+  async query(query, values = []) {
+    if (!this.sqlTool.connection) {
+      await this.sqlTool.initialize();
+    }
+    const result = await this.sqlTool.executeQuery(query, values, { target: 'primary' });
+    if (!result.success) {
+      throw new Error(`Denylist query failed: ${result.error}`);
+    }
+    return result;
+  }
+
+  ensureTable() {
+    this.ready ??= this.query(
+      `CREATE TABLE IF NOT EXISTS ${this.table} (id VARCHAR(255) PRIMARY KEY, expires_at BIGINT)`
+    ).catch((error) => {
+      this.ready = null;
+      throw error;
+    });
+    return this.ready;
+  }
+
+  async add(id, expiresAt) {
+    await this.ensureTable();
+    // An expired row would block the insert, so it is cleared first.
+    await this.query(
+      `DELETE FROM ${this.table} WHERE id = ${this.placeholder(1)} AND expires_at <= ${this.placeholder(2)}`,
+      [id, nowSeconds()]
+    );
+
+    const columns = `${this.table} (id, expires_at) VALUES (${this.placeholder(1)}, ${this.placeholder(2)})`;
+    const insert = {
+      postgresql: `INSERT INTO ${columns} ON CONFLICT (id) DO NOTHING`,
+      mysql: `INSERT IGNORE INTO ${columns}`,
+      sqlite: `INSERT OR IGNORE INTO ${columns}`
+    }[this.sqlTool.type];
+
+    const { affectedRows } = await this.query(insert, [id, expiresAt ?? null]);
+    return affectedRows > 0;
+  }
+
+  async has(id) {
+    await this.ensureTable();
+    const { rows } = await this.query(
+      `SELECT 1 AS denied FROM ${this.table} WHERE id = ${this.placeholder(1)} AND (expires_at IS NULL OR expires_at > ${this.placeholder(2)})`,
+      [id, nowSeconds()]
+    );
+    return rows.length > 0;
+  }
+
+  async purge() {
+    await this.ensureTable();
+    await this.query(`DELETE FROM ${this.table} WHERE expires_at <= ${this.placeholder(1)}`, [nowSeconds()]);
+  }
+
+  placeholder(index) {
+    return this.sqlTool.placeholder(index);
+  }
+}
+
+/**
+ * Resolves the `denylist` init parameter of jwt_tool into a store, shared by name
+ * as described in resolveSharedStore.
+ * @param {string|Object} [config='memory'] - 'memory', `{ type: 'memory', name }`,
+ *   `{ type: 'sql', name, database | sqlTool, table }`, or an object implementing add/has.
+ * @returns {Object} The store.
+ * @throws {Error} If the store type is unknown or the name is reused with other options
+ */
+export function createDenylistStore(config = 'memory') {
+  return resolveSharedStore(config, {
+    label: 'denylist',
+    isStore: (candidate) => typeof candidate?.add === 'function' && typeof candidate?.has === 'function',
+    memory: () => new MemoryDenylistStore(),
+    sql: (options) => new SqlDenylistStore(options)
+  });
+}
+
+function nowSeconds() {
+  return Math.floor(Date.now() / 1000);
+}
@@ -0,0 +1,180 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import ms from 'ms';
+
+const HMAC_ALGORITHMS = ['HS256', 'HS384', 'HS512'];
+const EC_CURVES = { ES256: 'prime256v1', ES384: 'secp384r1', ES512: 'secp521r1' };
+
+export const SUPPORTED_ALGORITHMS = [
+  ...HMAC_ALGORITHMS,
+  'RS256', 'RS384', 'RS512',
+  'PS256', 'PS384', 'PS512',
+  ...Object.keys(EC_CURVES),
+  'EdDSA'
+];
+
+/**
+ * Loads a signing/verification key from its configuration. Asymmetric keys are PEM
+ * strings; a missing publicKey is derived from the privateKey. Keys without a
+ * privateKey (or secret) can only verify, which is how retired keys stay valid
+ * for tokens issued before a rotation.
+ * @param {Object} config - `{ kid, algorithm, privateKey, publicKey }` or `{ kid, algorithm, secret }` for HMAC.
+ * @returns {Object} The key with kid, algorithm, signingKey and verifyKey.
+ * @throws {Error} If the algorithm is unsupported or does not match the key type
+ */
+export function loadKey(config) {
+  const { kid, algorithm, privateKey, publicKey, secret } = config || {};
+  if (!kid) {
+    throw new Error('Every key requires a kid');
+  }
+  if (!SUPPORTED_ALGORITHMS.includes(algorithm)) {
+    throw new Error(`Key ${kid}: unsupported algorithm ${algorithm}. Must be one of: ${SUPPORTED_ALGORITHMS.join(', ')}`);
+  }
+
+  if (HMAC_ALGORITHMS.includes(algorithm)) {
+    if (!secret) {
+      throw new Error(`Key ${kid}: ${algorithm} requires a secret`);
+    }
+    return { kid, algorithm, signingKey: secret, verifyKey: secret, symmetric: true };
+  }
+
+  if (!privateKey && !publicKey) {
+    throw new Error(`Key ${kid}: ${algorithm} requires a privateKey or publicKey`);
+  }
+
+  const signingKey = privateKey ? crypto.createPrivateKey(privateKey) : null;
+  const verifyKey = publicKey ? crypto.createPublicKey(publicKey) : crypto.createPublicKey(signingKey);
+  checkKeyType(kid, algorithm, verifyKey);
+
+  return { kid, algorithm, signingKey, verifyKey, symmetric: false };
+}
+
+function checkKeyType(kid, algorithm, key) {
+  const type = key.asymmetricKeyType;
+  const family = algorithm.slice(0, 2);
+
+  const matches =
+    (family === 'RS' && type === 'rsa') ||
+    (family === 'PS' && (type === 'rsa' || type === 'rsa-pss')) ||
+    (family === 'ES' && type === 'ec' && key.asymmetricKeyDetails?.namedCurve === EC_CURVES[algorithm]) ||
+    (algorithm === 'EdDSA' && (type === 'ed25519' || type === 'ed448'));
+
+  if (!matches) {
+    throw new Error(`Key ${kid}: ${algorithm} cannot be used with a ${type} key`);
+  }
+}
+
+/**
+ * Builds a JSON Web Key Set from the public halves of the asymmetric keys.
+ * HMAC secrets are never published.
+ * @param {Array<Object>} keys - Keys returned by loadKey.
+ * @returns {{keys: Array<Object>}} The JWKS document.
+ */
+export function toJwks(keys) {
+  return {
+    keys: keys
+      .filter((key) => !key.symmetric)
+      .map((key) => ({
+        ...key.verifyKey.export({ format: 'jwk' }),
+        kid: key.kid,
+        alg: key.algorithm,
+        use: 'sig'
+      }))
+  };
+}
+
+/**
+ * Signs a payload with a loaded key, adding its kid to the header.
+ * jsonwebtoken has no EdDSA support, so EdDSA tokens are assembled here.
+ * @param {Object} payload - The claims.
+ * @param {Object} key - A key returned by loadKey.
+ * @param {Object} [options] - jsonwebtoken sign options such as expiresIn.
+ * @returns {string} The compact token.
+ */
+export function signWithKey(payload, key, options = {}) {
+  if (key.algorithm !== 'EdDSA') {
+    return jwt.sign(payload, key.signingKey, { ...options, algorithm: key.algorithm, keyid: key.kid });
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  const claims = { iat: now, ...payload };
+  if (options.expiresIn !== undefined) {
+    claims.exp = now + timespanSeconds(options.expiresIn);
+  }
+
+  const header = { alg: 'EdDSA', typ: 'JWT', kid: key.kid };
+  const signingInput = `${base64url(header)}.${base64url(claims)}`;
+  const signature = crypto.sign(null, Buffer.from(signingInput), key.signingKey);
+  return `${signingInput}.${signature.toString('base64url')}`;
+}
+
+/**
+ * Verifies a token's signature with a loaded key. Only the key's own algorithm is
+ * accepted, whatever the token header claims. Time-based and other claims are left
+ * to validateClaims.
+ * @param {string} token - The compact token.
+ * @param {Object} key - A key returned by loadKey.
+ * @returns {Object} The payload.
+ * @throws {jwt.JsonWebTokenError} If the token is malformed or the signature is invalid
+ */
+export function verifyWithKey(token, key) {
+  if (key.algorithm !== 'EdDSA') {
+    return jwt.verify(token, key.verifyKey, {
+      algorithms: [key.algorithm],
+      ignoreExpiration: true,
+      ignoreNotBefore: true
+    });
+  }
+
+  const [encodedHeader, encodedPayload, signature] = token.split('.');
+  const header = parseSegment(encodedHeader);
+  if (header?.alg !== 'EdDSA' || !encodedPayload || !signature) {
+    throw new jwt.JsonWebTokenError('invalid algorithm');
+  }
+
+  const valid = crypto.verify(
+    null,
+    Buffer.from(`${encodedHeader}.${encodedPayload}`),
+    key.verifyKey,
+    Buffer.from(signature, 'base64url')
+  );
+  if (!valid) {
+    throw new jwt.JsonWebTokenError('invalid signature');
+  }
+
+  const payload = parseSegment(encodedPayload);
+  if (!payload || typeof payload !== 'object') {
+    throw new jwt.JsonWebTokenError('jwt malformed');
+  }
+  return payload;
+}
+
+/**
+ * Converts an expiresIn value to seconds. Strings follow the `ms` rules jsonwebtoken
+ * uses for its own expiresIn, so '2 hours' or '1.5h' mean the same to both.
+ * @param {number|string} value - Seconds or a timespan such as '15m', '12h', '7d' or '2 hours'.
+ * @param {string} [name='expiresIn'] - The option name used in the error message.
+ * @returns {number} The number of whole seconds.
+ * @throws {Error} If the timespan is not understood
+ */
+export function timespanSeconds(value, name = 'expiresIn') {
+  if (typeof value === 'number' && Number.isFinite(value)) return value;
+
+  const milliseconds = typeof value === 'string' ? ms(value) : undefined;
+  if (typeof milliseconds !== 'number' || !Number.isFinite(milliseconds)) {
+    throw new Error(`"${name}" should be a number of seconds or a timespan such as "15m"`);
+  }
+  return Math.floor(milliseconds / 1000);
+}
+
+function base64url(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+function parseSegment(segment) {
+  try {
+    return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+  } catch {
+    return null;
+  }
+}
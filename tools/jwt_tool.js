@@ -1,47 +1,92 @@
 import { Tool } from 'duwende';
 import jwt from 'jsonwebtoken';
+import { randomUUID } from 'crypto';
+import { loadKey, toJwks, signWithKey, verifyWithKey, timespanSeconds } from './jwt/keys.js';
+import { createDenylistStore } from './jwt/denylist.js';
+import { TokenError, validateClaims, errorCode } from './jwt/claims.js';
+import { parseCookies, serializeCookie, clearCookie } from './jwt/cookies.js';
+
+// Claims set by the tool itself, dropped when a refresh re-issues the original payload.
+const ISSUED_CLAIMS = ['iat', 'exp', 'nbf', 'jti', 'token_use'];
+const CLAIM_OPTIONS = ['issuer', 'audience', 'algorithms', 'maxAge', 'clockTolerance', 'requiredClaims'];
+const HMAC_ALGORITHMS = ['HS256', 'HS384', 'HS512'];
 
 export class JWTTool extends Tool {
   constructor(params) {
     super(params);
-    this.secretKey = params.secretKey || 'default_secret_key';
+    // There is no fallback secret: a well-known default would let anyone forge tokens.
+    if (!params.secretKey && !params.keys?.length) {
+      throw new Error('jwt_tool requires a secretKey or keys');
+    }
+    this.secretKey = params.secretKey || null;
+
+    // With `keys`, tokens are signed by one key and verified against all of them,
+    // so a retired key keeps verifying until its tokens expire.
+    this.keys = (params.keys || []).map(loadKey);
+    this.signingKey = this.resolveSigningKey(params.signingKid);
+
+    this.accessExpiresIn = params.accessExpiresIn || '15m';
+    this.refreshExpiresIn = params.refreshExpiresIn || '7d';
+    this.denylist = createDenylistStore(params.denylist);
+    this.claimOptions = pickClaimOptions(params);
+
+    // Parsed once here so a bad duration fails at startup instead of on the first login.
+    timespanSeconds(this.accessExpiresIn, 'accessExpiresIn');
+    timespanSeconds(this.refreshExpiresIn, 'refreshExpiresIn');
+    if (this.claimOptions.maxAge !== undefined) {
+      timespanSeconds(this.claimOptions.maxAge, 'maxAge');
+    }
+
+    // Name and attributes (domain, path, httpOnly, secure, sameSite) of the token cookie.
+    const { name = 'jwt-token', ...cookieAttributes } = params.cookie || {};
+    this.cookieName = name;
+    this.cookieAttributes = cookieAttributes;
+  }
+
+  resolveSigningKey(signingKid) {
+    if (!signingKid) {
+      return this.keys.find((key) => key.signingKey) || null;
+    }
+
+    const key = this.keys.find((candidate) => candidate.kid === signingKid);
+    if (!key?.signingKey) {
+      throw new Error(`Signing key ${signingKid} is not configured with a private key or secret`);
+    }
+    return key;
   }
 
   async use(params) {
-    const { action, payload, token, cookies, headers, cookieName, expiresIn } = params;
+    const { action, payload, token, cookies, headers, cookieName = this.cookieName, expiresIn, setCookie } = params;
+    const options = { ...this.claimOptions, ...pickClaimOptions(params) };
 
     try {
       switch (action) {
         case 'sign':
-          return this.signToken(payload, expiresIn);
+          return this.signToken(payload, expiresIn, setCookie && cookieName);
         case 'verify': {
           // Try Authorization header first
           if (headers?.get('authorization')) {
             const authHeader = headers.get('authorization');
             if (authHeader.startsWith('Bearer ')) {
               const bearerToken = authHeader.substring(7);
-              return this.verifyToken(bearerToken);
+              return await this.verifyToken(bearerToken, options);
             }
           }
 
-          // Then try cookies
+          // Then try cookies, from a parsed cookies object or the cookie header
           if (cookies) {
-            if (headers?.get('cookie')) {
-              const tokenName = cookieName || 'jwt-token';
-              const cookieStr = headers.get('cookie');
-              const cookies = cookieStr.split(';').map(c => c.trim());
-              const tokenCookie = cookies.find(c => c.startsWith(`${tokenName}=`) || c.startsWith(`${tokenName} =`));
-              if (tokenCookie) {
-                const [name, ...valueParts] = tokenCookie.split('=');
-                const cookieToken = valueParts.join('=').trim();
-                return this.verifyToken(cookieToken);
-              }
+            const jar = {
+              ...parseCookies(headers?.get('cookie')),
+              ...(typeof cookies === 'object' ? cookies : {})
+            };
+            if (jar[cookieName]) {
+              return await this.verifyToken(jar[cookieName], options);
             }
           }
 
           // Finally try token parameter
           if (token) {
-            return this.verifyToken(token);
+            return await this.verifyToken(token, options);
           }
 
           return {
@@ -51,6 +96,22 @@ export class JWTTool extends Tool {
         }
         case 'decode':
           return this.decodeToken(token);
+        case 'issuePair':
+          return this.issuePair(payload);
+        case 'refresh':
+          return await this.refreshPair(token, options);
+        case 'revoke':
+          return await this.revokeToken(token, options);
+        case 'clear':
+          return {
+            status: 200,
+            content: { setCookie: clearCookie(cookieName, this.cookieAttributes) }
+          };
+        case 'jwks':
+          return {
+            status: 200,
+            content: toJwks(this.keys)
+          };
         default:
           throw new Error(`Unsupported action: ${action}`);
       }
@@ -62,27 +123,206 @@ export class JWTTool extends Tool {
     }
   }
 
-  signToken(payload, expiresIn) {
-    const token = jwt.sign(payload || {}, this.secretKey,  {expiresIn});
+  createToken(payload, expiresIn) {
+    const options = expiresIn !== undefined ? { expiresIn } : {};
+    if (this.keys.length > 0) {
+      if (!this.signingKey) {
+        throw new Error('No key available for signing');
+      }
+      return signWithKey(payload || {}, this.signingKey, options);
+    }
+    return jwt.sign(payload || {}, this.secretKey, options);
+  }
+
+  // With a cookie name, the content also carries a Set-Cookie header whose
+  // Max-Age matches the token's exp (a session cookie when it has none).
+  signToken(payload, expiresIn, cookieName) {
+    const token = this.createToken(payload, expiresIn);
+    if (!cookieName) {
+      return {
+        status: 200,
+        content: token
+      };
+    }
+
+    const { exp } = jwt.decode(token) || {};
+    const maxAge = typeof exp === 'number' ? Math.max(exp - Math.floor(Date.now() / 1000), 0) : undefined;
     return {
       status: 200,
-      content: token
+      content: {
+        token,
+        setCookie: serializeCookie(cookieName, token, { ...this.cookieAttributes, maxAge })
+      }
     };
   }
 
-  verifyToken(token) {
+  // Checks the signature, then the claims. Throws a TokenError or a jsonwebtoken error.
+  validateToken(token, options = {}) {
+    const header = jwt.decode(token, { complete: true })?.header;
+    if (!header) {
+      throw new TokenError('malformed', 'jwt malformed');
+    }
+    if (options.algorithms && !options.algorithms.includes(header.alg)) {
+      throw new TokenError('bad-algorithm', `jwt algorithm ${header.alg} is not allowed`);
+    }
+
+    const decoded = this.keys.length > 0
+      ? this.verifyWithKeys(token, header, options.algorithms)
+      : jwt.verify(token, this.secretKey, {
+        algorithms: options.algorithms || HMAC_ALGORITHMS,
+        ignoreExpiration: true,
+        ignoreNotBefore: true
+      });
+
+    validateClaims(decoded, options);
+    return decoded;
+  }
+
+  // 401 with a stable code, so callers can tell an expired token from a forged one.
+  rejection(code, error = 'Invalid token', message) {
+    return {
+      status: 401,
+      content: { error, code, ...(message ? { message } : {}) }
+    };
+  }
+
+  async verifyToken(token, options = {}) {
+    let decoded;
     try {
-      const decoded = jwt.verify(token, this.secretKey);
-      return {
-        status: 200,
-        content: decoded
-      };
+      decoded = this.validateToken(token, options);
     } catch (error) {
-      return {
-        status: 401,
-        content: 'Invalid token'
-      };
+      return this.rejection(errorCode(error), 'Invalid token', error.message);
+    }
+
+    // Refresh tokens are only accepted by the refresh action.
+    if (decoded.token_use === 'refresh') {
+      return this.rejection('wrong-token-type', 'Invalid token', 'refresh tokens cannot be used for access');
+    }
+    if (await this.isRevoked(decoded)) {
+      return this.rejection('revoked', 'Token has been revoked');
     }
+
+    return {
+      status: 200,
+      content: decoded
+    };
+  }
+
+  async isRevoked(decoded) {
+    if (decoded.jti && await this.denylist.has(decoded.jti)) return true;
+    return Boolean(decoded.fam) && await this.denylist.has(`family:${decoded.fam}`);
+  }
+
+  // Both tokens carry the family id (fam) of the login session, so detecting a
+  // reused refresh token can revoke every token issued from it.
+  createPair(payload, family = randomUUID()) {
+    const claims = { ...payload, fam: family };
+    return {
+      accessToken: this.createToken({ ...claims, jti: randomUUID(), token_use: 'access' }, this.accessExpiresIn),
+      refreshToken: this.createToken({ ...claims, jti: randomUUID(), token_use: 'refresh' }, this.refreshExpiresIn),
+      tokenType: 'Bearer',
+      expiresIn: timespanSeconds(this.accessExpiresIn)
+    };
+  }
+
+  issuePair(payload) {
+    return {
+      status: 200,
+      content: this.createPair(payload || {})
+    };
+  }
+
+  // Each refresh token can be exchanged once. Presenting one again means it was
+  // copied, so its whole family is revoked.
+  async refreshPair(token, options = {}) {
+    if (!token) {
+      throw new Error('A refresh token is required');
+    }
+
+    let decoded;
+    try {
+      decoded = this.validateToken(token, options);
+    } catch (error) {
+      return this.rejection(errorCode(error), 'Invalid token', error.message);
+    }
+
+    if (decoded.token_use !== 'refresh' || !decoded.jti || !decoded.fam) {
+      return this.rejection('wrong-token-type', 'Invalid token', 'a refresh token is required');
+    }
+    if (await this.denylist.has(`family:${decoded.fam}`)) {
+      return this.rejection('revoked', 'Token has been revoked');
+    }
+
+    const firstUse = await this.denylist.add(decoded.jti, decoded.exp ?? null);
+    if (!firstUse) {
+      await this.revokeFamily(decoded.fam);
+      return this.rejection('reused', 'Refresh token reuse detected');
+    }
+
+    const payload = Object.fromEntries(
+      Object.entries(decoded).filter(([claim]) => !ISSUED_CLAIMS.includes(claim) && claim !== 'fam')
+    );
+    return {
+      status: 200,
+      content: this.createPair(payload, decoded.fam)
+    };
+  }
+
+  // Tokens from the family can be issued up to one refresh lifetime from now.
+  async revokeFamily(family) {
+    const expiresAt = Math.floor(Date.now() / 1000) + timespanSeconds(this.refreshExpiresIn);
+    await this.denylist.add(`family:${family}`, expiresAt);
+  }
+
+  // Revoking a refresh token logs out its whole family; an access token is
+  // revoked on its own.
+  async revokeToken(token, options = {}) {
+    if (!token) {
+      throw new Error('A token is required');
+    }
+
+    let decoded;
+    try {
+      decoded = this.validateToken(token, options);
+    } catch (error) {
+      return this.rejection(errorCode(error), 'Invalid token', error.message);
+    }
+
+    if (!decoded.jti) {
+      throw new Error('Only tokens with a jti can be revoked');
+    }
+
+    await this.denylist.add(decoded.jti, decoded.exp ?? null);
+    if (decoded.token_use === 'refresh' && decoded.fam) {
+      await this.revokeFamily(decoded.fam);
+    }
+
+    return {
+      status: 200,
+      content: { revoked: true, jti: decoded.jti, family: decoded.token_use === 'refresh' ? decoded.fam : null }
+    };
+  }
+
+  // Picks the key by the header's kid, or tries every key of the header's algorithm
+  // for tokens issued without one.
+  verifyWithKeys(token, header, algorithms) {
+    const candidates = (header.kid
+      ? this.keys.filter((key) => key.kid === header.kid)
+      : this.keys.filter((key) => key.algorithm === header.alg))
+      .filter((key) => !algorithms || algorithms.includes(key.algorithm));
+    if (candidates.length === 0) {
+      throw new TokenError('unknown-key', `no key matches kid ${header.kid ?? '(none)'} and algorithm ${header.alg}`);
+    }
+
+    let lastError;
+    for (const key of candidates) {
+      try {
+        return verifyWithKey(token, key);
+      } catch (error) {
+        lastError = error;
+      }
+    }
+    throw lastError;
   }
 
   decodeToken(token) {
@@ -95,7 +335,19 @@ export class JWTTool extends Tool {
 
   static init_schema() {
     return {
-      secretKey: { type: 'string', required: false }
+      secretKey: { type: 'string', required: false },
+      keys: { type: 'array', required: false },
+      signingKid: { type: 'string', required: false },
+      accessExpiresIn: { type: ['string', 'number'], required: false },
+      refreshExpiresIn: { type: ['string', 'number'], required: false },
+      denylist: { type: ['string', 'object'], required: false },
+      cookie: { type: 'object', required: false },
+      issuer: { type: ['string', 'array'], required: false },
+      audience: { type: ['string', 'array'], required: false },
+      algorithms: { type: 'array', required: false },
+      maxAge: { type: ['string', 'number'], required: false },
+      clockTolerance: { type: 'number', required: false },
+      requiredClaims: { type: 'array', required: false }
     };
   }
 
@@ -104,13 +356,20 @@ export class JWTTool extends Tool {
       action: { 
         type: 'string', 
         required: true, 
-        enum: ['sign', 'verify', 'decode'] 
+        enum: ['sign', 'verify', 'decode', 'clear', 'jwks', 'issuePair', 'refresh', 'revoke'] 
       },
       payload: { type: 'object', required: false },
       token: { type: 'string', required: false },
       cookies: { type: 'object', required: false },
       headers: { type: 'object', required: false },
-      cookieName: { type: 'string', required: false }
+      cookieName: { type: 'string', required: false },
+      setCookie: { type: 'boolean', required: false },
+      issuer: { type: ['string', 'array'], required: false },
+      audience: { type: ['string', 'array'], required: false },
+      algorithms: { type: 'array', required: false },
+      maxAge: { type: ['string', 'number'], required: false },
+      clockTolerance: { type: 'number', required: false },
+      requiredClaims: { type: 'array', required: false }
     };
   }
 
@@ -125,8 +384,15 @@ export class JWTTool extends Tool {
   }
 
   static about() {
-    return 'This tool provides JWT operations including signing, verifying, and decoding tokens. The verify action automatically checks Authorization headers, cookies, and the token parameter in that order.';
+    return 'This tool provides JWT operations including signing, verifying, and decoding tokens with HMAC secrets or RS256/PS256/ES256/EdDSA keys. Tokens carry the signing key id (kid), verification accepts any configured key to support rotation, and the jwks action publishes the public keys as a JSON Web Key Set. The issuePair action issues short-lived access and long-lived refresh tokens; refresh rotates one-time-use refresh tokens with reuse detection, and revoke adds token ids to a pluggable denylist (in-memory or sql_tool-backed) that verify enforces. With setCookie, sign also returns a Set-Cookie header (HttpOnly, Secure, SameSite, Path, Domain, Max-Age matching the expiry), and the clear action returns the expiring cookie for logout. The verify action automatically checks Authorization headers, cookies, and the token parameter in that order, enforces the configured issuer, audience, algorithms, maxAge, clock tolerance and required claims, and reports failures with codes such as expired, not-yet-valid, bad-signature, wrong-audience and malformed.';
   }
 }
 
+// Claim options may be set at init and overridden per call; undefined values are skipped.
+function pickClaimOptions(params) {
+  return Object.fromEntries(
+    CLAIM_OPTIONS.filter((name) => params[name] !== undefined).map((name) => [name, params[name]])
+  );
+}
+
 export const jwt_tool = JWTTool;
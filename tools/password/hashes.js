@@ -0,0 +1,98 @@
+import { createHmac, randomBytes, scrypt, timingSafeEqual } from 'crypto';
+
+const SCRYPT_KEY_LENGTH = 32;
+const SCRYPT_SALT_LENGTH = 16;
+
+/**
+ * Mixes a server-side pepper into a password with HMAC-SHA256. The base64 result is
+ * 44 bytes, so it also fits bcrypt's 72-byte limit.
+ * @param {string} password - The password.
+ * @param {string} pepper - The pepper.
+ * @returns {string} The peppered password.
+ */
+export function pepperPassword(password, pepper) {
+  return createHmac('sha256', pepper).update(password).digest('base64');
+}
+
+/**
+ * Identifies the algorithm and cost parameters of a stored password hash.
+ * Supported formats are bcrypt (`$2b$12$...`), argon2 (`$argon2id$v=19$m=65536,t=2,p=1$...`)
+ * and scrypt in PHC form (`$scrypt$ln=15,r=8,p=1$<salt>$<hash>`).
+ * @param {string} hash - The stored hash.
+ * @returns {Object|null} `{ algorithm, params }`, or null for an unknown format.
+ */
+export function identifyHash(hash) {
+  if (typeof hash !== 'string') return null;
+
+  const bcrypt = /^\$2[abxy]\$(\d{2})\$[./A-Za-z0-9]{53}$/.exec(hash);
+  if (bcrypt) {
+    return { algorithm: 'bcrypt', params: { rounds: Number(bcrypt[1]) } };
+  }
+
+  const argon2 = /^\$(argon2id|argon2i|argon2d)\$v=\d+\$m=(\d+),t=(\d+),p=(\d+)\$[^$]+\$[^$]+$/.exec(hash);
+  if (argon2) {
+    return {
+      algorithm: argon2[1],
+      params: { memoryCost: Number(argon2[2]), timeCost: Number(argon2[3]), parallelism: Number(argon2[4]) }
+    };
+  }
+
+  const scryptHash = /^\$scrypt\$ln=(\d+),r=(\d+),p=(\d+)\$([A-Za-z0-9+/]+)\$([A-Za-z0-9+/]+)$/.exec(hash);
+  if (scryptHash) {
+    return {
+      algorithm: 'scrypt',
+      params: {
+        cost: 2 ** Number(scryptHash[1]),
+        blockSize: Number(scryptHash[2]),
+        parallelization: Number(scryptHash[3]),
+        salt: Buffer.from(scryptHash[4], 'base64'),
+        key: Buffer.from(scryptHash[5], 'base64')
+      }
+    };
+  }
+
+  return null;
+}
+
+function deriveScrypt(password, salt, { cost, blockSize, parallelization }, keyLength) {
+  // Node refuses to use more than 32 MiB unless maxmem allows it; scrypt needs 128 * N * r bytes.
+  const maxmem = 256 * cost * blockSize + 1024 * 1024;
+  return new Promise((resolve, reject) => {
+    scrypt(password, salt, keyLength, { N: cost, r: blockSize, p: parallelization, maxmem }, (error, key) => {
+      if (error) reject(error);
+      else resolve(key);
+    });
+  });
+}
+
+/**
+ * Hashes a password with scrypt into the PHC string format.
+ * @param {string} password - The password.
+ * @param {Object} options
+ * @param {number} options.cost - N, a power of two.
+ * @param {number} options.blockSize - r.
+ * @param {number} options.parallelization - p.
+ * @returns {Promise<string>} The encoded hash.
+ */
+export async function hashScrypt(password, options) {
+  const { cost, blockSize, parallelization } = options;
+  if (!Number.isInteger(Math.log2(cost)) || cost < 2) {
+    throw new Error('scrypt cost must be a power of two');
+  }
+
+  const salt = randomBytes(SCRYPT_SALT_LENGTH);
+  const key = await deriveScrypt(password, salt, options, SCRYPT_KEY_LENGTH);
+  const encode = (buffer) => buffer.toString('base64').replace(/=+$/, '');
+  return `$scrypt$ln=${Math.log2(cost)},r=${blockSize},p=${parallelization}$${encode(salt)}$${encode(key)}`;
+}
+
+/**
+ * Verifies a password against a scrypt hash from hashScrypt.
+ * @param {string} password - The password.
+ * @param {Object} params - The params from identifyHash.
+ * @returns {Promise<boolean>} Whether the password matches.
+ */
+export async function verifyScrypt(password, params) {
+  const key = await deriveScrypt(password, params.salt, params, params.key.length);
+  return timingSafeEqual(key, params.key);
+}
@@ -0,0 +1,101 @@
+import { readFile } from 'fs/promises';
+import path from 'path';
+
+export const COMMON_PASSWORDS_PATH = path.join(import.meta.dir, 'common-passwords.txt');
+
+const CLASSES = {
+  uppercase: /\p{Lu}/u,
+  lowercase: /\p{Ll}/u,
+  digit: /\p{Nd}/u,
+  symbol: /[^\p{L}\p{Nd}]/u
+};
+
+// Denylists by path, loaded once per process.
+const denylists = new Map();
+
+/**
+ * Loads a denylist file with one password per line; blank lines and lines
+ * starting with # are ignored.
+ * @param {string} [file] - The file, defaults to the bundled list of common passwords.
+ * @returns {Promise<Set<string>>} The lowercased passwords.
+ */
+export function loadDenylist(file = COMMON_PASSWORDS_PATH) {
+  if (!denylists.has(file)) {
+    const loading = readFile(file, 'utf8').then((content) => new Set(
+      content.split(/\r?\n/)
+        .map((line) => line.trim())
+        .filter((line) => line && !line.startsWith('#'))
+        .map((line) => line.toLowerCase())
+    ));
+    // A failed read is retried on the next call.
+    loading.catch(() => denylists.delete(file));
+    denylists.set(file, loading);
+  }
+  return denylists.get(file);
+}
+
+/**
+ * Checks a password against strength rules.
+ * @param {string} password - The password.
+ * @param {Object} [rules]
+ * @param {number} [rules.minLength=8] - Minimum length in characters.
+ * @param {number} [rules.maxLength] - Maximum length in characters.
+ * @param {boolean} [rules.requireUppercase=false] - Require an uppercase letter.
+ * @param {boolean} [rules.requireLowercase=false] - Require a lowercase letter.
+ * @param {boolean} [rules.requireDigit=false] - Require a digit.
+ * @param {boolean} [rules.requireSymbol=false] - Require a character that is not a letter or digit.
+ * @param {number} [rules.minClasses=0] - Minimum number of the four character classes.
+ * @param {boolean|string} [rules.denylist=true] - Reject common passwords: true for the bundled list, a file path for another list, false to skip.
+ * @param {Array<string>} [userInputs] - Values such as the user's name or email the password must not contain.
+ * @returns {Promise<Array<Object>>} The failed rules as `{ code, message }`; empty when the password is acceptable.
+ */
+export async function checkStrength(password, rules = {}, userInputs = []) {
+  const {
+    minLength = 8,
+    maxLength,
+    requireUppercase = false,
+    requireLowercase = false,
+    requireDigit = false,
+    requireSymbol = false,
+    minClasses = 0,
+    denylist = true
+  } = rules;
+  const errors = [];
+  const length = [...password].length;
+
+  if (length < minLength) {
+    errors.push({ code: 'too-short', message: `Password must be at least ${minLength} characters` });
+  }
+  if (maxLength !== undefined && length > maxLength) {
+    errors.push({ code: 'too-long', message: `Password must be at most ${maxLength} characters` });
+  }
+
+  const required = { uppercase: requireUppercase, lowercase: requireLowercase, digit: requireDigit, symbol: requireSymbol };
+  for (const [name, pattern] of Object.entries(CLASSES)) {
+    if (required[name] && !pattern.test(password)) {
+      errors.push({ code: `missing-${name}`, message: `Password must contain a ${name === 'digit' || name === 'symbol' ? name : `${name} letter`}` });
+    }
+  }
+  const classes = Object.values(CLASSES).filter((pattern) => pattern.test(password)).length;
+  if (classes < minClasses) {
+    errors.push({ code: 'too-few-classes', message: `Password must mix at least ${minClasses} of uppercase letters, lowercase letters, digits and symbols` });
+  }
+
+  if (denylist) {
+    const common = await loadDenylist(denylist === true ? COMMON_PASSWORDS_PATH : denylist);
+    if (common.has(password.toLowerCase())) {
+      errors.push({ code: 'common-password', message: 'Password is too common' });
+    }
+  }
+
+  const lowered = password.toLowerCase();
+  for (const input of userInputs) {
+    // Short inputs such as initials would reject too many passwords.
+    if (typeof input === 'string' && input.length >= 3 && lowered.includes(input.toLowerCase())) {
+      errors.push({ code: 'contains-user-input', message: 'Password must not contain personal information' });
+      break;
+    }
+  }
+
+  return errors;
+}
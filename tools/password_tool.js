@@ -0,0 +1,231 @@
+import { Tool } from 'duwende';
+import { BcryptTool } from './bcrypt_tool.js';
+import { checkStrength } from './password/strength.js';
+import { identifyHash, hashScrypt, verifyScrypt, pepperPassword } from './password/hashes.js';
+
+const ALGORITHMS = ['argon2id', 'scrypt', 'bcrypt'];
+
+export class PasswordTool extends Tool {
+  constructor(params) {
+    super(params);
+    this.algorithm = params.algorithm || 'argon2id';
+    this.pepper = params.pepper || null;
+    this.passwordPolicy = params.passwordPolicy || {};
+
+    // argon2id: memory in KiB and iterations
+    this.memoryCost = params.memoryCost || 65536;
+    this.timeCost = params.timeCost || 2;
+    // scrypt: N, r and p
+    this.cost = params.cost || 32768;
+    this.blockSize = params.blockSize || 8;
+    this.parallelization = params.parallelization || 1;
+
+    if (!ALGORITHMS.includes(this.algorithm)) {
+      throw new Error(`Unsupported algorithm: ${this.algorithm}. Must be one of: ${ALGORITHMS.join(', ')}`);
+    }
+
+    // bcrypt hashes keep the bcrypt_tool semantics (pepper, 72-byte limit) so existing ones still verify.
+    this.bcryptTool = new BcryptTool({
+      saltRounds: params.saltRounds,
+      pepper: params.pepper,
+      passwordPolicy: params.passwordPolicy,
+      longPasswords: params.longPasswords
+    });
+  }
+
+  async use(params) {
+    const { action, password, hash } = params;
+
+    try {
+      switch (action) {
+        case 'hash':
+          return {
+            status: 200,
+            content: await this.hashPassword(password)
+          };
+        case 'verify':
+          return {
+            status: 200,
+            content: await this.verifyPassword(password, hash)
+          };
+        case 'needsRehash':
+          return {
+            status: 200,
+            content: this.needsRehash(hash)
+          };
+        case 'validate':
+          return await this.validatePassword(password, params.userInputs);
+        default:
+          throw new Error(`Unsupported action: ${action}`);
+      }
+    } catch (error) {
+      return {
+        status: 400,
+        content: `Error: ${error.message}`
+      };
+    }
+  }
+
+  /**
+   * Hashes a password with the configured algorithm. The hash encodes the algorithm
+   * and its parameters, so verifyPassword needs nothing else.
+   * @param {string} password - The password.
+   * @returns {Promise<string>} The encoded hash.
+   */
+  async hashPassword(password) {
+    if (typeof password !== 'string' || password.length === 0) {
+      throw new Error('Password is required');
+    }
+
+    switch (this.algorithm) {
+      case 'argon2id':
+        return Bun.password.hash(this.prepare(password), {
+          algorithm: 'argon2id',
+          memoryCost: this.memoryCost,
+          timeCost: this.timeCost
+        });
+      case 'scrypt':
+        return hashScrypt(this.prepare(password), {
+          cost: this.cost,
+          blockSize: this.blockSize,
+          parallelization: this.parallelization
+        });
+      case 'bcrypt': {
+        const result = await this.bcryptTool.hashPassword(password);
+        if (result.status !== 200) {
+          throw new Error(result.content);
+        }
+        return result.content;
+      }
+    }
+  }
+
+  /**
+   * Verifies a password against a bcrypt, argon2 or scrypt hash. When it matches but
+   * the hash uses another algorithm or weaker parameters than configured, a fresh
+   * hash is returned as `rehash` so callers can store it and migrate users on login.
+   * @param {string} password - The password.
+   * @param {string} hash - The stored hash.
+   * @returns {Promise<Object>} `{ valid, algorithm, needsRehash, rehash? }`.
+   */
+  async verifyPassword(password, hash) {
+    if (typeof password !== 'string' || password.length === 0) {
+      throw new Error('Password is required');
+    }
+    const info = identifyHash(hash);
+    if (!info) {
+      throw new Error('Unsupported hash format');
+    }
+
+    let valid;
+    if (info.algorithm === 'bcrypt') {
+      const result = await this.bcryptTool.comparePassword(password, hash);
+      valid = result.content === true;
+    } else if (info.algorithm === 'scrypt') {
+      valid = await verifyScrypt(this.prepare(password), info.params);
+    } else {
+      valid = await Bun.password.verify(this.prepare(password), hash);
+    }
+
+    const result = { valid, algorithm: info.algorithm, needsRehash: valid && this.needsRehash(hash) };
+    if (result.needsRehash) {
+      result.rehash = await this.hashPassword(password);
+    }
+    return result;
+  }
+
+  /**
+   * Tells whether a hash was made with another algorithm or weaker parameters than configured.
+   * @param {string} hash - The stored hash.
+   * @returns {boolean} Whether to rehash.
+   * @throws {Error} If the hash format is not supported
+   */
+  needsRehash(hash) {
+    const info = identifyHash(hash);
+    if (!info) {
+      throw new Error('Unsupported hash format');
+    }
+    if (info.algorithm !== this.algorithm) {
+      return true;
+    }
+
+    const { params } = info;
+    switch (info.algorithm) {
+      case 'argon2id':
+        return params.memoryCost < this.memoryCost || params.timeCost < this.timeCost;
+      case 'scrypt':
+        return params.cost < this.cost || params.blockSize < this.blockSize || params.parallelization < this.parallelization;
+      case 'bcrypt':
+        return this.bcryptTool.needsRehash(hash);
+    }
+  }
+
+  async validatePassword(password, userInputs = []) {
+    if (this.algorithm === 'bcrypt') {
+      return this.bcryptTool.validatePassword(password, userInputs);
+    }
+    if (typeof password !== 'string') {
+      throw new Error('Password is required');
+    }
+
+    const errors = await checkStrength(password, this.passwordPolicy, userInputs);
+    if (errors.length > 0) {
+      return {
+        status: 400,
+        content: { error: 'Password does not meet the requirements', valid: false, errors }
+      };
+    }
+    return {
+      status: 200,
+      content: { valid: true, errors: [] }
+    };
+  }
+
+  prepare(password) {
+    return this.pepper ? pepperPassword(password, this.pepper) : password;
+  }
+
+  static init_schema() {
+    return {
+      algorithm: { type: 'string', required: false, enum: ALGORITHMS },
+      pepper: { type: 'string', required: false },
+      passwordPolicy: { type: 'object', required: false },
+      memoryCost: { type: 'number', required: false },
+      timeCost: { type: 'number', required: false },
+      cost: { type: 'number', required: false },
+      blockSize: { type: 'number', required: false },
+      parallelization: { type: 'number', required: false },
+      saltRounds: { type: 'number', required: false },
+      longPasswords: { type: 'string', required: false, enum: ['reject', 'prehash'] }
+    };
+  }
+
+  static in_schema() {
+    return {
+      action: {
+        type: 'string',
+        required: true,
+        enum: ['hash', 'verify', 'needsRehash', 'validate']
+      },
+      password: { type: 'string', required: false },
+      hash: { type: 'string', required: false },
+      userInputs: { type: 'array', required: false }
+    };
+  }
+
+  static out_schema() {
+    return {
+      type: 'object',
+      properties: {
+        status: { type: 'number' },
+        content: { type: 'any' }
+      }
+    };
+  }
+
+  static about() {
+    return 'This tool hashes passwords with memory-hard argon2id (via Bun.password) or scrypt, or with bcrypt, encoding the algorithm and its parameters in the stored hash. It verifies hashes in any of these formats and, when a matching hash uses another algorithm or weaker parameters than configured, returns a fresh hash so existing users are migrated on their next login. It also validates new passwords against strength rules.';
+  }
+}
+
+export const password_tool = PasswordTool;
@@ -0,0 +1,229 @@
+const EFFECTS = ['allow', 'deny'];
+const OPERATORS = ['eq', 'ne', 'in', 'notIn', 'gt', 'gte', 'lt', 'lte', 'exists'];
+
+/**
+ * Validates a policy document and expands role inheritance.
+ *
+ * ```
+ * {
+ *   "roles": { "user": {}, "admin": { "inherits": ["user"] } },
+ *   "rules": [
+ *     { "id": "admins", "effect": "allow", "roles": ["admin"], "actions": ["*"], "resources": ["*"] },
+ *     { "id": "own-profile", "effect": "allow", "roles": ["user"], "actions": ["GET", "PATCH"],
+ *       "resources": ["user"], "when": { "id": "$subject.sub" } }
+ *   ]
+ * }
+ * ```
+ *
+ * Rules without `roles` apply to every subject. `when` maps attribute paths (`id`,
+ * `subject.<claim>`, `attributes.<name>`, `action`, `resource`) to a value, a
+ * `$path` reference, or operators (eq, ne, in, notIn, gt, gte, lt, lte, exists);
+ * all entries must hold, and `any: [ ... ]` holds when one of its conditions does.
+ *
+ * @param {Object} document - The policy document.
+ * @returns {Object} The compiled policy with `roles` (role to all inherited roles) and `rules`.
+ * @throws {Error} If the document is invalid
+ */
+export function compilePolicy(document) {
+  if (!document || !Array.isArray(document.rules)) {
+    throw new Error('Policy must have a rules array');
+  }
+
+  const declared = document.roles || {};
+  const roles = new Map();
+  const expand = (role, trail = []) => {
+    if (trail.includes(role)) {
+      throw new Error(`Circular role inheritance: ${[...trail, role].join(' -> ')}`);
+    }
+    if (!(role in declared)) {
+      throw new Error(`Unknown role: ${role}`);
+    }
+    const inherited = (declared[role].inherits || []).flatMap((parent) => expand(parent, [...trail, role]));
+    return [...new Set([role, ...inherited])];
+  };
+  for (const role of Object.keys(declared)) {
+    roles.set(role, expand(role));
+  }
+
+  const ids = new Set();
+  const rules = document.rules.map((rule, index) => {
+    const id = rule.id || `rule-${index + 1}`;
+    if (ids.has(id)) {
+      throw new Error(`Duplicate rule id: ${id}`);
+    }
+    ids.add(id);
+
+    if (!EFFECTS.includes(rule.effect)) {
+      throw new Error(`Rule ${id}: effect must be one of: ${EFFECTS.join(', ')}`);
+    }
+    for (const role of rule.roles || []) {
+      if (roles.size > 0 && !roles.has(role)) {
+        throw new Error(`Rule ${id}: unknown role ${role}`);
+      }
+    }
+    checkCondition(id, rule.when);
+
+    return {
+      id,
+      effect: rule.effect,
+      roles: rule.roles || null,
+      actions: (rule.actions || ['*']).map((action) => action.toUpperCase()),
+      resources: rule.resources || ['*'],
+      when: rule.when || null,
+      description: rule.description
+    };
+  });
+
+  return { roles, rules };
+}
+
+function checkCondition(id, when) {
+  if (!when) return;
+  for (const [path, condition] of Object.entries(when)) {
+    if (path === 'any') {
+      if (!Array.isArray(condition) || condition.length === 0) {
+        throw new Error(`Rule ${id}: any requires a non-empty array of conditions`);
+      }
+      condition.forEach((group) => checkCondition(id, group));
+      continue;
+    }
+    if (isOperatorObject(condition)) {
+      for (const operator of Object.keys(condition)) {
+        if (!OPERATORS.includes(operator)) {
+          throw new Error(`Rule ${id}: unsupported operator ${operator}`);
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Evaluates a request against a compiled policy. A matching deny rule wins over
+ * any allow rule, and nothing is allowed unless a rule allows it.
+ * @param {Object} policy - A policy from compilePolicy.
+ * @param {Object} request
+ * @param {Object} request.subject - The subject's claims; roles come from `roles` or `role`.
+ * @param {string} request.action - The operation, e.g. GET, LIST, POST, PATCH or DELETE.
+ * @param {string} request.resource - The resource name, e.g. user.
+ * @param {*} [request.id] - The resource id.
+ * @param {Object} [request.attributes] - Further resource attributes, e.g. ownerId.
+ * @returns {Object} `{ allowed, decision, rule, trace }`, where the trace says why each rule matched or not.
+ */
+export function evaluatePolicy(policy, { subject = {}, action, resource, id, attributes = {} }) {
+  const context = { subject, action: String(action).toUpperCase(), resource, id, attributes };
+  const subjectRoles = expandRoles(policy, subject);
+
+  const trace = policy.rules.map((rule) => ({
+    rule: rule.id,
+    effect: rule.effect,
+    ...matchRule(rule, context, subjectRoles)
+  }));
+
+  const deciding = trace.find((entry) => entry.matched && entry.effect === 'deny')
+    || trace.find((entry) => entry.matched && entry.effect === 'allow');
+
+  return {
+    allowed: deciding?.effect === 'allow',
+    decision: deciding ? deciding.effect : 'default-deny',
+    rule: deciding?.rule ?? null,
+    roles: subjectRoles,
+    trace
+  };
+}
+
+function expandRoles(policy, subject) {
+  const direct = [].concat(subject.roles ?? subject.role ?? []).map(String);
+  return [...new Set(direct.flatMap((role) => policy.roles.get(role) || [role]))];
+}
+
+function matchRule(rule, context, subjectRoles) {
+  if (rule.roles && !rule.roles.some((role) => subjectRoles.includes(role))) {
+    return { matched: false, reason: `requires one of the roles: ${rule.roles.join(', ')}` };
+  }
+  if (!rule.actions.includes('*') && !rule.actions.includes(context.action)) {
+    return { matched: false, reason: `action ${context.action} is not one of: ${rule.actions.join(', ')}` };
+  }
+  if (!rule.resources.includes('*') && !rule.resources.includes(context.resource)) {
+    return { matched: false, reason: `resource ${context.resource} is not one of: ${rule.resources.join(', ')}` };
+  }
+
+  const failed = failedCondition(rule.when, context);
+  if (failed) {
+    return { matched: false, reason: `condition failed: ${failed}` };
+  }
+  return { matched: true, reason: rule.when ? 'roles, action, resource and conditions match' : 'roles, action and resource match' };
+}
+
+// Returns a description of the first condition that does not hold, or null.
+function failedCondition(when, context) {
+  if (!when) return null;
+
+  for (const [path, condition] of Object.entries(when)) {
+    if (path === 'any') {
+      const failures = condition.map((group) => failedCondition(group, context));
+      if (failures.every(Boolean)) {
+        return `none of any: [${failures.join('; ')}]`;
+      }
+      continue;
+    }
+
+    const actual = lookup(context, path);
+    const checks = isOperatorObject(condition) ? condition : { eq: condition };
+    for (const [operator, operand] of Object.entries(checks)) {
+      const expected = resolve(context, operand);
+      if (!compare(operator, actual, expected)) {
+        return `${path} ${operator} ${JSON.stringify(expected)} (was ${JSON.stringify(actual)})`;
+      }
+    }
+  }
+  return null;
+}
+
+function compare(operator, actual, expected) {
+  switch (operator) {
+    case 'eq':
+      return same(actual, expected);
+    case 'ne':
+      return !same(actual, expected);
+    case 'in':
+      return [].concat(expected).some((value) => same(actual, value));
+    case 'notIn':
+      return ![].concat(expected).some((value) => same(actual, value));
+    case 'gt':
+      return actual > expected;
+    case 'gte':
+      return actual >= expected;
+    case 'lt':
+      return actual < expected;
+    case 'lte':
+      return actual <= expected;
+    case 'exists':
+      return (actual !== undefined && actual !== null) === Boolean(expected);
+  }
+}
+
+// Ids arrive from URLs as strings while claims are often numbers, so scalars
+// compare by their string form; a missing value never equals anything.
+function same(actual, expected) {
+  if (actual === undefined || actual === null || expected === undefined || expected === null) return false;
+  return String(actual) === String(expected);
+}
+
+// `$subject.sub` style strings refer to other attributes of the request.
+function resolve(context, operand) {
+  if (typeof operand === 'string' && operand.startsWith('$')) {
+    return lookup(context, operand.slice(1));
+  }
+  if (Array.isArray(operand)) {
+    return operand.map((item) => resolve(context, item));
+  }
+  return operand;
+}
+
+function lookup(context, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), context);
+}
+
+function isOperatorObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
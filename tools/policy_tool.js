@@ -0,0 +1,128 @@
+import { Tool } from 'duwende';
+import { readFile, stat } from 'fs/promises';
+import { compilePolicy, evaluatePolicy } from './policy/engine.js';
+
+// Compiled policy files shared by tool instances, reloaded when the file changes.
+const policyFiles = new Map();
+
+export class PolicyTool extends Tool {
+  constructor(params) {
+    super(params);
+    this.policyPath = params.policyPath || null;
+    this.policy = params.policy ? compilePolicy(params.policy) : null;
+
+    if (!this.policy && !this.policyPath) {
+      throw new Error('Either policy or policyPath is required');
+    }
+  }
+
+  async use(params) {
+    try {
+      switch (params.action) {
+        case 'can': {
+          const result = await this.explain(params.subject, params.operation, params.resource, params.id, params.attributes);
+          return {
+            status: 200,
+            content: params.explain ? result : { allowed: result.allowed }
+          };
+        }
+        case 'explain':
+          return {
+            status: 200,
+            content: await this.explain(params.subject, params.operation, params.resource, params.id, params.attributes)
+          };
+        default:
+          throw new Error(`Unsupported action: ${params.action}`);
+      }
+    } catch (error) {
+      return {
+        status: 400,
+        content: `Error: ${error.message}`
+      };
+    }
+  }
+
+  /**
+   * Checks whether a subject may perform an action on a resource.
+   * @param {Object} subject - The subject's claims, e.g. request.auth.claims.
+   * @param {string} action - The operation, e.g. GET, LIST, POST, PATCH or DELETE.
+   * @param {string} resource - The resource name, e.g. user.
+   * @param {*} [id] - The resource id.
+   * @param {Object} [attributes] - Further resource attributes for conditions, e.g. ownerId.
+   * @returns {Promise<boolean>} Whether the action is allowed.
+   */
+  async can(subject, action, resource, id, attributes) {
+    return (await this.explain(subject, action, resource, id, attributes)).allowed;
+  }
+
+  /**
+   * Evaluates like can() and reports the deciding rule and why every rule matched or not.
+   * @returns {Promise<Object>} `{ allowed, decision, rule, roles, trace }`.
+   */
+  async explain(subject, action, resource, id, attributes) {
+    if (!action || !resource) {
+      throw new Error('An operation and a resource are required');
+    }
+    const policy = await this.loadPolicy();
+    return evaluatePolicy(policy, { subject: subject || {}, action, resource, id, attributes });
+  }
+
+  async loadPolicy() {
+    if (this.policy) return this.policy;
+
+    const { mtimeMs } = await stat(this.policyPath);
+    const cached = policyFiles.get(this.policyPath);
+    if (cached && cached.mtimeMs === mtimeMs) {
+      return cached.policy;
+    }
+
+    let document;
+    try {
+      document = JSON.parse(await readFile(this.policyPath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Invalid policy file ${this.policyPath}: ${error.message}`);
+    }
+    const policy = compilePolicy(document);
+    policyFiles.set(this.policyPath, { mtimeMs, policy });
+    return policy;
+  }
+
+  static init_schema() {
+    return {
+      policy: { type: 'object', required: false },
+      policyPath: { type: 'string', required: false }
+    };
+  }
+
+  static in_schema() {
+    return {
+      action: {
+        type: 'string',
+        required: true,
+        enum: ['can', 'explain']
+      },
+      subject: { type: 'object', required: false },
+      operation: { type: 'string', required: true },
+      resource: { type: 'string', required: true },
+      id: { type: 'any', required: false },
+      attributes: { type: 'object', required: false },
+      explain: { type: 'boolean', required: false }
+    };
+  }
+
+  static out_schema() {
+    return {
+      type: 'object',
+      properties: {
+        status: { type: 'number' },
+        content: { type: 'any' }
+      }
+    };
+  }
+
+  static about() {
+    return 'This tool evaluates role- and attribute-based access control policies declared in JSON: roles with inheritance, and allow/deny rules over operations and resources with conditions on the resource id, the subject\'s claims and resource attributes (for example "users may PATCH only their own user"). Deny rules win over allow rules and anything not allowed is denied. The can action answers whether a subject may perform an operation; the explain action also reports the deciding rule and why each rule matched or not.';
+  }
+}
+
+export const policy_tool = PolicyTool;
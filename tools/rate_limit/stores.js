@@ -0,0 +1,231 @@
+import { SqlTool } from '../sql_tool.js';
+import { resolveSharedStore } from '../stores/shared.js';
+
+const IDENTIFIER = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+/**
+ * Attempt stores keep a sliding log of failed attempts and the lockouts per key.
+ * Times are in milliseconds since the epoch. A store implements:
+ * - `addFailure(key, at)`: records a failure.
+ * - `failures(key, since)`: resolves `{ count, last }` for failures after `since`.
+ * - `reserve(key, id, at, since)`: records attempt `id` as a failure and resolves `{ count, last }`
+ *   for the other failures after `since`. Concurrent reservations must each count the others,
+ *   so no two attempts can both see the same earlier count.
+ * - `release(key, id)`: forgets a reserved attempt.
+ * - `lock(key, until)` and `lockedUntil(key)`: set and read a lockout; lockedUntil
+ *   resolves null when there is none.
+ * - `reset(key)`: forgets the failures and lockout of a key.
+ * - `purge(before)`: drops failures and lockouts that ended before a time.
+ */
+export class MemoryAttemptStore {
+  constructor() {
+    this.failureLog = new Map();
+    this.locks = new Map();
+  }
+
+  async addFailure(key, at) {
+    this.record(key, { at, id: null });
+  }
+
+  async failures(key, since) {
+    return this.recent(key, since);
+  }
+
+  // Reading and recording happen without an await in between, which makes a reservation atomic.
+  async reserve(key, id, at, since) {
+    const recent = this.recent(key, since);
+    this.record(key, { at, id });
+    return recent;
+  }
+
+  async release(key, id) {
+    const log = (this.failureLog.get(key) || []).filter((entry) => entry.id !== id);
+    if (log.length > 0) this.failureLog.set(key, log);
+    else this.failureLog.delete(key);
+  }
+
+  record(key, entry) {
+    const log = this.failureLog.get(key) || [];
+    log.push(entry);
+    this.failureLog.set(key, log);
+  }
+
+  recent(key, since) {
+    const log = (this.failureLog.get(key) || []).filter((entry) => entry.at > since);
+    // Older entries can no longer count, so they are dropped on read.
+    if (log.length > 0) this.failureLog.set(key, log);
+    else this.failureLog.delete(key);
+    return { count: log.length, last: log.length > 0 ? log[log.length - 1].at : null };
+  }
+
+  async lock(key, until) {
+    this.locks.set(key, until);
+  }
+
+  async lockedUntil(key) {
+    return this.locks.get(key) ?? null;
+  }
+
+  async reset(key) {
+    this.failureLog.delete(key);
+    this.locks.delete(key);
+  }
+
+  async purge(before) {
+    for (const key of [...this.failureLog.keys()]) {
+      this.recent(key, before);
+    }
+    for (const [key, until] of this.locks) {
+      if (until <= before) this.locks.delete(key);
+    }
+  }
+}
+
+/**
+ * Keeps attempts in database tables through sql_tool, so limits hold across
+ * processes. Each failure is its own row, which keeps recording atomic: a reservation
+ * inserts its row before counting, so concurrent reservations see each other. The tables
+ * (`<table>` and `<table>_locks`) are created on first use.
+ */
+export class SqlAttemptStore {
+  /**
+   * @param {Object} options
+   * @param {import('../sql_tool.js').SqlTool} [options.sqlTool] - An existing SqlTool to share.
+   * @param {Object} [options.database] - SqlTool init parameters used when no sqlTool is given.
+   * @param {string} [options.table='login_attempts'] - The table name.
+   */
+  constructor({ sqlTool, database, table = 'login_attempts' } = {}) {
+    if (!IDENTIFIER.test(table)) {
+      throw new Error(`Invalid attempts table: ${table}`);
+    }
+    this.sqlTool = sqlTool || new SqlTool(database || {});
+    this.table = table;
+    this.locksTable = `${table}_locks`;
+    this.ready = null;
+  }
+
+  async query(query, values = []) {
+    if (!this.sqlTool.connection) {
+      await this.sqlTool.initialize();
+    }
+    const result = await this.sqlTool.executeQuery(query, values, { target: 'primary' });
+    if (!result.success) {
+      throw new Error(`Attempt store query failed: ${result.error}`);
+    }
+    return result;
+  }
+
+  ensureTables() {
+    this.ready ??= (async () => {
+      const columns = 'attempt_key VARCHAR(255) NOT NULL, failed_at BIGINT NOT NULL, attempt_id VARCHAR(64)';
+      // MySQL has no CREATE INDEX IF NOT EXISTS, so its index is declared with the table.
+      if (this.sqlTool.type === 'mysql') {
+        await this.query(`CREATE TABLE IF NOT EXISTS ${this.table} (${columns}, INDEX ${this.table}_key_idx (attempt_key, failed_at))`);
+      } else {
+        await this.query(`CREATE TABLE IF NOT EXISTS ${this.table} (${columns})`);
+        await this.query(`CREATE INDEX IF NOT EXISTS ${this.table}_key_idx ON ${this.table} (attempt_key, failed_at)`);
+      }
+      await this.query(`CREATE TABLE IF NOT EXISTS ${this.locksTable} (attempt_key VARCHAR(255) PRIMARY KEY, locked_until BIGINT NOT NULL)`);
+    })().catch((error) => {
+      this.ready = null;
+      throw error;
+    });
+    return this.ready;
+  }
+
+  async addFailure(key, at) {
+    await this.ensureTables();
+    await this.query(
+      `INSERT INTO ${this.table} (attempt_key, failed_at) VALUES (${this.placeholder(1)}, ${this.placeholder(2)})`,
+      [key, at]
+    );
+  }
+
+  async failures(key, since) {
+    await this.ensureTables();
+    const { rows } = await this.query(
+      `SELECT COUNT(*) AS count, MAX(failed_at) AS last FROM ${this.table} WHERE attempt_key = ${this.placeholder(1)} AND failed_at > ${this.placeholder(2)}`,
+      [key, since]
+    );
+    return countsFrom(rows);
+  }
+
+  async reserve(key, id, at, since) {
+    await this.ensureTables();
+    await this.query(
+      `INSERT INTO ${this.table} (attempt_key, failed_at, attempt_id) VALUES (${this.placeholder(1)}, ${this.placeholder(2)}, ${this.placeholder(3)})`,
+      [key, at, id]
+    );
+    const { rows } = await this.query(
+      `SELECT COUNT(*) AS count, MAX(failed_at) AS last FROM ${this.table} WHERE attempt_key = ${this.placeholder(1)} AND failed_at > ${this.placeholder(2)} AND (attempt_id IS NULL OR attempt_id <> ${this.placeholder(3)})`,
+      [key, since, id]
+    );
+    return countsFrom(rows);
+  }
+
+  async release(key, id) {
+    await this.ensureTables();
+    await this.query(
+      `DELETE FROM ${this.table} WHERE attempt_key = ${this.placeholder(1)} AND attempt_id = ${this.placeholder(2)}`,
+      [key, id]
+    );
+  }
+
+  async lock(key, until) {
+    await this.ensureTables();
+    const columns = `${this.locksTable} (attempt_key, locked_until) VALUES (${this.placeholder(1)}, ${this.placeholder(2)})`;
+    const upsert = {
+      postgresql: `INSERT INTO ${columns} ON CONFLICT (attempt_key) DO UPDATE SET locked_until = EXCLUDED.locked_until`,
+      mysql: `INSERT INTO ${columns} ON DUPLICATE KEY UPDATE locked_until = VALUES(locked_until)`,
+      sqlite: `INSERT OR REPLACE INTO ${columns}`
+    }[this.sqlTool.type];
+    await this.query(upsert, [key, until]);
+  }
+
+  async lockedUntil(key) {
+    await this.ensureTables();
+    const { rows } = await this.query(
+      `SELECT locked_until FROM ${this.locksTable} WHERE attempt_key = ${this.placeholder(1)}`,
+      [key]
+    );
+    return rows.length > 0 ? Number(rows[0].locked_until) : null;
+  }
+
+  async reset(key) {
+    await this.ensureTables();
+    await this.query(`DELETE FROM ${this.table} WHERE attempt_key = ${this.placeholder(1)}`, [key]);
+    await this.query(`DELETE FROM ${this.locksTable} WHERE attempt_key = ${this.placeholder(1)}`, [key]);
+  }
+
+  async purge(before) {
+    await this.ensureTables();
+    await this.query(`DELETE FROM ${this.table} WHERE failed_at <= ${this.placeholder(1)}`, [before]);
+    await this.query(`DELETE FROM ${this.locksTable} WHERE locked_until <= ${this.placeholder(1)}`, [before]);
+  }
+
+  placeholder(index) {
+    return this.sqlTool.placeholder(index);
+  }
+}
+
+function countsFrom(rows) {
+  const { count, last } = rows[0] || {};
+  return { count: Number(count || 0), last: last === null || last === undefined ? null : Number(last) };
+}
+
+/**
+ * Resolves the `store` init parameter of rate_limit_tool, shared by name as
+ * described in resolveSharedStore.
+ * @param {string|Object} [config='memory'] - 'memory', `{ type: 'memory', name }`,
+ *   `{ type: 'sql', name, database | sqlTool, table }`, or an object implementing the store methods.
+ * @returns {Object} The store.
+ * @throws {Error} If the store type is unknown or the name is reused with other options
+ */
+export function createAttemptStore(config = 'memory') {
+  return resolveSharedStore(config, {
+    label: 'attempt',
+    isStore: (candidate) => typeof candidate?.addFailure === 'function' && typeof candidate?.failures === 'function',
+    memory: () => new MemoryAttemptStore(),
+    sql: (options) => new SqlAttemptStore(options)
+  });
+}
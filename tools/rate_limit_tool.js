@@ -0,0 +1,275 @@
+import { Tool } from 'duwende';
+import { randomUUID } from 'crypto';
+import { createAttemptStore } from './rate_limit/stores.js';
+import { timespanSeconds } from './jwt/keys.js';
+
+// When each store was last purged. Stores are shared between the per-request tool instances.
+const purgedAt = new WeakMap();
+
+export class RateLimitTool extends Tool {
+  constructor(params) {
+    super(params);
+    this.window = timespanSeconds(params.window ?? '15m', 'window') * 1000;
+    this.maxFailures = params.maxFailures ?? 5;
+    this.maxIpFailures = params.maxIpFailures ?? 20;
+    this.freeAttempts = params.freeAttempts ?? 3;
+    this.baseDelay = timespanSeconds(params.baseDelay ?? 1, 'baseDelay') * 1000;
+    this.maxDelay = timespanSeconds(params.maxDelay ?? '1m', 'maxDelay') * 1000;
+    this.lockout = timespanSeconds(params.lockout ?? '15m', 'lockout') * 1000;
+    this.store = createAttemptStore(params.store);
+  }
+
+  async use(params) {
+    try {
+      switch (params.action) {
+        case 'attempt':
+          return await this.attempt(params);
+        case 'check':
+          return await this.check(params);
+        case 'fail':
+          return await this.fail(params);
+        case 'reset':
+          return await this.reset(params);
+        default:
+          throw new Error(`Unsupported action: ${params.action}`);
+      }
+    } catch (error) {
+      return {
+        status: 400,
+        content: `Error: ${error.message}`
+      };
+    }
+  }
+
+  // Usernames are normalized so "Ada" and "ada " share a counter.
+  keysFor({ username, ip }) {
+    const keys = [];
+    if (username) {
+      keys.push({ limitedBy: 'username', key: `username:${String(username).trim().toLowerCase()}`, max: this.maxFailures });
+    }
+    if (ip) {
+      keys.push({ limitedBy: 'ip', key: `ip:${ip}`, max: this.maxIpFailures });
+    }
+    if (keys.length === 0) {
+      throw new Error('A username or an ip is required');
+    }
+    return keys;
+  }
+
+  /**
+   * Tells how long a key must wait: until its lockout ends, or until the backoff
+   * delay after its last failure has passed. After freeAttempts failures in the
+   * window the delay starts at baseDelay and doubles with each failure, up to maxDelay.
+   */
+  async waitFor({ key }, now) {
+    const lockedUntil = await this.store.lockedUntil(key);
+    const { count, last } = await this.store.failures(key, now - this.window);
+    return this.waitAfter(lockedUntil, count, last, now);
+  }
+
+  // The same rule for a lockout and failures that were already read.
+  waitAfter(lockedUntil, count, last, now) {
+    if (lockedUntil !== null && lockedUntil > now) {
+      return { wait: lockedUntil - now, reason: 'locked' };
+    }
+    if (count >= this.freeAttempts && last !== null) {
+      const delay = Math.min(this.baseDelay * 2 ** (count - this.freeAttempts), this.maxDelay);
+      if (last + delay > now) {
+        return { wait: last + delay - now, reason: 'backoff', failures: count };
+      }
+    }
+    return { wait: 0, failures: count };
+  }
+
+  // Expired attempts are purged about once per window, so keys that are never seen
+  // again, such as sprayed usernames or addresses, do not pile up in the store.
+  async prune(now) {
+    if (typeof this.store.purge !== 'function' || (purgedAt.get(this.store) ?? 0) + this.window > now) {
+      return;
+    }
+    purgedAt.set(this.store, now);
+    await this.store.purge(now - this.window);
+  }
+
+  /**
+   * Admits a login attempt and counts it as a failure before the password is compared,
+   * so parallel guesses cannot all pass before their failures are recorded. Call reset
+   * with the returned attemptId after a successful login; a failed login needs no fail call.
+   * @param {Object} params
+   * @param {string} [params.username] - The submitted username.
+   * @param {string} [params.ip] - The client address.
+   * @returns {Promise<Object>} 200 with `{ allowed: true, attemptId }`, or 429 like check.
+   */
+  async attempt(params) {
+    const now = Date.now();
+    const entries = this.keysFor(params);
+    await this.prune(now);
+
+    const attemptId = randomUUID();
+    const toLock = [];
+    let blocked = null;
+    for (const entry of entries) {
+      const lockedUntil = await this.store.lockedUntil(entry.key);
+      const { count, last } = await this.store.reserve(entry.key, attemptId, now, now - this.window);
+
+      let { wait, reason } = this.waitAfter(lockedUntil, count, last, now);
+      if (wait === 0 && count >= entry.max) {
+        // Parallel attempts used up the limit before any of them wrote the lockout.
+        await this.store.lock(entry.key, now + this.lockout);
+        wait = this.lockout;
+        reason = 'locked';
+      } else if (wait === 0 && count + 1 >= entry.max) {
+        toLock.push(entry);
+      }
+      if (wait > 0 && (!blocked || wait > blocked.wait)) {
+        blocked = { wait, reason, limitedBy: entry.limitedBy };
+      }
+    }
+
+    if (blocked) {
+      for (const entry of entries) {
+        await this.store.release(entry.key, attemptId);
+      }
+      return {
+        status: 429,
+        content: { allowed: false, retryAfter: retryAfterSeconds(blocked.wait), reason: blocked.reason, limitedBy: blocked.limitedBy }
+      };
+    }
+
+    // This was the last attempt allowed; a successful login lifts the lockout again.
+    for (const entry of toLock) {
+      await this.store.lock(entry.key, now + this.lockout);
+    }
+    return {
+      status: 200,
+      content: { allowed: true, attemptId }
+    };
+  }
+
+  /**
+   * Checks whether a login attempt may proceed, without counting it. Parallel checks
+   * all pass until a failure is recorded; use attempt where that matters.
+   * @param {Object} params
+   * @param {string} [params.username] - The submitted username.
+   * @param {string} [params.ip] - The client address.
+   * @returns {Promise<Object>} 200 with `{ allowed: true }`, or 429 with
+   *   `{ allowed: false, retryAfter, reason, limitedBy }`; retryAfter is in seconds, for a Retry-After header.
+   */
+  async check(params) {
+    const now = Date.now();
+    let blocked = null;
+    for (const entry of this.keysFor(params)) {
+      const { wait, reason } = await this.waitFor(entry, now);
+      if (wait > 0 && (!blocked || wait > blocked.wait)) {
+        blocked = { wait, reason, limitedBy: entry.limitedBy };
+      }
+    }
+
+    if (!blocked) {
+      return {
+        status: 200,
+        content: { allowed: true }
+      };
+    }
+    return {
+      status: 429,
+      content: { allowed: false, retryAfter: retryAfterSeconds(blocked.wait), reason: blocked.reason, limitedBy: blocked.limitedBy }
+    };
+  }
+
+  /**
+   * Records a failed login for the username and the ip, locking a key for the
+   * lockout period once it reaches its limit within the window.
+   * @returns {Promise<Object>} `{ failures, locked, retryAfter }`, with the failures per key.
+   */
+  async fail(params) {
+    const now = Date.now();
+    await this.prune(now);
+    const failures = {};
+    let locked = false;
+    let wait = 0;
+
+    for (const entry of this.keysFor(params)) {
+      await this.store.addFailure(entry.key, now);
+      const { count } = await this.store.failures(entry.key, now - this.window);
+      failures[entry.limitedBy] = count;
+
+      if (count >= entry.max) {
+        await this.store.lock(entry.key, now + this.lockout);
+        locked = true;
+      }
+      wait = Math.max(wait, (await this.waitFor(entry, now)).wait);
+    }
+
+    return {
+      status: 200,
+      content: { failures, locked, retryAfter: wait > 0 ? retryAfterSeconds(wait) : 0 }
+    };
+  }
+
+  /**
+   * Clears the username's failures and lockout after a successful login. The ip
+   * keeps its count, since it may be guessing other accounts; only the successful
+   * attempt itself is released when its attemptId and ip are given.
+   */
+  async reset(params) {
+    if (!params.username) {
+      throw new Error('A username is required');
+    }
+    const [entry, ipEntry] = this.keysFor({ username: params.username, ip: params.ip });
+    await this.store.reset(entry.key);
+    if (ipEntry && params.attemptId) {
+      await this.store.release(ipEntry.key, params.attemptId);
+    }
+    return {
+      status: 200,
+      content: { reset: true }
+    };
+  }
+
+  static init_schema() {
+    return {
+      window: { type: ['number', 'string'], required: false },
+      maxFailures: { type: 'number', required: false },
+      maxIpFailures: { type: 'number', required: false },
+      freeAttempts: { type: 'number', required: false },
+      baseDelay: { type: ['number', 'string'], required: false },
+      maxDelay: { type: ['number', 'string'], required: false },
+      lockout: { type: ['number', 'string'], required: false },
+      store: { type: ['string', 'object'], required: false }
+    };
+  }
+
+  static in_schema() {
+    return {
+      action: {
+        type: 'string',
+        required: true,
+        enum: ['attempt', 'check', 'fail', 'reset']
+      },
+      username: { type: 'string', required: false },
+      ip: { type: 'string', required: false },
+      attemptId: { type: 'string', required: false }
+    };
+  }
+
+  static out_schema() {
+    return {
+      type: 'object',
+      properties: {
+        status: { type: 'number' },
+        content: { type: 'any' }
+      }
+    };
+  }
+
+  static about() {
+    return 'This tool protects login resources from brute force. It counts failed attempts per username and per IP address in a sliding window, makes further attempts wait with exponential backoff, and locks a username or address out for a while after too many failures. The attempt action counts an attempt before the password is compared and answers 429 with a retryAfter value in seconds for the Retry-After header, so parallel guesses are limited too; reset clears a username after a successful login. The check and fail actions check and record failures separately. Attempts are kept in memory or in a database through sql_tool.';
+  }
+}
+
+function retryAfterSeconds(ms) {
+  return Math.max(1, Math.ceil(ms / 1000));
+}
+
+export const rate_limit_tool = RateLimitTool;
@@ -0,0 +1,411 @@
+import { Tool } from "duwende";
+import { SqlTool } from "./sql_tool.js";
+import { defineModel, validateInput, toStorage, mapRow } from "./sql/model.js";
+
+const ACTIONS = ["find", "findMany", "create", "update", "delete"];
+
+export class RepositoryTool extends Tool {
+  constructor(params) {
+    super(params);
+    this.params = params;
+    this.model = defineModel(params.model);
+
+    // A caller-provided SqlTool is shared and left open; otherwise one is created from `database`.
+    this.ownsSqlTool = !params.sqlTool;
+    this.sqlTool = params.sqlTool || new SqlTool(params.database || {});
+  }
+
+  get dialect() {
+    return this.sqlTool.type;
+  }
+
+  get columns() {
+    return Object.keys(this.model.fields);
+  }
+
+  // Rejects unknown fields and converts values to their stored form, recursing
+  // into and/or/not groups and operator objects such as { gte: 18 } or { in: [...] }.
+  serializeWhere(where) {
+    if (!where) return where;
+
+    const serialized = {};
+    for (const [key, value] of Object.entries(where)) {
+      if (key === "and" || key === "or") {
+        serialized[key] = Array.isArray(value) ? value.map((group) => this.serializeWhere(group)) : value;
+        continue;
+      }
+      if (key === "not") {
+        serialized[key] = this.serializeWhere(value);
+        continue;
+      }
+
+      const field = this.model.fields[key];
+      if (!field) {
+        throw new Error(`Unknown field in where: ${key}`);
+      }
+
+      if (value === null || typeof value !== "object" || value instanceof Date) {
+        serialized[key] = toStorage(field, value, this.dialect);
+      } else {
+        serialized[key] = Object.fromEntries(Object.entries(value).map(([operator, operand]) => {
+          if (operator === "isNull" || operator === "like") return [operator, operand];
+          return [operator, Array.isArray(operand)
+            ? operand.map((item) => toStorage(field, item, this.dialect))
+            : toStorage(field, operand, this.dialect)];
+        }));
+      }
+    }
+    return serialized;
+  }
+
+  // Soft-deleted rows are hidden unless explicitly requested.
+  scope(where, withDeleted = false) {
+    const serialized = this.serializeWhere(where);
+    if (!this.model.softDelete || withDeleted) return serialized;
+
+    const live = { [this.model.softDelete]: null };
+    return serialized && Object.keys(serialized).length > 0 ? { and: [serialized, live] } : live;
+  }
+
+  serializeValues(values) {
+    return Object.fromEntries(
+      Object.entries(values).map(([name, value]) => [name, toStorage(this.model.fields[name], value, this.dialect)])
+    );
+  }
+
+  async execute(statement, target) {
+    const result = await this.sqlTool.use({ action: "build", statement, target });
+    if (!result.content.success) {
+      throw new Error(result.content.error);
+    }
+    return result.content;
+  }
+
+  async select({ where, orderBy, limit, offset, withDeleted = false, target } = {}) {
+    const { rows } = await this.execute({
+      type: "select",
+      table: this.model.table,
+      columns: this.columns,
+      where: this.scope(where, withDeleted),
+      orderBy,
+      limit,
+      offset
+    }, target);
+    return rows.map((row) => mapRow(this.model, row));
+  }
+
+  async findById(id, target = "primary") {
+    const [row] = await this.select({ where: { [this.model.primaryKey]: id }, limit: 1, target });
+    return row || null;
+  }
+
+  // Unique fields are checked before writing so callers get a clear 409 rather than a
+  // driver-specific constraint error. The database should still enforce the constraint.
+  async findConflict(values, excludeId) {
+    for (const [name, field] of Object.entries(this.model.fields)) {
+      if (!field.unique || values[name] === undefined || values[name] === null) continue;
+
+      const where = { [name]: values[name] };
+      if (excludeId !== undefined) {
+        where[this.model.primaryKey] = { ne: excludeId };
+      }
+      const rows = await this.select({ where, limit: 1, withDeleted: true, target: "primary" });
+      if (rows.length > 0) return name;
+    }
+    return null;
+  }
+
+  notFound() {
+    return {
+      status: 404,
+      content: { error: `${this.model.table} record not found`, success: false }
+    };
+  }
+
+  invalid(errors) {
+    return {
+      status: 400,
+      content: { error: "Validation failed", errors, success: false }
+    };
+  }
+
+  conflict(field) {
+    return {
+      status: 409,
+      content: { error: `Duplicate value for unique field: ${field}`, field, success: false }
+    };
+  }
+
+  async find(params) {
+    const { id, where, withDeleted, target } = params;
+    if (id === undefined && !where) {
+      return {
+        status: 400,
+        content: { error: "find requires an id or a where condition", success: false }
+      };
+    }
+
+    const [row] = await this.select({
+      where: id !== undefined ? { [this.model.primaryKey]: id } : where,
+      orderBy: params.orderBy,
+      limit: 1,
+      withDeleted,
+      target
+    });
+    if (!row) return this.notFound();
+
+    return {
+      status: 200,
+      content: { row, success: true }
+    };
+  }
+
+  async findMany(params) {
+    const rows = await this.select(params);
+    return {
+      status: 200,
+      content: { rows, count: rows.length, success: true }
+    };
+  }
+
+  async create(data) {
+    const { values, errors } = validateInput(this.model, data);
+    if (errors.length > 0) return this.invalid(errors);
+
+    const conflict = await this.findConflict(values);
+    if (conflict) return this.conflict(conflict);
+
+    if (this.model.timestamps) {
+      const now = new Date();
+      values[this.model.timestamps.createdAt] = now;
+      values[this.model.timestamps.updatedAt] = now;
+    }
+
+    // MySQL has no RETURNING, so the row is read back by its id instead.
+    const returning = this.dialect === "mysql" ? undefined : this.columns;
+    const result = await this.execute({
+      type: "insert",
+      table: this.model.table,
+      values: this.serializeValues(values),
+      returning
+    }, "primary");
+
+    const row = returning
+      ? mapRow(this.model, result.rows[0])
+      : await this.findById(values[this.model.primaryKey] ?? result.lastInsertId);
+
+    return {
+      status: 201,
+      content: { row, success: true }
+    };
+  }
+
+  async update(id, data) {
+    if (id === undefined) {
+      return {
+        status: 400,
+        content: { error: "update requires an id", success: false }
+      };
+    }
+
+    const { values, errors } = validateInput(this.model, data, { partial: true });
+    if (errors.length > 0) return this.invalid(errors);
+    if (Object.keys(values).length === 0) {
+      return this.invalid([{ field: null, message: "No fields to update" }]);
+    }
+
+    const conflict = await this.findConflict(values, id);
+    if (conflict) return this.conflict(conflict);
+
+    if (this.model.timestamps) {
+      values[this.model.timestamps.updatedAt] = new Date();
+    }
+
+    const { affectedRows } = await this.execute({
+      type: "update",
+      table: this.model.table,
+      set: this.serializeValues(values),
+      where: this.scope({ [this.model.primaryKey]: id })
+    }, "primary");
+    if (affectedRows === 0) return this.notFound();
+
+    return {
+      status: 200,
+      content: { row: await this.findById(id), success: true }
+    };
+  }
+
+  // Soft-deletes when the model has a soft-delete column, unless `hard` is set.
+  async delete(id, hard = false) {
+    if (id === undefined) {
+      return {
+        status: 400,
+        content: { error: "delete requires an id", success: false }
+      };
+    }
+
+    const soft = Boolean(this.model.softDelete) && !hard;
+    const statement = soft
+      ? {
+        type: "update",
+        table: this.model.table,
+        set: this.serializeValues({ [this.model.softDelete]: new Date() }),
+        where: this.scope({ [this.model.primaryKey]: id })
+      }
+      : {
+        type: "delete",
+        table: this.model.table,
+        where: this.serializeWhere({ [this.model.primaryKey]: id })
+      };
+
+    const { affectedRows } = await this.execute(statement, "primary");
+    if (affectedRows === 0) return this.notFound();
+
+    return {
+      status: 200,
+      content: { id, deleted: true, soft, success: true }
+    };
+  }
+
+  async use(params) {
+    try {
+      const { action } = params;
+      switch (action) {
+        case "find":
+          return await this.find(params);
+        case "findMany":
+          return await this.findMany(params);
+        case "create":
+          return await this.create(params.data);
+        case "update":
+          return await this.update(params.id, params.data);
+        case "delete":
+          return await this.delete(params.id, params.hard);
+        default:
+          return {
+            status: 400,
+            content: { error: `Unsupported action: ${action}. Must be one of: ${ACTIONS.join(", ")}`, success: false }
+          };
+      }
+    } catch (error) {
+      console.error(`${this.model.table} repository error:`, error);
+      return {
+        status: 400,
+        content: { error: error.message, success: false }
+      };
+    }
+  }
+
+  cleanup() {
+    if (this.ownsSqlTool) {
+      this.sqlTool.cleanup();
+    }
+  }
+
+  static init_schema() {
+    return {
+      model: {
+        type: "object",
+        required: true,
+        description: "Model definition: table, primaryKey, fields ({ type, required, default, unique, maxLength }), timestamps and softDelete"
+      },
+      database: {
+        type: "object",
+        required: false,
+        description: "SqlTool init parameters used to open a connection when no sqlTool is given"
+      },
+      sqlTool: {
+        type: "object",
+        required: false,
+        description: "An existing SqlTool instance to share its connection, cache and metrics"
+      }
+    };
+  }
+
+  static in_schema() {
+    return {
+      action: {
+        type: "string",
+        required: true,
+        enum: ACTIONS,
+        description: "Repository operation to perform"
+      },
+      id: {
+        required: false,
+        description: "Primary key value for find, update and delete"
+      },
+      data: {
+        type: "object",
+        required: false,
+        description: "Field values for create and update"
+      },
+      where: {
+        type: "object",
+        required: false,
+        description: "Conditions for find and findMany, using the sql_tool statement where syntax"
+      },
+      orderBy: {
+        type: ["string", "object", "array"],
+        required: false,
+        description: "Ordering for find and findMany"
+      },
+      limit: {
+        type: "number",
+        required: false,
+        description: "Maximum rows returned by findMany"
+      },
+      offset: {
+        type: "number",
+        required: false,
+        description: "Rows skipped by findMany (requires limit on mysql and sqlite)"
+      },
+      withDeleted: {
+        type: "boolean",
+        required: false,
+        description: "Include soft-deleted rows in find and findMany"
+      },
+      hard: {
+        type: "boolean",
+        required: false,
+        description: "Permanently delete a row of a soft-delete model"
+      },
+      target: {
+        type: "string",
+        required: false,
+        enum: ["auto", "primary", "replica"],
+        description: "Where find and findMany run: auto (default), primary or replica"
+      }
+    };
+  }
+
+  static out_schema() {
+    return {
+      type: "object",
+      properties: {
+        status: { type: "number" },
+        content: {
+          type: "object",
+          properties: {
+            row: { type: "object" },
+            rows: { type: "array" },
+            count: { type: "number" },
+            id: {},
+            deleted: { type: "boolean" },
+            soft: { type: "boolean" },
+            errors: { type: "array" },
+            field: { type: "string" },
+            success: { type: "boolean" },
+            error: { type: "string" }
+          }
+        }
+      },
+      required: ["status", "content"]
+    };
+  }
+
+  static about() {
+    return "A repository tool that provides validated find, findMany, create, update and delete operations for a declarative model (typed fields, required, defaults, unique, timestamps and soft delete), generating SQL through sql_tool for PostgreSQL, MySQL or SQLite.";
+  }
+}
+
+export const repository_tool = RepositoryTool;
@@ -0,0 +1,81 @@
+import { createHash, createHmac } from "crypto";
+
+export const UNSIGNED_PAYLOAD = "UNSIGNED-PAYLOAD";
+
+/**
+ * Encodes an object key for an S3 path the way SigV4 expects: every byte except
+ * unreserved characters is percent-encoded, and slashes are kept.
+ * @param {string} key - The object key.
+ * @returns {string} The encoded key.
+ */
+export function encodeKey(key) {
+  return key.split("/").map((segment) => encodeURIComponent(segment).replace(/[!'()*]/g, (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`)).join("/");
+}
+
+/**
+ * Signs a request with AWS Signature Version 4 in the Authorization header.
+ * @param {Object} request
+ * @param {string} request.method - The HTTP method.
+ * @param {string} request.url - The full URL; its path must already be encoded with encodeKey.
+ * @param {Object<string, string>} [request.headers] - Headers to send; all of them are signed.
+ * @param {string} [request.payloadHash=UNSIGNED_PAYLOAD] - Hex SHA-256 of the body, or UNSIGNED-PAYLOAD.
+ * @param {Object} credentials
+ * @param {string} credentials.accessKeyId
+ * @param {string} credentials.secretAccessKey
+ * @param {string} credentials.region
+ * @param {string} [credentials.sessionToken]
+ * @param {Date} [date] - The signing time; defaults to now.
+ * @returns {Object<string, string>} The headers including host, x-amz-date, x-amz-content-sha256 and Authorization.
+ */
+export function signRequest({ method, url, headers = {}, payloadHash = UNSIGNED_PAYLOAD }, credentials, date = new Date()) {
+  const { accessKeyId, secretAccessKey, region, sessionToken } = credentials;
+  const target = new URL(url);
+  const amzDate = date.toISOString().replace(/[:-]|\.\d{3}/g, "");
+  const day = amzDate.slice(0, 8);
+
+  const signed = {};
+  for (const [name, value] of Object.entries(headers)) {
+    if (value !== undefined && value !== null) {
+      signed[name.toLowerCase()] = String(value).trim().replace(/\s+/g, " ");
+    }
+  }
+  signed.host = target.host;
+  signed["x-amz-date"] = amzDate;
+  signed["x-amz-content-sha256"] = payloadHash;
+  if (sessionToken) {
+    signed["x-amz-security-token"] = sessionToken;
+  }
+
+  const names = Object.keys(signed).sort();
+  const canonicalQuery = [...target.searchParams]
+    .map(([name, value]) => [encodeKey(name), encodeKey(value)])
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+    .map(([name, value]) => `${name}=${value}`)
+    .join("&");
+  const canonicalRequest = [
+    method.toUpperCase(),
+    target.pathname,
+    canonicalQuery,
+    names.map((name) => `${name}:${signed[name]}\n`).join(""),
+    names.join(";"),
+    payloadHash
+  ].join("\n");
+
+  const scope = `${day}/${region}/s3/aws4_request`;
+  const stringToSign = ["AWS4-HMAC-SHA256", amzDate, scope, sha256(canonicalRequest)].join("\n");
+
+  let key = `AWS4${secretAccessKey}`;
+  for (const part of [day, region, "s3", "aws4_request"]) {
+    key = createHmac("sha256", key).update(part).digest();
+  }
+  const signature = createHmac("sha256", key).update(stringToSign).digest("hex");
+
+  return {
+    ...signed,
+    authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${names.join(";")}, Signature=${signature}`
+  };
+}
+
+export function sha256(value) {
+  return createHash("sha256").update(value).digest("hex");
+}
@@ -1,5 +1,13 @@
 import { Tool } from "duwende";
 import { S3Client } from "bun";
+import { encodeKey, signRequest } from "./s3/signer.js";
+
+const MiB = 1024 * 1024;
+// S3 rejects multipart parts smaller than 5 MiB, except the last one.
+const MIN_PART_SIZE = 5 * MiB;
+const PRESIGN_METHODS = ["GET", "PUT"];
+const METADATA_KEY = /^[a-z0-9-]+$/;
+const PRINTABLE_ASCII = /^[\x20-\x7e]*$/;
 
 export class S3StorageTool extends Tool {
   constructor(params) {
@@ -9,6 +17,15 @@ export class S3StorageTool extends Tool {
     this.secretAccessKey = params.secretAccessKey;
     this.bucket = params.bucket;
     this.region = params.region;
+    this.multipartThreshold = params.multipartThreshold ?? 16 * MiB;
+    this.partSize = params.partSize ?? 8 * MiB;
+    this.queueSize = params.queueSize ?? 4;
+    this.listConcurrency = params.listConcurrency ?? 5;
+    this.listMaxSize = params.listMaxSize ?? MiB;
+
+    if (this.partSize < MIN_PART_SIZE) {
+      throw new Error(`partSize must be at least ${MIN_PART_SIZE} bytes`);
+    }
 
     this.s3 = new S3Client({
       bucket: this.bucket,
@@ -26,12 +43,22 @@ export class S3StorageTool extends Tool {
     try {
       switch (operation) {
         case "read": {
-          const data = await this.readFromS3(path, contentType);
-          return { status: 200, content: data };
+          const data = await this.readFromS3(path, contentType, options);
+          return data?.notModified ? { status: 304, content: data } : { status: 200, content: data };
+        }
+        case "stat":
+        case "head": {
+          const data = await this.statFromS3(path, options);
+          return { status: data.notModified ? 304 : 200, content: data };
         }
         case "write": {
-          await this.writeToS3(path, content);
-          return { status: 200, content: "Write operation successful" };
+          const etag = await this.writeToS3(path, content, { ...options, contentType: options.contentType ?? contentType });
+          // Only signed writes learn the new ETag; other writes report it as null.
+          return { status: 200, content: { message: "Write operation successful", etag: etag ?? null } };
+        }
+        case "presign": {
+          const data = this.presign(path, { ...options, contentType });
+          return { status: 200, content: data };
         }
         case "delete": {
           const msg = await this.deleteFromS3(path);
@@ -53,11 +80,15 @@ export class S3StorageTool extends Tool {
       if (error.code === "ERR_S3_INVALID_PATH") {
         return { status: 404, content: `Error: Key not found. Path: ${path}` };
       }
-      return { status: 500, content: `Error: ${error.message}` };
+      return { status: error.status ?? 500, content: `Error: ${error.message}` };
     }
   }
 
-  async readFromS3(key, contentType) {
+  async readFromS3(key, contentType, options = {}) {
+    if (options.ifNoneMatch || options.ifMatch) {
+      return this.readConditionally(key, contentType, options);
+    }
+
     const s3file = this.s3.file(key);
     const exists = await s3file.exists?.();
 
@@ -82,9 +113,180 @@ export class S3StorageTool extends Tool {
     return nodeBuf.toString("utf-8");
   }
 
-  async writeToS3(key, content) {
-    // Bun's S3Client.write supports many types. :contentReference[oaicite:8]{index=8}
-    await this.s3.write(key, content);
+  // A GET with If-None-Match/If-Match, answering { notModified: true } for a 304.
+  async readConditionally(key, contentType, options) {
+    const response = await this.signedFetch("GET", key, { headers: conditionHeaders(options) });
+    if (response.status === 304) {
+      return { notModified: true, etag: response.headers.get("etag") };
+    }
+    await expectOk(response, key);
+
+    const nodeBuf = Buffer.from(await response.arrayBuffer());
+    if (contentType === "image/*") {
+      const ct = response.headers.get("content-type") ?? "application/octet-stream";
+      return `data:${ct};base64,${nodeBuf.toString("base64")}`;
+    }
+    return nodeBuf.toString("utf-8");
+  }
+
+  /**
+   * Reads an object's properties without its content.
+   * @param {string} key - The object key.
+   * @param {Object} [options]
+   * @param {string} [options.ifNoneMatch] - An ETag (or "*"); a match answers `{ notModified: true, etag }`.
+   * @param {string} [options.ifMatch] - An ETag the object must have, or a 412 is returned.
+   * @returns {Promise<Object>} `{ size, etag, lastModified, contentType, cacheControl, metadata }`.
+   */
+  async statFromS3(key, options = {}) {
+    const response = await this.signedFetch("HEAD", key, { headers: conditionHeaders(options) });
+    if (response.status === 304) {
+      return { notModified: true, etag: response.headers.get("etag") };
+    }
+    await expectOk(response, key);
+
+    const metadata = {};
+    for (const [name, value] of response.headers) {
+      if (name.toLowerCase().startsWith("x-amz-meta-")) {
+        metadata[name.toLowerCase().slice("x-amz-meta-".length)] = value;
+      }
+    }
+    const lastModified = response.headers.get("last-modified");
+    return {
+      size: Number(response.headers.get("content-length") ?? 0),
+      etag: response.headers.get("etag"),
+      lastModified: lastModified ? new Date(lastModified) : null,
+      contentType: response.headers.get("content-type"),
+      cacheControl: response.headers.get("cache-control"),
+      metadata
+    };
+  }
+
+  /**
+   * Writes a string, binary data (Buffer, TypedArray, ArrayBuffer), Blob, Response or
+   * ReadableStream. Content larger than multipartThreshold, and streams of unknown
+   * size, are sent as a multipart upload in parts of partSize bytes, queueSize at a time.
+   * @param {string} key - The object key.
+   * @param {*} content - The content.
+   * @param {Object} [options]
+   * @param {string} [options.encoding] - "base64" to decode string content to bytes first.
+   * @param {string} [options.contentType] - The Content-Type to store.
+   * @param {string} [options.cacheControl] - The Cache-Control to store.
+   * @param {Object<string, string>} [options.metadata] - User metadata, stored as x-amz-meta-* headers.
+   * @param {string} [options.ifNoneMatch] - "*" to only create the object if it does not exist.
+   * @param {string} [options.ifMatch] - Only overwrite the object if it still has this ETag.
+   * @returns {Promise<string|undefined>} The new ETag when it is known.
+   */
+  async writeToS3(key, content, options = {}) {
+    if (content === undefined || content === null) {
+      throw httpError(400, "Content is required");
+    }
+
+    let body = content;
+    if (options.encoding === "base64" && typeof body === "string") {
+      body = Buffer.from(body, "base64");
+    }
+    if (body instanceof Response) {
+      body = body.body ?? new Uint8Array(0);
+    }
+
+    const size = byteSize(body);
+    const type = options.contentType ? { type: options.contentType } : {};
+
+    // Bun's client cannot send metadata or conditions, so those writes are signed here.
+    if (options.cacheControl || options.metadata || options.ifNoneMatch || options.ifMatch) {
+      if (size === null || size > this.multipartThreshold) {
+        throw httpError(400, "cacheControl, metadata and conditions are only supported for content up to multipartThreshold");
+      }
+      return this.putWithHeaders(key, body, options);
+    }
+
+    if (size !== null && size <= this.multipartThreshold) {
+      // Bun's S3Client.write supports many types. :contentReference[oaicite:8]{index=8}
+      await this.s3.write(key, body, type);
+      return;
+    }
+
+    const writer = this.s3.file(key).writer({ partSize: this.partSize, queueSize: this.queueSize, ...type });
+    try {
+      for await (const chunk of chunksOf(body)) {
+        await writer.write(chunk);
+      }
+      await writer.end();
+    } catch (error) {
+      // Ending the sink with an error aborts the multipart upload instead of completing it.
+      try {
+        await writer.end(error);
+      } catch {
+        // The original error is more useful than the abort's.
+      }
+      throw error;
+    }
+  }
+
+  async putWithHeaders(key, body, { contentType, cacheControl, metadata = {}, ifNoneMatch, ifMatch }) {
+    const headers = {
+      "content-type": contentType,
+      "cache-control": cacheControl,
+      ...conditionHeaders({ ifNoneMatch, ifMatch })
+    };
+    for (const [name, value] of Object.entries(metadata)) {
+      const header = name.toLowerCase();
+      if (!METADATA_KEY.test(header) || !PRINTABLE_ASCII.test(String(value))) {
+        throw httpError(400, `Invalid metadata ${name}: names may use letters, digits and dashes, values printable ASCII`);
+      }
+      headers[`x-amz-meta-${header}`] = String(value);
+    }
+
+    const response = await this.signedFetch("PUT", key, { headers, body });
+    await expectOk(response, key);
+    return response.headers.get("etag") ?? undefined;
+  }
+
+  credentials() {
+    return {
+      accessKeyId: this.accessKeyId ?? process.env.S3_ACCESS_KEY_ID ?? process.env.AWS_ACCESS_KEY_ID,
+      secretAccessKey: this.secretAccessKey ?? process.env.S3_SECRET_ACCESS_KEY ?? process.env.AWS_SECRET_ACCESS_KEY,
+      sessionToken: process.env.S3_SESSION_TOKEN ?? process.env.AWS_SESSION_TOKEN,
+      region: this.region ?? process.env.S3_REGION ?? process.env.AWS_REGION ?? "us-east-1"
+    };
+  }
+
+  // Path-style object URL, the same form Bun's client presigns.
+  objectUrl(key) {
+    const credentials = this.credentials();
+    const endpoint = this.endpoint ?? process.env.S3_ENDPOINT ?? process.env.AWS_ENDPOINT ?? `https://s3.${credentials.region}.amazonaws.com`;
+    const bucket = this.bucket ?? process.env.S3_BUCKET ?? process.env.AWS_BUCKET;
+    return `${endpoint.replace(/\/+$/, "")}/${encodeKey(bucket)}/${encodeKey(key)}`;
+  }
+
+  async signedFetch(method, key, { headers = {}, body } = {}) {
+    const url = this.objectUrl(key);
+    const { host, ...signed } = signRequest({ method, url, headers }, this.credentials());
+    return fetch(url, { method, headers: signed, body });
+  }
+
+  /**
+   * Creates a time-limited URL for downloading (GET) or uploading (PUT) an object
+   * directly, without passing the data through the server.
+   * @param {string} key - The object key.
+   * @param {Object} [options]
+   * @param {string} [options.method="GET"] - GET or PUT.
+   * @param {number} [options.expiresIn=3600] - Lifetime of the URL in seconds.
+   * @param {string} [options.contentType] - The content type of the object.
+   * @returns {Object} `{ url, method, expiresAt }`.
+   */
+  presign(key, { method = "GET", expiresIn = 3600, contentType } = {}) {
+    const verb = String(method).toUpperCase();
+    if (!PRESIGN_METHODS.includes(verb)) {
+      throw httpError(400, `Unsupported presign method: ${method}. Must be one of: ${PRESIGN_METHODS.join(", ")}`);
+    }
+    // SigV4 presigned URLs are valid for at most seven days.
+    if (!Number.isInteger(expiresIn) || expiresIn < 1 || expiresIn > 604800) {
+      throw httpError(400, "expiresIn must be between 1 and 604800 seconds");
+    }
+
+    const url = this.s3.presign(key, { method: verb, expiresIn, ...(contentType ? { type: contentType } : {}) });
+    return { url, method: verb, expiresAt: new Date(Date.now() + expiresIn * 1000).toISOString() };
   }
 
   async deleteFromS3(key) {
@@ -93,8 +295,35 @@ export class S3StorageTool extends Tool {
     return "Delete operation successful";
   }
 
+  /**
+   * Lists one page of objects under a prefix.
+   * @param {string} prefix - The key prefix.
+   * @param {Object} [options]
+   * @param {number} [options.maxKeys] - Page size, up to 1000.
+   * @param {string} [options.continuationToken] - The continuationToken of the previous page.
+   * @param {string} [options.startAfter] - List keys after this one.
+   * @param {string} [options.delimiter] - Group keys by the part up to this character, e.g. "/" for folders.
+   * @param {boolean} [options.metadata_only=false] - Skip the object contents.
+   * @param {number} [options.concurrency] - Contents read at a time; defaults to listConcurrency.
+   * @param {number} [options.maxSize] - Larger objects are listed without content; defaults to listMaxSize.
+   * @returns {Promise<Object>} `{ items, prefixes, isTruncated, continuationToken }`. Items have
+   *   key, lastModified, size and etag, and unless metadata_only, content; objects over maxSize get
+   *   `skipped: true` instead. prefixes holds the common prefixes when a delimiter is given.
+   */
   async listFromS3(prefix, options = {}) {
-    const { maxKeys, startAfter, metadata_only = false } = options;
+    const {
+      maxKeys,
+      startAfter,
+      continuationToken,
+      delimiter,
+      metadata_only = false,
+      concurrency = this.listConcurrency,
+      maxSize = this.listMaxSize
+    } = options;
+
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+      throw httpError(400, "concurrency must be a positive integer");
+    }
 
     // Call Bun’s list API :contentReference[oaicite:10]{index=10}
     const res = await this.s3.list(
@@ -102,6 +331,8 @@ export class S3StorageTool extends Tool {
         prefix,
         maxKeys,
         startAfter,
+        continuationToken,
+        delimiter,
       },
       {
         accessKeyId: this.accessKeyId,
@@ -112,24 +343,27 @@ export class S3StorageTool extends Tool {
       }
     );
 
-    const contents = res.contents ?? [];
+    const entries = (res.contents ?? []).map((c) => ({
+      key: c.key,
+      lastModified: new Date(c.lastModified), // or use c.lastModified string
+      size: c.size,
+      etag: c.eTag,
+    }));
 
-    if (metadata_only) {
-      return contents.map((c) => ({
-        key: c.key,
-        lastModified: new Date(c.lastModified), // or use c.lastModified string
-        size: c.size,
-      }));
-    }
-
-    const full = await Promise.all(
-      contents.map(async (c) => ({
-        key: c.key,
-        content: await this.readFromS3(c.key),
-      }))
-    );
+    const items = metadata_only
+      ? entries
+      : await mapWithConcurrency(entries, concurrency, async (entry) =>
+          entry.size > maxSize
+            ? { ...entry, skipped: true }
+            : { ...entry, content: await this.readFromS3(entry.key) }
+        );
 
-    return full;
+    return {
+      items,
+      prefixes: (res.commonPrefixes ?? []).map((p) => p.prefix),
+      isTruncated: Boolean(res.isTruncated),
+      continuationToken: res.isTruncated ? res.nextContinuationToken ?? null : null,
+    };
   }
 
   async countObjectsInS3(prefix) {
@@ -163,11 +397,26 @@ export class S3StorageTool extends Tool {
     return count;
   }
 
+  static init_schema() {
+    return {
+      endpoint: { type: "string", required: false },
+      accessKeyId: { type: "string", required: false },
+      secretAccessKey: { type: "string", required: false },
+      bucket: { type: "string", required: false },
+      region: { type: "string", required: false },
+      multipartThreshold: { type: "number", required: false },
+      partSize: { type: "number", required: false },
+      queueSize: { type: "number", required: false },
+      listConcurrency: { type: "number", required: false },
+      listMaxSize: { type: "number", required: false }
+    };
+  }
+
   static in_schema() {
     return {
-      operation: { type: "string", required: true, enum: ["read","write","list","count","delete"] },
+      operation: { type: "string", required: true, enum: ["read","write","list","count","delete","presign","stat","head"] },
       path: { type: "string", required: true },
-      content: { type: "string", required: false },
+      content: { type: "any", required: false },
       contentType: { type: "string", required: false },
       options: { type: "object", required: false }
     };
@@ -184,7 +433,81 @@ export class S3StorageTool extends Tool {
   }
 
   static about() {
-    return "S3StorageTool using Bun’s native S3Client";
+    return "S3StorageTool using Bun’s native S3Client. It reads, writes, lists, counts and deletes objects; writes accept strings, binary data, Blobs and streams and switch to multipart uploads above a size threshold, and the presign operation returns time-limited GET or PUT URLs so browsers can download or upload directly. The stat (or head) operation returns an object's size, ETag, last modification, content type, cache control and user metadata; writes can set those, and reads, stats and writes accept If-None-Match/If-Match conditions for 304 responses and race-free overwrites. The list operation returns one page at a time with a continuation token, groups keys into folder-like common prefixes when given a delimiter, and reads object contents a few at a time, skipping objects above a size cap.";
+  }
+}
+
+// Errors carrying a status, such as invalid parameters (400) or failed conditions (412), are answered with it instead of 500.
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function conditionHeaders({ ifNoneMatch, ifMatch }) {
+  const headers = {};
+  if (ifNoneMatch) headers["if-none-match"] = ifNoneMatch;
+  if (ifMatch) headers["if-match"] = ifMatch;
+  return headers;
+}
+
+async function expectOk(response, key) {
+  if (response.ok) return;
+  await response.arrayBuffer().catch(() => {});
+  switch (response.status) {
+    case 404:
+      throw httpError(404, `Key not found. Path: ${key}`);
+    case 412:
+      throw httpError(412, "Precondition failed");
+    case 409:
+      throw httpError(409, "Conflicting write in progress");
+    default:
+      throw httpError(502, `S3 request failed with status ${response.status}`);
+  }
+}
+
+// Maps items with at most `limit` calls in flight, keeping the order of the results.
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index]);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+// Size in bytes when it is known up front, or null for streams.
+function byteSize(body) {
+  if (typeof body === "string") return Buffer.byteLength(body);
+  if (body instanceof ArrayBuffer || ArrayBuffer.isView(body)) return body.byteLength;
+  if (body instanceof Blob) return body.size;
+  return null;
+}
+
+async function* chunksOf(body) {
+  if (typeof body === "string") {
+    yield* splitBytes(Buffer.from(body));
+  } else if (body instanceof ArrayBuffer) {
+    yield* splitBytes(new Uint8Array(body));
+  } else if (ArrayBuffer.isView(body)) {
+    yield* splitBytes(new Uint8Array(body.buffer, body.byteOffset, body.byteLength));
+  } else if (body instanceof Blob) {
+    yield* body.stream();
+  } else if (body && typeof body[Symbol.asyncIterator] === "function") {
+    yield* body;
+  } else {
+    throw httpError(400, "Content must be a string, binary data, a Blob, a Response or a stream");
+  }
+}
+
+// Large buffers are handed to the writer in pieces so it can start uploading parts.
+function* splitBytes(bytes, size = MiB) {
+  for (let offset = 0; offset < bytes.byteLength; offset += size) {
+    yield bytes.subarray(offset, offset + size);
   }
 }
 
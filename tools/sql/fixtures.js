@@ -0,0 +1,221 @@
+import { readdir, readFile, stat, copyFile, rm } from "fs/promises";
+import path from "path";
+import { compileStatement } from "./query_builder.js";
+
+const FIXTURE_FILE = /\.(ya?ml|json)$/;
+
+/**
+ * Reads fixture files into one `{ table: { label: row } }` map. Each file maps table
+ * names to labelled rows:
+ *
+ * ```yaml
+ * users:
+ *   ada:
+ *     email: ada@example.com
+ * posts:
+ *   hello:
+ *     title: Hello
+ *     author_id: { $ref: users.ada }      # the id of the users.ada row
+ *     author_email: { $ref: users.ada.email }
+ * ```
+ *
+ * @param {string|Array<string>} sources - Fixture files or directories of .yml, .yaml and .json files.
+ * @returns {Promise<Object>} The merged fixtures.
+ * @throws {Error} If a file is malformed or a table declares the same label twice
+ */
+export async function readFixtures(sources) {
+  const fixtures = {};
+
+  for (const file of await fixtureFiles(sources)) {
+    const content = await readFile(file, "utf8");
+    const parsed = file.endsWith(".json") ? JSON.parse(content) : Bun.YAML.parse(content);
+    if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+      throw new Error(`Fixture file ${file} must map table names to labelled rows`);
+    }
+
+    for (const [table, rows] of Object.entries(parsed)) {
+      fixtures[table] ??= {};
+      for (const [label, row] of Object.entries(rows || {})) {
+        if (label in fixtures[table]) {
+          throw new Error(`Duplicate fixture ${table}.${label} in ${file}`);
+        }
+        fixtures[table][label] = row;
+      }
+    }
+  }
+
+  return fixtures;
+}
+
+async function fixtureFiles(sources) {
+  const files = [];
+  for (const source of Array.isArray(sources) ? sources : [sources]) {
+    if ((await stat(source)).isDirectory()) {
+      const entries = (await readdir(source)).filter((entry) => FIXTURE_FILE.test(entry)).sort();
+      files.push(...entries.map((entry) => path.join(source, entry)));
+    } else {
+      files.push(source);
+    }
+  }
+  return files;
+}
+
+/**
+ * Inserts fixtures through a SqlTool, ordering rows so that every `$ref` points at
+ * an already inserted row, and returns the inserted rows by table and label.
+ * @param {import("../sql_tool.js").SqlTool} sqlTool - An initialized SqlTool.
+ * @param {string|Array<string>|Object} sources - Fixture files, directories, or an already read fixtures map.
+ * @param {Object} [options]
+ * @param {string} [options.primaryKey="id"] - The column a bare `$ref` resolves to.
+ * @param {boolean} [options.reset=false] - Delete existing rows from the fixture tables first.
+ * @returns {Promise<Object>} The inserted rows, e.g. `fixtures.users.ada.id`.
+ * @throws {Error} If a reference is unknown or circular, or an insert fails
+ */
+export async function loadFixtures(sqlTool, sources, { primaryKey = "id", reset = false } = {}) {
+  const fixtures = typeof sources === "object" && !Array.isArray(sources) ? sources : await readFixtures(sources);
+  const order = insertionOrder(fixtures);
+
+  if (reset) {
+    const tables = [...new Set(order.map(({ table }) => table))].reverse();
+    for (const table of tables) {
+      await run(sqlTool, compileStatement({ type: "delete", table }, sqlTool.type), `Failed to reset ${table}`);
+    }
+  }
+
+  const loaded = {};
+  for (const { table, label } of order) {
+    const values = resolveReferences(fixtures[table][label], loaded, primaryKey);
+    // MySQL has no RETURNING, so the row is completed with the generated id instead.
+    const returning = sqlTool.type === "mysql" ? undefined : "*";
+    const result = await run(
+      sqlTool,
+      compileStatement({ type: "insert", table, values, returning }, sqlTool.type),
+      `Failed to load fixture ${table}.${label}`
+    );
+
+    loaded[table] ??= {};
+    loaded[table][label] = returning
+      ? result.rows[0]
+      : { ...values, [primaryKey]: values[primaryKey] ?? result.lastInsertId };
+  }
+
+  return loaded;
+}
+
+async function run(sqlTool, { query, values }, context) {
+  const result = await sqlTool.executeQuery(query, values, { target: "primary" });
+  if (!result.success) {
+    throw new Error(`${context}: ${result.error}`);
+  }
+  sqlTool.invalidateCacheFor(query);
+  return result;
+}
+
+// Depth-first ordering over row references, keeping file order otherwise.
+function insertionOrder(fixtures) {
+  const order = [];
+  const state = new Map();
+
+  const visit = (table, label, trail) => {
+    const key = `${table}.${label}`;
+    if (state.get(key) === "done") return;
+    if (state.get(key) === "visiting") {
+      throw new Error(`Circular fixture reference: ${[...trail, key].join(" -> ")}`);
+    }
+
+    const row = fixtures[table]?.[label];
+    if (!row || typeof row !== "object") {
+      throw new Error(`Unknown fixture reference: ${key}`);
+    }
+
+    state.set(key, "visiting");
+    for (const value of Object.values(row)) {
+      if (isReference(value)) {
+        const target = parseReference(value.$ref);
+        visit(target.table, target.label, [...trail, key]);
+      }
+    }
+    state.set(key, "done");
+    order.push({ table, label });
+  };
+
+  for (const [table, rows] of Object.entries(fixtures)) {
+    for (const label of Object.keys(rows)) {
+      visit(table, label, []);
+    }
+  }
+  return order;
+}
+
+function resolveReferences(row, loaded, primaryKey) {
+  return Object.fromEntries(Object.entries(row).map(([column, value]) => {
+    if (isReference(value)) {
+      const { table, label, column: referenced = primaryKey } = parseReference(value.$ref);
+      return [column, loaded[table][label][referenced]];
+    }
+    // Nested objects and arrays are stored as JSON text.
+    if (value !== null && typeof value === "object" && !(value instanceof Date)) {
+      return [column, JSON.stringify(value)];
+    }
+    return [column, value];
+  }));
+}
+
+function isReference(value) {
+  return value !== null && typeof value === "object" && typeof value.$ref === "string";
+}
+
+function parseReference(reference) {
+  const [table, label, column] = reference.split(".");
+  if (!table || !label) {
+    throw new Error(`Invalid fixture reference: ${reference}. Expected table.label or table.label.column`);
+  }
+  return { table, label, column };
+}
+
+function snapshotSource(sqlTool) {
+  const dbPath = sqlTool.params.dbPath;
+  if (sqlTool.type !== "sqlite" || !dbPath || dbPath === ":memory:") {
+    throw new Error("Snapshots require a file-backed sqlite database");
+  }
+  return dbPath;
+}
+
+/**
+ * Writes a consistent copy of a file-backed SQLite database, typically once after
+ * loading fixtures, so tests can restore it instead of rebuilding the data.
+ * @param {import("../sql_tool.js").SqlTool} sqlTool - An initialized SqlTool.
+ * @param {string} [snapshotPath] - Where to write the copy (default `<dbPath>.snapshot`).
+ * @returns {Promise<string>} The snapshot path.
+ * @throws {Error} If the database is not a sqlite file or the copy fails
+ */
+export async function snapshotDatabase(sqlTool, snapshotPath) {
+  const dbPath = snapshotSource(sqlTool);
+  const target = snapshotPath || `${dbPath}.snapshot`;
+  await rm(target, { force: true });
+
+  // VACUUM INTO copies the live database without closing the connection.
+  const result = await sqlTool.executeQuery("VACUUM INTO ?", [target], { target: "primary" });
+  if (!result.success) {
+    throw new Error(`Failed to snapshot database: ${result.error}`);
+  }
+  return target;
+}
+
+/**
+ * Replaces a file-backed SQLite database with a snapshot and reopens the connection.
+ * The tool's initialization SQL is not run again and its result cache is cleared.
+ * @param {import("../sql_tool.js").SqlTool} sqlTool - The SqlTool whose database is restored.
+ * @param {string} [snapshotPath] - The snapshot to restore (default `<dbPath>.snapshot`).
+ * @returns {Promise<void>}
+ */
+export async function restoreDatabase(sqlTool, snapshotPath) {
+  const dbPath = snapshotSource(sqlTool);
+  const source = snapshotPath || `${dbPath}.snapshot`;
+
+  sqlTool.cleanup();
+  await Promise.all([`${dbPath}-wal`, `${dbPath}-shm`].map((file) => rm(file, { force: true })));
+  await copyFile(source, dbPath);
+  await sqlTool.connectSqlite();
+  sqlTool.cache?.invalidate();
+}
@@ -0,0 +1,203 @@
+import { readdir, readFile } from "fs/promises";
+import { createHash } from "crypto";
+import path from "path";
+
+const MIGRATION_FILE = /^(\d+)_([\w-]+)\.(up|down)\.sql$/;
+const MIGRATIONS_TABLE = "schema_migrations";
+
+/**
+ * MigrationRunner applies versioned SQL migrations through a SqlTool instance.
+ * Migrations live in a directory as `<version>_<name>.up.sql` / `<version>_<name>.down.sql`
+ * pairs, and applied versions are recorded with their checksum in `schema_migrations`.
+ */
+export class MigrationRunner {
+  /**
+   * @param {import("../sql_tool.js").SqlTool} sqlTool - An initialized SqlTool.
+   * @param {string} directory - Directory containing the migration files.
+   */
+  constructor(sqlTool, directory) {
+    this.sqlTool = sqlTool;
+    this.directory = directory;
+  }
+
+  /**
+   * Reads and pairs the migration files, ordered by version.
+   * A missing directory is treated as having no migrations.
+   * @returns {Promise<Array<Object>>} Migrations with version, name, up, down and checksum.
+   */
+  async loadMigrations() {
+    let files;
+    try {
+      files = await readdir(this.directory);
+    } catch (error) {
+      if (error.code === "ENOENT") return [];
+      throw error;
+    }
+
+    const migrations = new Map();
+    for (const file of files) {
+      const match = MIGRATION_FILE.exec(file);
+      if (!match) continue;
+
+      const [, versionText, name, direction] = match;
+      const version = Number(versionText);
+      const existing = migrations.get(version);
+      if (existing && existing.name !== name) {
+        throw new Error(`Duplicate migration version ${version}: ${existing.name} and ${name}`);
+      }
+
+      const migration = existing || { version, name, up: null, down: null };
+      migration[direction] = await readFile(path.join(this.directory, file), "utf8");
+      migrations.set(version, migration);
+    }
+
+    return [...migrations.values()]
+      .map((migration) => {
+        if (migration.up === null) {
+          throw new Error(`Migration ${migration.version}_${migration.name} has no up file`);
+        }
+        return { ...migration, checksum: checksum(migration.up) };
+      })
+      .sort((a, b) => a.version - b.version);
+  }
+
+  async ensureMigrationsTable() {
+    const result = await this.sqlTool.executeQuery(
+      `CREATE TABLE IF NOT EXISTS ${MIGRATIONS_TABLE} (
+        version BIGINT PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        checksum VARCHAR(64) NOT NULL,
+        applied_at VARCHAR(32) NOT NULL
+      )`,
+      [],
+      { target: "primary" }
+    );
+    if (!result.success) {
+      throw new Error(`Failed to create ${MIGRATIONS_TABLE} table: ${result.error}`);
+    }
+  }
+
+  async loadApplied() {
+    await this.ensureMigrationsTable();
+    const result = await this.sqlTool.executeQuery(
+      `SELECT version, name, checksum, applied_at FROM ${MIGRATIONS_TABLE} ORDER BY version`,
+      [],
+      { target: "primary" }
+    );
+    if (!result.success) {
+      throw new Error(`Failed to read ${MIGRATIONS_TABLE}: ${result.error}`);
+    }
+    return result.rows.map((row) => ({ ...row, version: Number(row.version) }));
+  }
+
+  /**
+   * Compares the migration files with the applied versions.
+   * `modified` means the up file changed after it was applied, `missing` means an
+   * applied version no longer has a file; both count as drift.
+   * @returns {Promise<Object>} The per-version state list and a drift flag.
+   */
+  async status() {
+    const migrations = await this.loadMigrations();
+    const applied = await this.loadApplied();
+    const appliedByVersion = new Map(applied.map((row) => [row.version, row]));
+    const fileVersions = new Set(migrations.map((migration) => migration.version));
+
+    const fromFiles = migrations.map((migration) => {
+      const row = appliedByVersion.get(migration.version);
+      if (!row) {
+        return { version: migration.version, name: migration.name, state: "pending" };
+      }
+      return {
+        version: migration.version,
+        name: migration.name,
+        state: row.checksum === migration.checksum ? "applied" : "modified",
+        appliedAt: row.applied_at
+      };
+    });
+
+    const missing = applied
+      .filter((row) => !fileVersions.has(row.version))
+      .map((row) => ({ version: row.version, name: row.name, state: "missing", appliedAt: row.applied_at }));
+
+    const all = [...fromFiles, ...missing].sort((a, b) => a.version - b.version);
+    return {
+      migrations: all,
+      drift: all.some((migration) => migration.state === "modified" || migration.state === "missing")
+    };
+  }
+
+  /**
+   * Applies every pending migration in version order, each in its own transaction.
+   * Refuses to run when drift is detected.
+   * @returns {Promise<Object>} The applied versions, or the failing version and error.
+   */
+  async migrate() {
+    const { migrations: states, drift } = await this.status();
+    if (drift) {
+      return { success: false, drift: true, error: "Migration drift detected", migrations: states };
+    }
+
+    const pendingVersions = new Set(
+      states.filter((migration) => migration.state === "pending").map((migration) => migration.version)
+    );
+    const pending = (await this.loadMigrations()).filter((migration) => pendingVersions.has(migration.version));
+
+    const applied = [];
+    for (const migration of pending) {
+      const result = await this.sqlTool.executeTransaction([
+        { query: migration.up },
+        {
+          query: `INSERT INTO ${MIGRATIONS_TABLE} (version, name, checksum, applied_at) VALUES (${this.placeholders(4)})`,
+          values: [migration.version, migration.name, migration.checksum, new Date().toISOString()]
+        }
+      ]);
+      if (!result.success) {
+        return { success: false, applied, failedVersion: migration.version, error: result.error };
+      }
+      applied.push(migration.version);
+    }
+
+    return { success: true, applied };
+  }
+
+  /**
+   * Reverts the most recently applied migrations using their down files.
+   * @param {number} [count=1] - How many migrations to roll back.
+   * @returns {Promise<Object>} The reverted versions, or the failing version and error.
+   */
+  async rollback(count = 1) {
+    const migrations = await this.loadMigrations();
+    const byVersion = new Map(migrations.map((migration) => [migration.version, migration]));
+    const targets = (await this.loadApplied()).reverse().slice(0, count);
+
+    const reverted = [];
+    for (const row of targets) {
+      const migration = byVersion.get(row.version);
+      if (!migration?.down) {
+        return { success: false, reverted, failedVersion: row.version, error: `Migration ${row.version} has no down file` };
+      }
+
+      const result = await this.sqlTool.executeTransaction([
+        { query: migration.down },
+        {
+          query: `DELETE FROM ${MIGRATIONS_TABLE} WHERE version = ${this.sqlTool.placeholder(1)}`,
+          values: [row.version]
+        }
+      ]);
+      if (!result.success) {
+        return { success: false, reverted, failedVersion: row.version, error: result.error };
+      }
+      reverted.push(row.version);
+    }
+
+    return { success: true, reverted };
+  }
+
+  placeholders(count) {
+    return Array.from({ length: count }, (_, index) => this.sqlTool.placeholder(index + 1)).join(", ");
+  }
+}
+
+function checksum(content) {
+  return createHash("sha256").update(content).digest("hex");
+}
@@ -0,0 +1,227 @@
+const FIELD_TYPES = ["string", "text", "integer", "number", "boolean", "date", "json"];
+const IDENTIFIER = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+/**
+ * Normalizes a declarative model definition.
+ *
+ * ```
+ * {
+ *   table: "users",
+ *   primaryKey: "id",                      // default "id", added as a generated integer if not declared
+ *   fields: {
+ *     email: { type: "string", required: true, unique: true, maxLength: 255 },
+ *     active: { type: "boolean", default: true }
+ *   },
+ *   timestamps: true,                      // or { createdAt: "created", updatedAt: "modified" }
+ *   softDelete: true                       // or the column name, default "deleted_at"
+ * }
+ * ```
+ *
+ * @param {Object} definition - The model definition.
+ * @returns {Object} The table, primary key, normalized fields and the timestamp and soft-delete columns.
+ * @throws {Error} If the definition is invalid
+ */
+export function defineModel(definition) {
+  if (!definition || typeof definition !== "object") {
+    throw new Error("Model definition is required");
+  }
+
+  const { table, primaryKey = "id", fields = {}, timestamps = false, softDelete = false } = definition;
+  if (typeof table !== "string" || !IDENTIFIER.test(table)) {
+    throw new Error(`Invalid model table: ${table}`);
+  }
+
+  const normalized = {};
+  for (const [name, field] of Object.entries(fields)) {
+    normalized[name] = normalizeField(name, field);
+  }
+
+  if (!normalized[primaryKey]) {
+    normalized[primaryKey] = normalizeField(primaryKey, { type: "integer", generated: true });
+  }
+
+  const timestampColumns = timestamps
+    ? { createdAt: "created_at", updatedAt: "updated_at", ...(timestamps === true ? {} : timestamps) }
+    : null;
+  if (timestampColumns) {
+    for (const column of Object.values(timestampColumns)) {
+      normalized[column] = normalizeField(column, { type: "date", managed: true });
+    }
+  }
+
+  const softDeleteColumn = softDelete ? (softDelete === true ? "deleted_at" : softDelete) : null;
+  if (softDeleteColumn) {
+    normalized[softDeleteColumn] = normalizeField(softDeleteColumn, { type: "date", managed: true });
+  }
+
+  return { table, primaryKey, fields: normalized, timestamps: timestampColumns, softDelete: softDeleteColumn };
+}
+
+function normalizeField(name, field) {
+  if (!IDENTIFIER.test(name)) {
+    throw new Error(`Invalid field name: ${name}`);
+  }
+
+  const spec = typeof field === "string" ? { type: field } : { ...field };
+  if (!FIELD_TYPES.includes(spec.type)) {
+    throw new Error(`Field ${name} has unsupported type ${spec.type}. Must be one of: ${FIELD_TYPES.join(", ")}`);
+  }
+  return {
+    type: spec.type,
+    required: Boolean(spec.required),
+    unique: Boolean(spec.unique),
+    generated: Boolean(spec.generated),
+    managed: Boolean(spec.managed),
+    maxLength: spec.maxLength,
+    default: spec.default
+  };
+}
+
+/**
+ * Validates input for a create (all required fields, defaults applied) or an update
+ * (partial). Generated and managed fields (timestamps, soft delete) cannot be written.
+ * @param {Object} model - A model from defineModel.
+ * @param {Object} data - The input values.
+ * @param {Object} [options]
+ * @param {boolean} [options.partial=false] - Validate an update instead of a create.
+ * @returns {{values: Object, errors: Array<{field: string, message: string}>}} The accepted values and any errors.
+ */
+export function validateInput(model, data, { partial = false } = {}) {
+  const errors = [];
+  const values = {};
+
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    return { values, errors: [{ field: null, message: "Data must be an object" }] };
+  }
+
+  for (const name of Object.keys(data)) {
+    const field = model.fields[name];
+    if (!field) {
+      errors.push({ field: name, message: "Unknown field" });
+    } else if (field.managed || (partial && name === model.primaryKey) || (field.generated && name !== model.primaryKey)) {
+      errors.push({ field: name, message: "Field cannot be written" });
+    }
+  }
+
+  for (const [name, field] of Object.entries(model.fields)) {
+    if (field.managed) continue;
+
+    let value = data[name];
+    if (value === undefined) {
+      if (partial) continue;
+      if (field.default !== undefined) {
+        value = typeof field.default === "function" ? field.default() : structuredClone(field.default);
+      }
+    }
+
+    if (value === undefined || value === null) {
+      if (field.required && !field.generated && (!partial || value === null)) {
+        errors.push({ field: name, message: "Field is required" });
+      } else if (value === null) {
+        values[name] = null;
+      }
+      continue;
+    }
+
+    const message = checkType(field, value);
+    if (message) {
+      errors.push({ field: name, message });
+    } else {
+      values[name] = value;
+    }
+  }
+
+  return { values, errors };
+}
+
+function checkType(field, value) {
+  switch (field.type) {
+    case "string":
+    case "text":
+      if (typeof value !== "string") return `Expected ${field.type}`;
+      if (field.maxLength !== undefined && value.length > field.maxLength) {
+        return `Must be at most ${field.maxLength} characters`;
+      }
+      return null;
+    case "integer":
+      return Number.isInteger(value) ? null : "Expected integer";
+    case "number":
+      return typeof value === "number" && Number.isFinite(value) ? null : "Expected number";
+    case "boolean":
+      return typeof value === "boolean" ? null : "Expected boolean";
+    case "date":
+      return toDate(value) ? null : "Expected date";
+    case "json":
+      try {
+        JSON.stringify(value);
+        return null;
+      } catch {
+        return "Expected JSON-serializable value";
+      }
+  }
+}
+
+function toDate(value) {
+  const date = value instanceof Date ? value : typeof value === "string" ? new Date(value) : null;
+  return date && !Number.isNaN(date.getTime()) ? date : null;
+}
+
+/**
+ * Converts a validated value to what the dialect's driver binds for the field type.
+ * SQLite and MySQL store booleans as 0/1 and SQLite stores dates as ISO strings.
+ * @param {Object} field - A normalized field.
+ * @param {*} value - The value.
+ * @param {string} dialect - postgresql, mysql or sqlite.
+ * @returns {*} The value to bind.
+ */
+export function toStorage(field, value, dialect) {
+  if (value === null || value === undefined) return value;
+
+  switch (field.type) {
+    case "boolean":
+      return dialect === "postgresql" ? value : (value ? 1 : 0);
+    case "date": {
+      const date = toDate(value) ?? value;
+      return dialect === "sqlite" && date instanceof Date ? date.toISOString() : date;
+    }
+    case "json":
+      return JSON.stringify(value);
+    default:
+      return value;
+  }
+}
+
+/**
+ * Maps a database row to the model's typed representation, dropping unknown columns.
+ * @param {Object} model - A model from defineModel.
+ * @param {Object} row - The row as returned by the driver.
+ * @returns {Object} The typed row.
+ */
+export function mapRow(model, row) {
+  const mapped = {};
+  for (const [name, field] of Object.entries(model.fields)) {
+    if (name in row) {
+      mapped[name] = fromStorage(field, row[name]);
+    }
+  }
+  return mapped;
+}
+
+function fromStorage(field, value) {
+  if (value === null || value === undefined) return null;
+
+  switch (field.type) {
+    case "integer":
+    case "number":
+      // Drivers return BIGINT and NUMERIC as bigint or string to avoid precision loss.
+      return typeof value === "number" ? value : Number(value);
+    case "boolean":
+      return typeof value === "boolean" ? value : value === "t" || Number(value) === 1;
+    case "date":
+      return value instanceof Date ? value : new Date(value);
+    case "json":
+      return typeof value === "string" ? JSON.parse(value) : value;
+    default:
+      return value;
+  }
+}
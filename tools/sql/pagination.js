@@ -0,0 +1,102 @@
+/**
+ * Encodes keyset values into an opaque continuation token.
+ * @param {Array} values - One value per orderBy column, taken from the last row of a page.
+ * @returns {string} A base64url cursor.
+ */
+export function encodeCursor(values) {
+  return Buffer.from(JSON.stringify(values)).toString("base64url");
+}
+
+/**
+ * Decodes a continuation token produced by encodeCursor.
+ * @param {string} cursor - The cursor.
+ * @returns {Array} The keyset values.
+ * @throws {Error} If the cursor is malformed
+ */
+export function decodeCursor(cursor) {
+  let values;
+  try {
+    values = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+  } catch {
+    throw new Error("Invalid cursor");
+  }
+  if (!Array.isArray(values)) {
+    throw new Error("Invalid cursor");
+  }
+  return values;
+}
+
+/**
+ * Reads the keyset values of a row. A `table.column` key is read from the row's
+ * `column` field, so the ordered columns must be selected without aliases.
+ * @param {Object} row - The last row of a page.
+ * @param {Array<{column: string}>} keys - Normalized orderBy entries.
+ * @returns {Array} The values to encode into the next cursor.
+ * @throws {Error} If an ordered column is missing from the row
+ */
+export function keysetValues(row, keys) {
+  return keys.map(({ column }) => {
+    const field = column.split(".").pop();
+    if (!(field in row)) {
+      throw new Error(`Ordered column ${column} must be selected for pagination`);
+    }
+    return row[field];
+  });
+}
+
+/**
+ * Wraps an async iterable of rows as a ReadableStream of NDJSON or CSV text,
+ * pulling rows only as fast as the consumer reads them.
+ * @param {AsyncIterable<Object>} rows - The rows to encode.
+ * @param {string} format - ndjson or csv.
+ * @returns {ReadableStream<Uint8Array>} A stream suitable for a Response body.
+ * @throws {Error} If the format is not supported
+ */
+export function rowsToStream(rows, format) {
+  if (format !== "ndjson" && format !== "csv") {
+    throw new Error(`Unsupported stream format: ${format}`);
+  }
+
+  const encoder = new TextEncoder();
+  const lines = format === "csv" ? csvLines(rows) : ndjsonLines(rows);
+  const iterator = lines[Symbol.asyncIterator]();
+
+  return new ReadableStream({
+    async pull(controller) {
+      const { value, done } = await iterator.next();
+      if (done) {
+        controller.close();
+      } else {
+        controller.enqueue(encoder.encode(value));
+      }
+    },
+    async cancel() {
+      await iterator.return?.();
+    }
+  });
+}
+
+async function* ndjsonLines(rows) {
+  for await (const row of rows) {
+    yield `${JSON.stringify(row)}\n`;
+  }
+}
+
+async function* csvLines(rows) {
+  let columns = null;
+  for await (const row of rows) {
+    if (!columns) {
+      columns = Object.keys(row);
+      yield `${columns.map(csvField).join(",")}\n`;
+    }
+    yield `${columns.map((column) => csvField(row[column])).join(",")}\n`;
+  }
+}
+
+function csvField(value) {
+  if (value === null || value === undefined) return "";
+  const text = value instanceof Date
+    ? value.toISOString()
+    : typeof value === "object" ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
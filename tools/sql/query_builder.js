@@ -0,0 +1,286 @@
+const IDENTIFIER = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const JOIN_TYPES = { inner: "INNER JOIN", left: "LEFT JOIN", right: "RIGHT JOIN", full: "FULL OUTER JOIN" };
+const COMPARISONS = { eq: "=", ne: "<>", gt: ">", gte: ">=", lt: "<", lte: "<=", like: "LIKE" };
+
+/**
+ * Compiles a JSON statement description into SQL for the given dialect.
+ *
+ * Supported shapes:
+ * - `{ type: "select", table, columns, joins, where, orderBy, after, limit, offset }`
+ * - `{ type: "insert", table, values, returning }` (values is a row or an array of rows)
+ * - `{ type: "update", table, set, where, returning }`
+ * - `{ type: "delete", table, where, returning }`
+ *
+ * `where` maps columns to values (`null` compiles to IS NULL) or to operator objects
+ * such as `{ gte: 18 }`, `{ in: [1, 2] }` or `{ isNull: false }`, and accepts nested
+ * `and`, `or` and `not` groups. Values are always bound as parameters.
+ *
+ * `after` holds one value per `orderBy` column and restricts a select to the rows that
+ * sort after that position (keyset pagination). The ordered columns must be non-null.
+ *
+ * @param {Object} statement - The statement description.
+ * @param {string} [dialect="sqlite"] - postgresql, mysql or sqlite.
+ * @returns {{query: string, values: Array}} The compiled query and its bound values.
+ * @throws {Error} If the description is invalid for the dialect
+ */
+export function compileStatement(statement, dialect = "sqlite") {
+  if (!statement || typeof statement !== "object") {
+    throw new Error("Statement description is required");
+  }
+
+  const context = new CompileContext(dialect);
+  switch (statement.type) {
+    case "select":
+      return context.result(compileSelect(statement, context));
+    case "insert":
+      return context.result(compileInsert(statement, context));
+    case "update":
+      return context.result(compileUpdate(statement, context));
+    case "delete":
+      return context.result(compileDelete(statement, context));
+    default:
+      throw new Error(`Unsupported statement type: ${statement.type}`);
+  }
+}
+
+class CompileContext {
+  constructor(dialect) {
+    this.dialect = dialect;
+    this.values = [];
+  }
+
+  bind(value) {
+    this.values.push(value);
+    return this.dialect === "postgresql" ? `$${this.values.length}` : "?";
+  }
+
+  quote(name) {
+    if (name === "*") return name;
+    return name.split(".").map((part) => {
+      if (part === "*") return part;
+      if (!IDENTIFIER.test(part)) {
+        throw new Error(`Invalid identifier: ${name}`);
+      }
+      return this.dialect === "mysql" ? `\`${part}\`` : `"${part}"`;
+    }).join(".");
+  }
+
+  result(query) {
+    return { query, values: this.values };
+  }
+}
+
+function compileSelect(statement, context) {
+  const { table, columns = ["*"], joins = [], where, orderBy, after, limit, offset } = statement;
+  const columnList = columns.map((column) => {
+    if (typeof column === "string") return context.quote(column);
+    return `${context.quote(column.column)} AS ${context.quote(column.as)}`;
+  });
+
+  const parts = [`SELECT ${columnList.join(", ")} FROM ${compileTable(table, context)}`];
+  parts.push(...joins.map((join) => compileJoin(join, context)));
+  // The seek condition is compiled after the where conditions so ? placeholders bind in order.
+  parts.push(compileWhere(where, context, () => compileSeek(orderBy, after, context)));
+  parts.push(compileOrderBy(orderBy, context));
+
+  if (limit !== undefined) {
+    parts.push(`LIMIT ${nonNegativeInteger(limit, "limit")}`);
+  }
+  if (offset !== undefined) {
+    // MySQL and SQLite cannot OFFSET without a LIMIT.
+    if (limit === undefined && context.dialect !== "postgresql") {
+      throw new Error(`offset requires limit for ${context.dialect}`);
+    }
+    parts.push(`OFFSET ${nonNegativeInteger(offset, "offset")}`);
+  }
+
+  return parts.filter(Boolean).join(" ");
+}
+
+function compileInsert(statement, context) {
+  const { table, values, returning } = statement;
+  const rows = Array.isArray(values) ? values : [values];
+  if (rows.length === 0 || !rows[0] || Object.keys(rows[0]).length === 0) {
+    throw new Error("insert requires at least one row of values");
+  }
+
+  const columns = Object.keys(rows[0]);
+  const tuples = rows.map((row) => {
+    const rowColumns = Object.keys(row);
+    if (rowColumns.length !== columns.length || !columns.every((column) => column in row)) {
+      throw new Error("All inserted rows must have the same columns");
+    }
+    return `(${columns.map((column) => context.bind(row[column])).join(", ")})`;
+  });
+
+  return [
+    `INSERT INTO ${compileTable(table, context)} (${columns.map((column) => context.quote(column)).join(", ")})`,
+    `VALUES ${tuples.join(", ")}`,
+    compileReturning(returning, context)
+  ].filter(Boolean).join(" ");
+}
+
+function compileUpdate(statement, context) {
+  const { table, set, where, returning } = statement;
+  if (!set || Object.keys(set).length === 0) {
+    throw new Error("update requires a set of column values");
+  }
+
+  const assignments = Object.entries(set).map(([column, value]) => `${context.quote(column)} = ${context.bind(value)}`);
+  return [
+    `UPDATE ${compileTable(table, context)} SET ${assignments.join(", ")}`,
+    compileWhere(where, context),
+    compileReturning(returning, context)
+  ].filter(Boolean).join(" ");
+}
+
+function compileDelete(statement, context) {
+  const { table, where, returning } = statement;
+  return [
+    `DELETE FROM ${compileTable(table, context)}`,
+    compileWhere(where, context),
+    compileReturning(returning, context)
+  ].filter(Boolean).join(" ");
+}
+
+function compileTable(table, context) {
+  if (typeof table === "string") return context.quote(table);
+  if (table && typeof table.name === "string") {
+    return table.as ? `${context.quote(table.name)} AS ${context.quote(table.as)}` : context.quote(table.name);
+  }
+  throw new Error("Statement table is required");
+}
+
+function compileJoin(join, context) {
+  const keyword = JOIN_TYPES[join.type || "inner"];
+  if (!keyword) {
+    throw new Error(`Unsupported join type: ${join.type}`);
+  }
+  if (join.type === "full" && context.dialect === "mysql") {
+    throw new Error("FULL OUTER JOIN is not supported by mysql");
+  }
+  const conditions = Object.entries(join.on || {});
+  if (conditions.length === 0) {
+    throw new Error("join requires an on condition");
+  }
+  const on = conditions.map(([left, right]) => `${context.quote(left)} = ${context.quote(right)}`).join(" AND ");
+  return `${keyword} ${compileTable(join.table, context)} ON ${on}`;
+}
+
+function compileWhere(where, context, compileExtraCondition = () => "") {
+  const conditions = [];
+  if (where && Object.keys(where).length > 0) {
+    conditions.push(compileConditions(where, context));
+  }
+  const extraCondition = compileExtraCondition();
+  if (extraCondition) {
+    conditions.push(extraCondition);
+  }
+  if (conditions.length === 0) return "";
+  return `WHERE ${conditions.length > 1 ? conditions.map((condition) => `(${condition})`).join(" AND ") : conditions[0]}`;
+}
+
+// Expands the keyset position into (a > ?) OR (a = ? AND b > ?) ..., which unlike
+// row-value comparison also works when the columns sort in different directions.
+function compileSeek(orderBy, after, context) {
+  if (after === undefined) return "";
+  const keys = normalizeOrderBy(orderBy);
+  if (!Array.isArray(after) || keys.length === 0 || after.length !== keys.length) {
+    throw new Error("after requires one value per orderBy column");
+  }
+
+  const alternatives = keys.map((key, index) => {
+    const equalities = keys.slice(0, index).map((previous, i) => `${context.quote(previous.column)} = ${context.bind(after[i])}`);
+    const operator = key.direction === "DESC" ? "<" : ">";
+    return [...equalities, `${context.quote(key.column)} ${operator} ${context.bind(after[index])}`].join(" AND ");
+  });
+  return alternatives.length > 1 ? alternatives.map((alternative) => `(${alternative})`).join(" OR ") : alternatives[0];
+}
+
+function compileConditions(where, context) {
+  if (!where || typeof where !== "object" || Object.keys(where).length === 0) {
+    throw new Error("Condition groups require at least one condition");
+  }
+  const clauses = Object.entries(where).map(([key, value]) => {
+    if (key === "and" || key === "or") {
+      if (!Array.isArray(value) || value.length === 0) {
+        throw new Error(`${key} requires a non-empty array of conditions`);
+      }
+      return `(${value.map((group) => compileConditions(group, context)).join(` ${key.toUpperCase()} `)})`;
+    }
+    if (key === "not") {
+      return `NOT (${compileConditions(value, context)})`;
+    }
+    return compileCondition(key, value, context);
+  });
+  return clauses.join(" AND ");
+}
+
+function compileCondition(column, condition, context) {
+  const target = context.quote(column);
+  if (condition === null) return `${target} IS NULL`;
+  if (typeof condition !== "object" || condition instanceof Date) {
+    return `${target} = ${context.bind(condition)}`;
+  }
+  if (Object.keys(condition).length === 0) {
+    throw new Error(`Condition on ${column} requires at least one operator`);
+  }
+
+  return Object.entries(condition).map(([operator, value]) => {
+    if (COMPARISONS[operator]) {
+      return `${target} ${COMPARISONS[operator]} ${context.bind(value)}`;
+    }
+    if (operator === "in" || operator === "notIn") {
+      if (!Array.isArray(value) || value.length === 0) {
+        throw new Error(`${operator} requires a non-empty array`);
+      }
+      const list = value.map((item) => context.bind(item)).join(", ");
+      return `${target} ${operator === "in" ? "IN" : "NOT IN"} (${list})`;
+    }
+    if (operator === "isNull") {
+      return `${target} ${value ? "IS NULL" : "IS NOT NULL"}`;
+    }
+    throw new Error(`Unsupported operator: ${operator}`);
+  }).join(" AND ");
+}
+
+/**
+ * Normalizes an orderBy description into `{ column, direction }` entries.
+ * @param {string|Object|Array} orderBy - A column, `{ column, direction }`, or a list of either.
+ * @returns {Array<{column: string, direction: string}>} Entries with ASC or DESC directions.
+ * @throws {Error} If a direction is invalid
+ */
+export function normalizeOrderBy(orderBy) {
+  if (!orderBy) return [];
+  const entries = Array.isArray(orderBy) ? orderBy : [orderBy];
+  return entries.map((entry) => {
+    const { column, direction = "asc" } = typeof entry === "string" ? { column: entry } : entry;
+    const normalized = direction.toUpperCase();
+    if (normalized !== "ASC" && normalized !== "DESC") {
+      throw new Error(`Invalid order direction: ${direction}`);
+    }
+    return { column, direction: normalized };
+  });
+}
+
+function compileOrderBy(orderBy, context) {
+  const terms = normalizeOrderBy(orderBy).map(({ column, direction }) => `${context.quote(column)} ${direction}`);
+  if (terms.length === 0) return "";
+  return `ORDER BY ${terms.join(", ")}`;
+}
+
+function compileReturning(returning, context) {
+  if (!returning) return "";
+  if (context.dialect === "mysql") {
+    throw new Error("RETURNING is not supported by mysql");
+  }
+  const columns = Array.isArray(returning) ? returning : [returning];
+  return `RETURNING ${columns.map((column) => context.quote(column)).join(", ")}`;
+}
+
+function nonNegativeInteger(value, name) {
+  if (!Number.isInteger(value) || value < 0) {
+    throw new Error(`${name} must be a non-negative integer`);
+  }
+  return value;
+}
@@ -0,0 +1,89 @@
+const sharedCaches = new Map();
+
+/**
+ * In-process LRU cache for query results with TTLs and tag-based invalidation.
+ * Entries are kept in a Map, whose insertion order doubles as recency order.
+ */
+export class QueryCache {
+  /**
+   * @param {Object} [options] - Cache options.
+   * @param {number} [options.maxEntries=500] - Entries kept before the least recently used is evicted.
+   * @param {number} [options.ttl=60] - Default time to live in seconds.
+   */
+  constructor({ maxEntries = 500, ttl = 60 } = {}) {
+    this.maxEntries = maxEntries;
+    this.ttl = ttl;
+    this.entries = new Map();
+    this.stats = { hits: 0, misses: 0, evictions: 0, invalidations: 0 };
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry || entry.expiresAt <= Date.now()) {
+      if (entry) this.entries.delete(key);
+      this.stats.misses++;
+      return undefined;
+    }
+
+    // Re-insert to mark the entry as most recently used.
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    this.stats.hits++;
+    return structuredClone(entry.value);
+  }
+
+  set(key, value, { ttl = this.ttl, tags = [] } = {}) {
+    this.entries.delete(key);
+    this.entries.set(key, {
+      value: structuredClone(value),
+      expiresAt: Date.now() + ttl * 1000,
+      tags: new Set(tags)
+    });
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+      this.stats.evictions++;
+    }
+  }
+
+  /**
+   * Drops every entry carrying one of the tags, or every entry when no tags are given.
+   * @param {Array<string>} [tags] - Tags (usually table names) to invalidate.
+   * @returns {number} The number of entries removed.
+   */
+  invalidate(tags) {
+    let removed = 0;
+    for (const [key, entry] of this.entries) {
+      if (!tags || tags.some((tag) => entry.tags.has(tag))) {
+        this.entries.delete(key);
+        removed++;
+      }
+    }
+    this.stats.invalidations += removed;
+    return removed;
+  }
+
+  snapshot() {
+    const lookups = this.stats.hits + this.stats.misses;
+    return {
+      ...this.stats,
+      size: this.entries.size,
+      maxEntries: this.maxEntries,
+      hitRate: lookups === 0 ? 0 : this.stats.hits / lookups
+    };
+  }
+}
+
+/**
+ * Returns the cache registered under a name, creating it on first use, so tool
+ * instances created per request share results and invalidations.
+ * @param {string} name - The registry key, usually derived from the database identity.
+ * @param {Object} options - QueryCache options used when the cache is created.
+ * @returns {QueryCache} The shared cache.
+ */
+export function sharedQueryCache(name, options) {
+  if (!sharedCaches.has(name)) {
+    sharedCaches.set(name, new QueryCache(options));
+  }
+  return sharedCaches.get(name);
+}
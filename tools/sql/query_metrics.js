@@ -0,0 +1,109 @@
+const sharedMetrics = new Map();
+const SAMPLE_LIMIT = 1000;
+const STATEMENT_LIMIT = 500;
+
+/**
+ * Aggregates query timings per statement fingerprint. Percentiles are computed from
+ * the most recent SAMPLE_LIMIT durations of each fingerprint, and only the most recently
+ * used `maxStatements` fingerprints are kept, so memory stays bounded.
+ */
+export class QueryMetrics {
+  /**
+   * @param {number} [maxStatements=500] - How many fingerprints to keep before evicting the least recently used.
+   */
+  constructor(maxStatements = STATEMENT_LIMIT) {
+    this.statements = new Map();
+    this.maxStatements = maxStatements;
+    this.evicted = 0;
+  }
+
+  /**
+   * Records one execution.
+   * @param {string} fingerprint - The statement fingerprint.
+   * @param {number} durationMs - The execution time in milliseconds.
+   * @param {boolean} success - Whether the statement succeeded.
+   */
+  record(fingerprint, durationMs, success) {
+    let entry = this.statements.get(fingerprint);
+    if (entry) {
+      // Re-inserting keeps the Map in least-recently-used order.
+      this.statements.delete(fingerprint);
+    } else {
+      entry = { count: 0, errors: 0, totalMs: 0, maxMs: 0, samples: [], next: 0 };
+      if (this.statements.size >= this.maxStatements) {
+        this.statements.delete(this.statements.keys().next().value);
+        this.evicted++;
+      }
+    }
+    this.statements.set(fingerprint, entry);
+
+    entry.count++;
+    entry.totalMs += durationMs;
+    entry.maxMs = Math.max(entry.maxMs, durationMs);
+    if (!success) entry.errors++;
+
+    // Ring buffer of the latest samples.
+    if (entry.samples.length < SAMPLE_LIMIT) {
+      entry.samples.push(durationMs);
+    } else {
+      entry.samples[entry.next] = durationMs;
+      entry.next = (entry.next + 1) % SAMPLE_LIMIT;
+    }
+  }
+
+  /**
+   * @returns {Object} Total query count and per-fingerprint stats, slowest total time first,
+   *   plus how many fingerprints were evicted (their counts are no longer included).
+   */
+  snapshot() {
+    const statements = [...this.statements.entries()].map(([fingerprint, entry]) => {
+      const sorted = [...entry.samples].sort((a, b) => a - b);
+      return {
+        fingerprint,
+        count: entry.count,
+        errors: entry.errors,
+        totalMs: round(entry.totalMs),
+        meanMs: round(entry.totalMs / entry.count),
+        p50: percentile(sorted, 50),
+        p95: percentile(sorted, 95),
+        p99: percentile(sorted, 99),
+        maxMs: round(entry.maxMs)
+      };
+    });
+
+    return {
+      totalQueries: statements.reduce((total, statement) => total + statement.count, 0),
+      statements: statements.sort((a, b) => b.totalMs - a.totalMs),
+      evictedStatements: this.evicted
+    };
+  }
+
+  reset() {
+    this.statements.clear();
+    this.evicted = 0;
+  }
+}
+
+/**
+ * Returns the metrics registered under a name, creating them on first use, so tool
+ * instances created per request aggregate into the same stats.
+ * @param {string} name - The registry key, usually derived from the database identity.
+ * @returns {QueryMetrics} The shared metrics.
+ */
+export function sharedQueryMetrics(name) {
+  if (!sharedMetrics.has(name)) {
+    sharedMetrics.set(name, new QueryMetrics());
+  }
+  return sharedMetrics.get(name);
+}
+
+// Nearest-rank percentile over sorted samples.
+function percentile(sorted, rank) {
+  if (sorted.length === 0) return 0;
+  const index = Math.ceil((rank / 100) * sorted.length) - 1;
+  return round(sorted[Math.max(0, index)]);
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
@@ -0,0 +1,440 @@
+const READ_COMMANDS = ["SELECT", "SHOW", "DESCRIBE", "DESC", "EXPLAIN", "VALUES"];
+const WRITE_COMMANDS = ["INSERT", "UPDATE", "DELETE", "REPLACE", "MERGE"];
+const SCHEMA_COMMANDS = ["CREATE", "ALTER", "COMMENT"];
+// Identifiers and dollar-quote tags may use non-ASCII letters, so "é$$" is an identifier
+// in PostgreSQL rather than the start of a dollar-quoted string.
+const WORD_START = /[A-Za-z_\u0080-\uffff]/;
+const WORD = /^[A-Za-z_\u0080-\uffff][A-Za-z0-9_$\u0080-\uffff]*/;
+const DOLLAR_TAG = /^\$(?:[A-Za-z_\u0080-\uffff][A-Za-z0-9_\u0080-\uffff]*)?\$/;
+const UNPARSABLE_FINGERPRINT = "(unparsable query)";
+const EXPLAIN_COMMANDS = ["EXPLAIN", "DESCRIBE", "DESC"];
+// Statements that can follow EXPLAIN.
+const EXPLAINABLE_COMMANDS = ["SELECT", "VALUES", "WITH", "TABLE", "DECLARE", "EXECUTE", ...WRITE_COMMANDS, ...SCHEMA_COMMANDS];
+
+/**
+ * Built-in policies. `standard` keeps the historical sql_tool behaviour of allowing
+ * CREATE/ALTER while rejecting destructive DDL such as DROP and TRUNCATE.
+ */
+export const QUERY_POLICIES = {
+  "read-only": {
+    allow: READ_COMMANDS,
+    allowUnboundedWrites: false,
+    allowMultipleStatements: false
+  },
+  "dml-only": {
+    allow: [...READ_COMMANDS, ...WRITE_COMMANDS],
+    allowUnboundedWrites: false,
+    allowMultipleStatements: false
+  },
+  standard: {
+    allow: [...READ_COMMANDS, ...WRITE_COMMANDS, ...SCHEMA_COMMANDS],
+    allowUnboundedWrites: false,
+    allowMultipleStatements: false
+  },
+  full: {
+    allow: "*",
+    allowUnboundedWrites: true,
+    allowMultipleStatements: true
+  }
+};
+
+/**
+ * Resolves a policy name or a custom `{ allow, allowUnboundedWrites, allowMultipleStatements }`
+ * object into a normalized policy.
+ * @param {string|Object} [spec="standard"] - Policy name or custom policy.
+ * @returns {Object} The normalized policy.
+ * @throws {Error} If the policy name is unknown or the allow-list is missing
+ */
+export function resolvePolicy(spec = "standard") {
+  if (typeof spec === "string") {
+    const policy = QUERY_POLICIES[spec];
+    if (!policy) {
+      throw new Error(`Unknown query policy: ${spec}. Must be one of: ${Object.keys(QUERY_POLICIES).join(", ")}`);
+    }
+    return { name: spec, ...policy };
+  }
+
+  if (!spec || (spec.allow !== "*" && !Array.isArray(spec.allow))) {
+    throw new Error("Custom query policy requires an allow list of statement commands");
+  }
+
+  return {
+    name: "custom",
+    allow: spec.allow === "*" ? "*" : spec.allow.map((command) => command.toUpperCase()),
+    allowUnboundedWrites: Boolean(spec.allowUnboundedWrites),
+    allowMultipleStatements: Boolean(spec.allowMultipleStatements)
+  };
+}
+
+/**
+ * Splits SQL text into tokens, skipping comments and keeping string literals,
+ * quoted identifiers and dollar-quoted bodies as single opaque tokens.
+ * @param {string} query - The SQL text.
+ * @param {string} [dialect="sqlite"] - postgresql, mysql or sqlite.
+ * @returns {Array<Object>} Tokens of type word, string, number, placeholder, identifier, separator or symbol.
+ * @throws {Error} If a literal, identifier or comment is not terminated
+ */
+export function tokenize(query, dialect = "sqlite") {
+  const tokens = [];
+  let i = 0;
+
+  const skipUntil = (terminator, what) => {
+    const end = query.indexOf(terminator, i);
+    if (end === -1) throw new Error(`Unterminated ${what}`);
+    i = end + terminator.length;
+  };
+
+  // PostgreSQL block comments nest, so /* /* */ ... */ only ends at the second */.
+  const skipBlockComment = () => {
+    let depth = 1;
+    while (depth > 0) {
+      if (i >= query.length) throw new Error("Unterminated block comment");
+      if (query[i] === "*" && query[i + 1] === "/") {
+        depth--;
+        i += 2;
+      } else if (query[i] === "/" && query[i + 1] === "*" && dialect === "postgresql") {
+        depth++;
+        i += 2;
+      } else {
+        i++;
+      }
+    }
+  };
+
+  // MySQL strings and PostgreSQL E'...' strings treat a backslash as an escape.
+  const readQuoted = (quote, what, backslashEscapes = dialect === "mysql" && quote !== "`") => {
+    const start = i;
+    i++;
+    while (i < query.length) {
+      const char = query[i];
+      if (char === "\\" && backslashEscapes) {
+        i += 2;
+        continue;
+      }
+      if (char === quote) {
+        // A doubled quote is an escaped quote, not the end of the literal.
+        if (query[i + 1] === quote) {
+          i += 2;
+          continue;
+        }
+        i++;
+        return query.slice(start, i);
+      }
+      i++;
+    }
+    throw new Error(`Unterminated ${what}`);
+  };
+
+  // MySQL runs the body of /*! ... */ comments, so their contents are tokenized like any other SQL.
+  let executableComment = false;
+
+  while (i < query.length) {
+    const char = query[i];
+    const next = query[i + 1];
+
+    if (/\s/.test(char)) {
+      i++;
+    } else if (executableComment && char === "*" && next === "/") {
+      executableComment = false;
+      i += 2;
+    } else if (char === "-" && next === "-" && (dialect !== "mysql" || !/\S/.test(query[i + 2] ?? " "))) {
+      // MySQL only starts a comment at "-- " followed by whitespace; "1--1" is arithmetic.
+      const end = query.indexOf("\n", i);
+      i = end === -1 ? query.length : end + 1;
+    } else if (char === "#" && dialect === "mysql") {
+      const end = query.indexOf("\n", i);
+      i = end === -1 ? query.length : end + 1;
+    } else if (char === "/" && next === "*" && query[i + 2] === "!" && dialect === "mysql") {
+      if (executableComment) throw new Error("Nested executable comments are not supported");
+      // /*!50100 ... */ carries an optional version number before the SQL.
+      i += 3 + /^\d*/.exec(query.slice(i + 3))[0].length;
+      executableComment = true;
+    } else if (char === "/" && next === "*") {
+      i += 2;
+      skipBlockComment();
+    } else if ((char === "E" || char === "e") && next === "'" && dialect === "postgresql") {
+      i++;
+      tokens.push({ type: "string", value: char + readQuoted("'", "string literal", true) });
+    } else if (char === "'") {
+      tokens.push({ type: "string", value: readQuoted("'", "string literal") });
+    } else if (char === '"') {
+      const value = readQuoted('"', "quoted identifier");
+      tokens.push({ type: dialect === "mysql" ? "string" : "identifier", value });
+    } else if (char === "`") {
+      tokens.push({ type: "identifier", value: readQuoted("`", "quoted identifier") });
+    } else if (char === "$" && dialect === "postgresql" && DOLLAR_TAG.test(query.slice(i))) {
+      const tag = DOLLAR_TAG.exec(query.slice(i))[0];
+      const start = i;
+      i += tag.length;
+      skipUntil(tag, "dollar-quoted string");
+      tokens.push({ type: "string", value: query.slice(start, i) });
+    } else if (char === "$" && /^\$\d+/.test(query.slice(i))) {
+      const placeholder = /^\$\d+/.exec(query.slice(i))[0];
+      tokens.push({ type: "placeholder", value: placeholder });
+      i += placeholder.length;
+    } else if (/[0-9]/.test(char) || (char === "." && /[0-9]/.test(next ?? ""))) {
+      const number = /^(\d*\.)?\d+([eE][+-]?\d+)?/.exec(query.slice(i))[0];
+      tokens.push({ type: "number", value: number });
+      i += number.length;
+    } else if (char === ";") {
+      tokens.push({ type: "separator", value: ";" });
+      i++;
+    } else if (WORD_START.test(char)) {
+      const word = WORD.exec(query.slice(i))[0];
+      tokens.push({ type: "word", value: word.toUpperCase() });
+      i += word.length;
+    } else {
+      tokens.push({ type: "symbol", value: char });
+      i++;
+    }
+  }
+
+  if (executableComment) throw new Error("Unterminated executable comment");
+  return tokens;
+}
+
+/**
+ * Groups tokens into statements and describes each one.
+ * @param {string} query - The SQL text.
+ * @param {string} [dialect="sqlite"] - postgresql, mysql or sqlite.
+ * @returns {Array<Object>} Statements with their command, whether they are bounded by a
+ * WHERE clause, whether a subquery or CTE modifies data and whether a SELECT writes INTO a target.
+ */
+export function analyzeQuery(query, dialect = "sqlite") {
+  const statements = [[]];
+  for (const token of tokenize(query, dialect)) {
+    if (token.type === "separator") {
+      statements.push([]);
+    } else {
+      statements[statements.length - 1].push(token);
+    }
+  }
+
+  return statements.filter((tokens) => tokens.length > 0).map(describeStatement);
+}
+
+function describeStatement(tokens) {
+  if (tokens[0]?.type === "word" && EXPLAIN_COMMANDS.includes(tokens[0].value)) {
+    return describeExplain(tokens);
+  }
+
+  let depth = 0;
+  const topLevelWords = [];
+  // Parenthesised writes, such as data-modifying CTEs, are described like statements
+  // so the policy can check their command and WHERE clause too.
+  const nestedWrites = [];
+
+  tokens.forEach((token, index) => {
+    if (token.value === "(") depth++;
+    if (token.value === ")") depth = Math.max(0, depth - 1);
+    if (token.type !== "word") return;
+
+    if (depth === 0) {
+      topLevelWords.push(token.value);
+    } else if (WRITE_COMMANDS.includes(token.value) && tokens[index - 1]?.value === "(") {
+      nestedWrites.push(describeStatement(parenthesized(tokens, index)));
+    }
+  });
+
+  const first = topLevelWords[0] || null;
+  // WITH ... AS (...) <statement>: the statement is the first top-level command after the CTEs.
+  const command = first === "WITH"
+    ? topLevelWords.find((word) => READ_COMMANDS.includes(word) || WRITE_COMMANDS.includes(word)) || first
+    : first;
+
+  const commandIndex = topLevelWords.indexOf(command);
+  const bounded = topLevelWords.slice(commandIndex + 1).includes("WHERE");
+  // SELECT ... FOR UPDATE / FOR SHARE takes row locks.
+  const locking = topLevelWords.some((word, index) =>
+    word === "FOR" && ["UPDATE", "SHARE", "NO"].includes(topLevelWords[index + 1])
+  ) || topLevelWords.includes("LOCK");
+
+  // SELECT ... INTO creates a table (PostgreSQL) or writes a file or variables (MySQL).
+  const into = command === "SELECT" && topLevelWords.slice(commandIndex + 1).includes("INTO");
+
+  return { command, bounded, nestedWrite: nestedWrites.length > 0, nestedWrites, locking, into, tables: referencedTables(tokens) };
+}
+
+// The tokens from `start` up to the parenthesis that closes the one before it.
+function parenthesized(tokens, start) {
+  let depth = 1;
+  for (let index = start; index < tokens.length; index++) {
+    if (tokens[index].value === "(") depth++;
+    if (tokens[index].value === ")" && --depth === 0) return tokens.slice(start, index);
+  }
+  return tokens.slice(start);
+}
+
+// EXPLAIN only plans the statement it wraps, but EXPLAIN ANALYZE runs it, so an
+// analyzed statement is described as the statement itself.
+function describeExplain(tokens) {
+  let depth = 0;
+  let start = -1;
+  for (let index = 1; index < tokens.length && start === -1; index++) {
+    const token = tokens[index];
+    if (token.value === "(") depth++;
+    if (token.value === ")") depth = Math.max(0, depth - 1);
+    if (depth === 0 && token.type === "word" && EXPLAINABLE_COMMANDS.includes(token.value)) {
+      start = index;
+    }
+  }
+
+  const options = tokens.slice(1, start === -1 ? tokens.length : start);
+  const explained = start === -1 ? null : describeStatement(tokens.slice(start));
+  if (options.some((token) => token.type === "word" && token.value === "ANALYZE")) {
+    return explained || { command: null, bounded: false, nestedWrite: false, nestedWrites: [], locking: false, into: false, tables: [] };
+  }
+
+  return {
+    command: tokens[0].value,
+    bounded: false,
+    nestedWrite: false,
+    nestedWrites: [],
+    locking: false,
+    into: false,
+    tables: explained ? explained.tables : referencedTables(tokens)
+  };
+}
+
+const TABLE_KEYWORDS = ["FROM", "JOIN", "INTO", "UPDATE", "TABLE", "TRUNCATE"];
+
+// Collects the (unqualified, lower-cased) names following FROM, JOIN, INTO, UPDATE,
+// TABLE and TRUNCATE. This over-approximates, which is safe for cache invalidation.
+function referencedTables(tokens) {
+  const tables = new Set();
+  tokens.forEach((token, index) => {
+    if (token.type !== "word" || !TABLE_KEYWORDS.includes(token.value)) return;
+
+    let cursor = index + 1;
+    if (tokens[cursor]?.value === "IF") {
+      // CREATE/DROP TABLE IF [NOT] EXISTS name
+      while (tokens[cursor] && tokens[cursor].value !== "EXISTS") cursor++;
+      cursor++;
+    }
+
+    let name = null;
+    while (tokens[cursor]?.type === "word" || tokens[cursor]?.type === "identifier") {
+      name = tokens[cursor].value.replace(/^["`]|["`]$/g, "");
+      if (tokens[cursor + 1]?.value !== ".") break;
+      cursor += 2;
+    }
+    if (name) tables.add(name.toLowerCase());
+  });
+  return [...tables];
+}
+
+/**
+ * Rewrites a query into a canonical form (comments dropped, whitespace collapsed,
+ * keywords upper-cased) so equivalent queries share a cache key.
+ * @param {string} query - The SQL text.
+ * @param {string} [dialect="sqlite"] - postgresql, mysql or sqlite.
+ * @returns {string} The normalized query.
+ * @throws {Error} If the query cannot be tokenized
+ */
+export function normalizeQuery(query, dialect = "sqlite") {
+  return tokenize(query, dialect).map((token) => token.value).join(" ");
+}
+
+/**
+ * Reduces a query to its statement shape by replacing literals and placeholders
+ * with `?`, so the same statement with different values shares one fingerprint.
+ * IN lists of any length and repeated VALUES rows collapse to one form, and queries
+ * that cannot be tokenized share a single fingerprint, which keeps their number bounded.
+ * @param {string} query - The SQL text.
+ * @param {string} [dialect="sqlite"] - postgresql, mysql or sqlite.
+ * @returns {string} The fingerprint.
+ */
+export function fingerprintQuery(query, dialect = "sqlite") {
+  let tokens;
+  try {
+    tokens = tokenize(query, dialect);
+  } catch {
+    return UNPARSABLE_FINGERPRINT;
+  }
+  return tokens
+    .map((token) => (["string", "number", "placeholder"].includes(token.type) ? "?" : token.value))
+    .join(" ")
+    .replace(/\bIN \( \?(?: , \?)* \)/g, "IN ( ... )")
+    .replace(/(\( \?(?: , \?)* \))(?: , \1)+/g, "$1 , ...");
+}
+
+/**
+ * Tells whether a query only reads data and takes no row locks, so it can run on a replica.
+ * @param {string} query - The SQL text.
+ * @param {string} [dialect="sqlite"] - postgresql, mysql or sqlite.
+ * @returns {boolean} True for lock-free reads; false for anything else, including unparsable SQL.
+ */
+export function isReadOnlyQuery(query, dialect = "sqlite") {
+  try {
+    const statements = analyzeQuery(query, dialect);
+    return statements.length > 0 && statements.every((statement) =>
+      READ_COMMANDS.includes(statement.command) && !statement.nestedWrite && !statement.locking && !statement.into
+    );
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Checks a query against a policy.
+ * @param {string} query - The SQL text.
+ * @param {Object} policy - A policy returned by resolvePolicy.
+ * @param {string} [dialect="sqlite"] - postgresql, mysql or sqlite.
+ * @returns {{allowed: boolean, reason: (string|undefined)}} The verdict and, when rejected, why.
+ */
+export function checkQuery(query, policy, dialect = "sqlite") {
+  let statements;
+  try {
+    statements = analyzeQuery(query, dialect);
+  } catch (error) {
+    return { allowed: false, reason: error.message };
+  }
+
+  if (statements.length === 0) {
+    return { allowed: false, reason: "Query contains no statements" };
+  }
+
+  if (statements.length > 1 && !policy.allowMultipleStatements) {
+    return { allowed: false, reason: "Multiple statements are not allowed" };
+  }
+
+  for (const statement of statements) {
+    const reason = rejectionFor(statement, policy);
+    if (reason) {
+      return { allowed: false, reason };
+    }
+  }
+
+  return { allowed: true };
+}
+
+// Tells why a statement, or one of the writes nested in it, breaks the policy.
+function rejectionFor(statement, policy) {
+  const { command, bounded, nestedWrites, into } = statement;
+
+  if (!command) {
+    return "Unrecognized statement";
+  }
+
+  if (policy.allow !== "*" && !policy.allow.includes(command)) {
+    return `${command} statements are not allowed by the ${policy.name} policy`;
+  }
+
+  if (nestedWrites.length > 0 && policy.allow !== "*" && !WRITE_COMMANDS.some((write) => policy.allow.includes(write))) {
+    return `Data-modifying subqueries are not allowed by the ${policy.name} policy`;
+  }
+
+  if (into && policy.allow !== "*" && !policy.allow.includes("CREATE")) {
+    return `SELECT ... INTO is not allowed by the ${policy.name} policy`;
+  }
+
+  if ((command === "UPDATE" || command === "DELETE") && !bounded && !policy.allowUnboundedWrites) {
+    return `${command} without a WHERE clause is not allowed`;
+  }
+
+  for (const nested of nestedWrites) {
+    const reason = rejectionFor(nested, policy);
+    if (reason) return reason;
+  }
+  return null;
+}
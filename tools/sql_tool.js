@@ -2,6 +2,16 @@ import { Tool } from "duwende";
 import { SQL } from "bun";
 import path from "path";
 import { mkdir } from "fs/promises";
+import { MigrationRunner } from "./sql/migrations.js";
+import { resolvePolicy, checkQuery, analyzeQuery, isReadOnlyQuery, normalizeQuery, fingerprintQuery } from "./sql/query_policy.js";
+import { compileStatement, normalizeOrderBy } from "./sql/query_builder.js";
+import { encodeCursor, decodeCursor, keysetValues, rowsToStream } from "./sql/pagination.js";
+import { QueryCache, sharedQueryCache } from "./sql/query_cache.js";
+import { QueryMetrics, sharedQueryMetrics } from "./sql/query_metrics.js";
+
+const ISOLATION_LEVELS = ["read uncommitted", "read committed", "repeatable read", "serializable"];
+const MIGRATION_ACTIONS = ["migrate", "rollback", "migrationStatus"];
+const ROUTING_TARGETS = ["auto", "primary", "replica"];
 
 export class SqlTool extends Tool {
   constructor(params) {
@@ -9,10 +19,71 @@ export class SqlTool extends Tool {
     this.type = params.type?.toLowerCase() || "sqlite";
     this.connection = null;
     this.params = params;
+    this.activeOperations = 0;
+    this.replicas = [];
+    this.replicaIndex = 0;
 
     if (!["postgresql", "mysql", "sqlite"].includes(this.type)) {
       throw new Error("Unsupported database type. Must be one of: postgresql, mysql, sqlite");
     }
+
+    if (this.type === "sqlite" && params.replicas?.length) {
+      throw new Error("Read replicas are only supported for postgresql and mysql");
+    }
+
+    this.queryPolicy = resolvePolicy(params.queryPolicy);
+    this.cache = this.createCache(params.cache);
+
+    const identity = this.databaseIdentity();
+    this.metrics = identity ? sharedQueryMetrics(identity) : new QueryMetrics();
+  }
+
+  // Caches and metrics are shared per database so that per-request tool instances
+  // see each other's entries; null for a private in-memory SQLite database.
+  databaseIdentity() {
+    if (this.type === "sqlite") {
+      const dbPath = this.params.dbPath || ":memory:";
+      return dbPath === ":memory:" ? null : `sqlite:${path.resolve(dbPath)}`;
+    }
+
+    const { host, port, database } = this.params;
+    return `${this.type}://${host}:${port ?? ""}/${database ?? ""}`;
+  }
+
+  createCache(config) {
+    if (!config) return null;
+
+    const options = config === true ? {} : config;
+    const name = options.name || this.databaseIdentity();
+    return name ? sharedQueryCache(name, options) : new QueryCache(options);
+  }
+
+  cacheKeyFor(query, values, cacheOption) {
+    if (!this.cache || !cacheOption || !isReadOnlyQuery(query, this.type)) return null;
+
+    try {
+      return JSON.stringify([normalizeQuery(query, this.type), values]);
+    } catch {
+      // Values that cannot be serialized (e.g. BigInt) are simply not cached.
+      return null;
+    }
+  }
+
+  tablesOf(query) {
+    try {
+      return analyzeQuery(query, this.type).flatMap((statement) => statement.tables);
+    } catch {
+      return [];
+    }
+  }
+
+  // A write drops the cached reads tagged with any table it touches; when no table
+  // can be identified the whole cache is cleared.
+  invalidateCacheFor(query, extraTags = []) {
+    if (!this.cache || isReadOnlyQuery(query, this.type)) return;
+
+    const tags = [...this.tablesOf(query), ...extraTags];
+    this.cache.invalidate(tags.length > 0 ? tags : undefined);
   }
 
   async initialize() {
@@ -21,14 +92,14 @@ export class SqlTool extends Tool {
         case "postgresql":
           await this.initializePostgres();
           if (this.params.initialization) {
-            await this.executeQuery(this.params.initialization);
+            await this.executeQuery(this.params.initialization, [], { target: "primary" });
           }
           break;
 
         case "mysql":
           await this.initializeMysql();
           if (this.params.initialization) {
-            await this.executeQuery(this.params.initialization);
+            await this.executeQuery(this.params.initialization, [], { target: "primary" });
           }
           break;
 
@@ -42,46 +113,67 @@ export class SqlTool extends Tool {
     }
   }
 
+  // Pool settings shared by the PostgreSQL and MySQL adapters (timeouts in seconds).
+  poolOptions() {
+    const { maxConn = 10, idleTimeout = 20, maxLifetime = 0, connectionTimeout = 30 } = this.params;
+    return {
+      max: maxConn,
+      idleTimeout,
+      maxLifetime,
+      connectionTimeout
+    };
+  }
+
+  // Replicas inherit the primary's credentials, database and port unless they override them.
+  // Each entry is a host name or a { host, port, user, password, database } object.
+  replicaEndpoints() {
+    const { host, user, password, database, port, replicas = [] } = this.params;
+    return replicas.map((replica) => ({
+      host,
+      user,
+      password,
+      database,
+      port,
+      ...(typeof replica === "string" ? { host: replica } : replica)
+    }));
+  }
+
   async initializePostgres() {
-    const { host, user, password, database, port } = this.params;
-    this.connection = new SQL({
+    this.connection = this.createPostgresConnection(this.params);
+    this.replicas = this.replicaEndpoints().map((endpoint) => this.createPostgresConnection(endpoint));
+  }
+
+  createPostgresConnection({ host, user, password, database, port }) {
+    return new SQL({
       hostname: host,
       port,
       database,
       username: user,
       password,
-      idleTimeout: 20
+      ...this.poolOptions()
     });
   }
 
   async initializeMysql() {
-    const { host, user, password, database, port } = this.params;
+    this.connection = this.createMysqlConnection(this.params);
+    this.replicas = this.replicaEndpoints().map((endpoint) => this.createMysqlConnection(endpoint));
+  }
 
-    this.connection = new SQL({
+  createMysqlConnection({ host, user, password, database, port }) {
+    return new SQL({
       adapter: 'mysql',
       hostname: host,
       port,
       username: user,
       password,
       database,
-      idleTimeout:20,
+      ...this.poolOptions()
     });
   }
 
   async initializeSqlite() {
     try {
-      const dbPath = this.params.dbPath || ":memory:";
-
-      if (dbPath !== ":memory:") {
-        const dbDir = path.dirname(dbPath);
-        await mkdir(dbDir, { recursive: true });
-      }
-
-      // ✅ Use a connection string, not an object
-      const connectionString =
-        dbPath === ":memory:" ? "sqlite::memory:" : `sqlite://${dbPath}`;
-
-      this.connection = new SQL(connectionString);
+      await this.connectSqlite();
 
       // Run initialization SQL if provided
       if (this.params.initialization) {
@@ -99,32 +191,139 @@ export class SqlTool extends Tool {
   }
 
 
-  // relaxed version – only checks query text, not parameter values
+  // Opens the sqlite connection without running the initialization SQL, so a
+  // restored database file can be reopened as is.
+  async connectSqlite() {
+    const dbPath = this.params.dbPath || ":memory:";
+
+    if (dbPath !== ":memory:") {
+      const dbDir = path.dirname(dbPath);
+      await mkdir(dbDir, { recursive: true });
+    }
+
+    // ✅ Use a connection string, not an object
+    const connectionString =
+      dbPath === ":memory:" ? "sqlite::memory:" : `sqlite://${dbPath}`;
+
+    this.connection = new SQL(connectionString);
+  }
+
+  // Only the query text is analyzed; parameter values are bound by the driver.
+  checkQuery(query) {
+    return checkQuery(query, this.queryPolicy, this.type);
+  }
+
   isTrustedQuery(query) {
-    const unsafeCommands = ["DROP TABLE", "DROP DATABASE", "TRUNCATE TABLE"];
-    const unsafePatterns = ["; DROP", ";--", "/*", "*/"];
+    return this.checkQuery(query).allowed;
+  }
 
-    const upper = query.toUpperCase();
-    if (unsafeCommands.some(cmd => upper.includes(cmd))) return false;
-    if (unsafePatterns.some(pattern => query.includes(pattern))) return false;
-    return true;
+  placeholder(index) {
+    return this.type === "postgresql" ? `$${index}` : "?";
+  }
+
+  // Counts this instance's in-flight operations for the health report. Bun.SQL does
+  // not expose pool usage, and tools are created per request, so this is not a pool figure.
+  async trackOperation(operation) {
+    this.activeOperations++;
+    try {
+      return await operation();
+    } finally {
+      this.activeOperations--;
+    }
   }
 
-  async executeQuery(query, values = []) {
+  // Normalizes a Bun.SQL result into rows, the real affected-row count, the
+  // inserted id (last_insert_rowid/LAST_INSERT_ID, or the RETURNING row's id)
+  // and the statement's command tag.
+  describeResult(query, result) {
+    const rows = Array.isArray(result) ? [...result] : [result];
+    const command = result?.command?.toUpperCase() || this.commandOf(query);
+    const affectedRows = result?.affectedRows ?? result?.count ?? rows.length;
+
+    // An INSERT that inserted nothing (INSERT OR IGNORE, ON CONFLICT DO NOTHING) still
+    // carries the connection's previous rowid, which belongs to another statement.
+    let lastInsertId = null;
+    if ((command === "INSERT" || command === "REPLACE") && Number(affectedRows) > 0) {
+      lastInsertId = result?.lastInsertRowid ?? rows[0]?.id ?? null;
+    }
+
+    return {
+      rows,
+      affectedRows: Number(affectedRows),
+      lastInsertId: typeof lastInsertId === "bigint" ? bigintToJson(lastInsertId) : lastInsertId,
+      command
+    };
+  }
+
+  commandOf(query) {
+    try {
+      return analyzeQuery(query, this.type)[0]?.command || null;
+    } catch {
+      return null;
+    }
+  }
+
+  // Lock-free reads rotate across the replicas unless the caller pins a target;
+  // everything else, including transactions, runs on the primary.
+  pickReplica(query, target = "auto") {
+    if (target === "primary" || this.replicas.length === 0) return null;
+    if (target === "auto" && !isReadOnlyQuery(query, this.type)) return null;
+
+    const replica = this.replicas[this.replicaIndex % this.replicas.length];
+    this.replicaIndex = (this.replicaIndex + 1) % this.replicas.length;
+    return replica;
+  }
+
+  async executeQuery(query, values = [], { target = "auto" } = {}) {
     if (!this.connection) {
       throw new Error("Connection not initialized");
     }
 
+    const replica = this.pickReplica(query, target);
+    if (replica) {
+      const result = await this.executeOn(replica, query, values);
+      if (result.success) return result;
+      console.error(`${this.type} replica failed, retrying on primary:`, result.error);
+    }
+
+    return this.executeOn(this.connection, query, values);
+  }
+
+  // Times a statement, records it under its fingerprint and logs it when it is slow.
+  async timeQuery(query, values, operation) {
+    const start = performance.now();
+    let success = false;
+    try {
+      const result = await operation();
+      success = true;
+      return result;
+    } finally {
+      this.recordTiming(query, values, performance.now() - start, success);
+    }
+  }
+
+  recordTiming(query, values, durationMs, success) {
+    const fingerprint = fingerprintQuery(query, this.type);
+    this.metrics.record(fingerprint, durationMs, success);
+
+    const { slowQueryMs = 1000 } = this.params;
+    if (slowQueryMs > 0 && durationMs >= slowQueryMs) {
+      console.warn(`${this.type} slow query (${durationMs.toFixed(1)}ms, ${values?.length ?? 0} params): ${fingerprint}`);
+    }
+  }
+
+  async executeOn(connection, query, values = []) {
     try {
-      const result =
-        values && values.length > 0
-          ? await this.connection.unsafe(query, values)
-          : await this.connection.unsafe(query);
+      const result = await this.trackOperation(() =>
+        this.timeQuery(query, values, () =>
+          values && values.length > 0
+            ? connection.unsafe(query, values)
+            : connection.unsafe(query)
+        )
+      );
 
-      const rows = Array.isArray(result) ? result : [result];
       return {
-        rows,
-        affectedRows: rows.length,
+        ...this.describeResult(query, result),
         success: true
       };
     } catch (error) {
@@ -138,33 +337,411 @@ export class SqlTool extends Tool {
     }
   }
 
-  async use(params) {
+  async executeTransaction(steps, isolationLevel) {
+    if (!this.connection) {
+      throw new Error("Connection not initialized");
+    }
+
+    const results = [];
+    let failedStep = null;
+
+    const runSteps = async (tx) => {
+      for (const [index, step] of steps.entries()) {
+        const { query, values = [], optional = false } = step;
+        try {
+          // Optional steps run inside a savepoint so their failure only
+          // rolls back that step instead of the whole transaction.
+          const run = (sql) => this.timeQuery(query, values, () =>
+            values.length > 0 ? sql.unsafe(query, values) : sql.unsafe(query)
+          );
+          const result = optional ? await tx.savepoint(run) : await run(tx);
+          results.push({ step: index, ...this.describeResult(query, result), success: true });
+        } catch (error) {
+          results.push({ step: index, rows: [], affectedRows: 0, success: false, error: error.message });
+          if (!optional) {
+            failedStep = index;
+            throw error;
+          }
+        }
+      }
+    };
+
+    let reserved = null;
+    this.activeOperations++;
     try {
-      if (!this.connection) {
-        await this.initialize();
+      switch (this.type) {
+        case "postgresql":
+          await (isolationLevel
+            ? this.connection.begin(`isolation level ${isolationLevel}`, runSteps)
+            : this.connection.begin(runSteps));
+          break;
+
+        case "mysql":
+          // MySQL only accepts the isolation level before START TRANSACTION,
+          // so both statements must go through the same pooled connection.
+          reserved = await this.connection.reserve();
+          if (isolationLevel) {
+            await reserved.unsafe(`SET TRANSACTION ISOLATION LEVEL ${isolationLevel.toUpperCase()}`);
+          }
+          await reserved.begin(runSteps);
+          break;
+
+        case "sqlite":
+          // SQLite transactions are always serializable.
+          await this.connection.begin(runSteps);
+          break;
+      }
+
+      steps.forEach(({ query }) => this.invalidateCacheFor(query));
+      return {
+        steps: results,
+        committed: true,
+        success: true
+      };
+    } catch (error) {
+      console.error(`${this.type} transaction error:`, error);
+      return {
+        steps: results,
+        committed: false,
+        failedStep,
+        success: false,
+        error: error.message
+      };
+    } finally {
+      this.activeOperations--;
+      reserved?.release();
+    }
+  }
+
+  // Bun.SQL does not tell how many pooled connections are busy or idle, so the report
+  // carries the configured pool settings and this instance's own in-flight operations.
+  async checkHealth() {
+    // SQLite runs on a single connection rather than a pool.
+    const pool = this.type === "sqlite" ? { max: 1 } : this.poolOptions();
+    const inFlight = this.activeOperations;
+
+    const start = performance.now();
+    const result = await this.executeQuery("SELECT 1 AS ok", [], { target: "primary" });
+    const latencyMs = Math.round((performance.now() - start) * 100) / 100;
+
+    return {
+      status: result.success ? 200 : 503,
+      content: {
+        healthy: result.success,
+        type: this.type,
+        latencyMs,
+        replicas: this.replicas.length,
+        pool,
+        inFlight,
+        success: result.success,
+        ...(result.success ? {} : { error: result.error })
+      }
+    };
+  }
+
+  validateTransaction(steps, isolationLevel) {
+    if (!Array.isArray(steps) || steps.length === 0) {
+      return "Transaction steps are required";
+    }
+
+    const invalidStep = steps.findIndex((step) => !step || typeof step.query !== "string" || !step.query);
+    if (invalidStep !== -1) {
+      return `Transaction step ${invalidStep} is missing a query`;
+    }
+
+    for (const [index, step] of steps.entries()) {
+      const { allowed, reason } = this.checkQuery(step.query);
+      if (!allowed) {
+        return `Potential SQL injection detected in transaction step ${index}: ${reason}`;
       }
+    }
 
-      const { query, values = [] } = params;
+    if (isolationLevel && !ISOLATION_LEVELS.includes(isolationLevel.toLowerCase())) {
+      return `Unsupported isolation level: ${isolationLevel}`;
+    }
+
+    return null;
+  }
 
-      if (!query) {
+  async runTransaction(params) {
+    const { steps, isolationLevel } = params;
+
+    const validationError = this.validateTransaction(steps, isolationLevel);
+    if (validationError) {
+      return {
+        status: 400,
+        content: { error: validationError, success: false }
+      };
+    }
+
+    const result = await this.executeTransaction(steps, isolationLevel?.toLowerCase());
+    return {
+      status: result.success ? 200 : 400,
+      content: result
+    };
+  }
+
+  async runMigrations(action, params) {
+    // Migration files run DDL outside the query policy, so applying or reverting them
+    // must be enabled explicitly for the tool instance that owns the schema.
+    if (action !== "migrationStatus" && !this.params.allowMigrations) {
+      return {
+        status: 403,
+        content: { error: `The ${action} action requires the allowMigrations init parameter`, success: false }
+      };
+    }
+
+    // The directory only comes from the init parameters, never from a call.
+    const runner = new MigrationRunner(this, this.params.migrationsDir || "migrations");
+
+    switch (action) {
+      case "migrate": {
+        const result = await runner.migrate();
         return {
-          status: 400,
-          content: { error: "Query is required", success: false }
+          status: result.success ? 200 : result.drift ? 409 : 400,
+          content: result
         };
       }
 
-      if (!this.isTrustedQuery(query)) {
+      case "rollback": {
+        const count = params.count ?? 1;
+        if (!Number.isInteger(count) || count < 1) {
+          return {
+            status: 400,
+            content: { error: "Rollback count must be a positive integer", success: false }
+          };
+        }
+        const result = await runner.rollback(count);
         return {
-          status: 400,
-          content: { error: "Potential SQL injection detected", success: false }
+          status: result.success ? 200 : 400,
+          content: result
+        };
+      }
+
+      case "migrationStatus":
+        return {
+          status: 200,
+          content: { ...(await runner.status()), success: true }
+        };
+    }
+  }
+
+  async runQuery(query, values = [], target = "auto", cache = null) {
+    if (!query) {
+      return {
+        status: 400,
+        content: { error: "Query is required", success: false }
+      };
+    }
+
+    const { allowed, reason } = this.checkQuery(query);
+    if (!allowed) {
+      return {
+        status: 400,
+        content: { error: `Potential SQL injection detected: ${reason}`, success: false }
+      };
+    }
+
+    const cacheOption = cache === true ? {} : cache;
+    const cacheKey = this.cacheKeyFor(query, values, cacheOption);
+    if (cacheKey) {
+      const cached = this.cache.get(cacheKey);
+      if (cached) {
+        return {
+          status: 200,
+          content: { ...cached, cached: true }
         };
       }
+    }
+
+    const result = await this.executeQuery(query, values, { target });
+    if (result.success && cacheKey) {
+      this.cache.set(cacheKey, result, {
+        ttl: cacheOption.ttl,
+        tags: [...this.tablesOf(query), ...(cacheOption.tags || [])]
+      });
+    } else if (result.success) {
+      this.invalidateCacheFor(query, cacheOption?.tags);
+    }
+
+    return {
+      status: result.success ? 200 : 400,
+      content: result
+    };
+  }
+
+  async runBuiltQuery(params) {
+    const { query, values } = compileStatement(params.statement, this.type);
+
+    if (params.dryRun) {
+      return {
+        status: 200,
+        content: { query, values, success: true }
+      };
+    }
+
+    return this.runQuery(query, values, params.target, params.cache);
+  }
+
+  validatePagedStatement(statement, pageSize) {
+    if (statement?.type !== "select") {
+      throw new Error("Pagination requires a select statement");
+    }
+    if (statement.limit !== undefined || statement.offset !== undefined) {
+      throw new Error("Pagination statements must not set limit or offset");
+    }
+    if (!Number.isInteger(pageSize) || pageSize < 1) {
+      throw new Error("pageSize must be a positive integer");
+    }
+
+    const keys = normalizeOrderBy(statement.orderBy);
+    if (keys.length === 0) {
+      throw new Error("Pagination requires an orderBy over unique, non-null columns");
+    }
+    return keys;
+  }
 
-      const result = await this.executeQuery(query, values);
+  // Fetches one keyset page; one extra row is read to know whether another page follows.
+  async fetchPage(statement, { pageSize = 100, cursor, target = "auto" } = {}) {
+    const keys = this.validatePagedStatement(statement, pageSize);
+    const after = cursor ? decodeCursor(cursor) : undefined;
+    const { query, values } = compileStatement({ ...statement, after, limit: pageSize + 1 }, this.type);
+
+    const { allowed, reason } = this.checkQuery(query);
+    if (!allowed) {
+      throw new Error(`Potential SQL injection detected: ${reason}`);
+    }
+
+    const result = await this.executeQuery(query, values, { target });
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    const hasMore = result.rows.length > pageSize;
+    const rows = hasMore ? result.rows.slice(0, pageSize) : result.rows;
+    return {
+      rows,
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(keysetValues(rows[rows.length - 1], keys)) : null
+    };
+  }
+
+  // Yields every matching row while holding at most one page in memory.
+  async *streamRows(statement, { pageSize = 1000, cursor, target = "auto" } = {}) {
+    let nextCursor = cursor;
+    do {
+      const page = await this.fetchPage(statement, { pageSize, cursor: nextCursor, target });
+      yield* page.rows;
+      nextCursor = page.nextCursor;
+    } while (nextCursor);
+  }
+
+  async runPage(params) {
+    const { statement, pageSize, cursor, target } = params;
+    const page = await this.fetchPage(statement, { pageSize, cursor, target });
+    return {
+      status: 200,
+      content: { ...page, success: true }
+    };
+  }
+
+  async runStream(params) {
+    const { statement, pageSize = 1000, cursor, format, target } = params;
+    // Validate up front so errors surface as a 400 instead of mid-stream.
+    this.validatePagedStatement(statement, pageSize);
+    compileStatement({ ...statement, after: cursor ? decodeCursor(cursor) : undefined }, this.type);
+
+    const rows = this.streamRows(statement, { pageSize, cursor, target });
+    return {
+      status: 200,
+      content: format
+        ? { body: rowsToStream(rows, format), success: true }
+        : { iterator: rows, success: true }
+    };
+  }
+
+  runStats(reset = false) {
+    const content = {
+      ...this.metrics.snapshot(),
+      slowQueryMs: this.params.slowQueryMs ?? 1000,
+      ...(this.cache ? { cache: this.cache.snapshot() } : {}),
+      success: true
+    };
+
+    if (reset) {
+      this.metrics.reset();
+    }
+
+    return {
+      status: 200,
+      content
+    };
+  }
+
+  runCacheAction(action, tags) {
+    if (!this.cache) {
       return {
-        status: result.success ? 200 : 400,
-        content: result
+        status: 400,
+        content: { error: "Query cache is not enabled", success: false }
       };
+    }
+
+    if (action === "invalidate") {
+      return {
+        status: 200,
+        content: { invalidated: this.cache.invalidate(tags), success: true }
+      };
+    }
+
+    return {
+      status: 200,
+      content: { ...this.cache.snapshot(), success: true }
+    };
+  }
+
+  async use(params) {
+    try {
+      if (!this.connection) {
+        await this.initialize();
+      }
+
+      const { action = "query", query, values = [], target = "auto" } = params;
+
+      if (!ROUTING_TARGETS.includes(target)) {
+        return {
+          status: 400,
+          content: { error: `Unsupported target: ${target}. Must be one of: ${ROUTING_TARGETS.join(", ")}`, success: false }
+        };
+      }
+
+      if (MIGRATION_ACTIONS.includes(action)) {
+        return await this.runMigrations(action, params);
+      }
+
+      switch (action) {
+        case "query":
+          return await this.runQuery(query, values, target, params.cache);
+        case "build":
+          return await this.runBuiltQuery(params);
+        case "transaction":
+          return await this.runTransaction(params);
+        case "page":
+          return await this.runPage(params);
+        case "stream":
+          return await this.runStream(params);
+        case "health":
+          return await this.checkHealth();
+        case "stats":
+          return this.runStats(params.reset);
+        case "cacheStats":
+        case "invalidate":
+          return this.runCacheAction(action, params.tags);
+        default:
+          return {
+            status: 400,
+            content: { error: `Unsupported action: ${action}`, success: false }
+          };
+      }
     } catch (error) {
       console.error(`${this.type} query error:`, error);
       return {
@@ -179,10 +756,12 @@ export class SqlTool extends Tool {
 
     try {
       this.connection.end?.();
+      this.replicas.forEach((replica) => replica.end?.());
     } catch (error) {
       console.error(`Error during cleanup: ${error.message}`);
     } finally {
       this.connection = null;
+      this.replicas = [];
     }
   }
 
@@ -218,10 +797,30 @@ export class SqlTool extends Tool {
         required: false,
         description: "Database port (required for PostgreSQL/MySQL)"
       },
+      replicas: {
+        type: "array",
+        required: false,
+        description: "Read replicas as host names or { host, port, user, password, database } objects inheriting the primary's settings (PostgreSQL/MySQL)"
+      },
       maxConn: {
         type: "number",
         required: false,
-        description: "Maximum number of connections (MySQL only)"
+        description: "Maximum number of pooled connections (PostgreSQL/MySQL, default 10)"
+      },
+      idleTimeout: {
+        type: "number",
+        required: false,
+        description: "Seconds an idle pooled connection is kept open (PostgreSQL/MySQL, default 20)"
+      },
+      maxLifetime: {
+        type: "number",
+        required: false,
+        description: "Maximum lifetime in seconds of a pooled connection, 0 for unlimited (PostgreSQL/MySQL, default 0)"
+      },
+      connectionTimeout: {
+        type: "number",
+        required: false,
+        description: "Seconds to wait when acquiring a new pooled connection (PostgreSQL/MySQL, default 30)"
       },
       dbPath: {
         type: "string",
@@ -232,21 +831,115 @@ export class SqlTool extends Tool {
         type: "string",
         required: false,
         description: "SQL statements to initialize the database"
+      },
+      queryPolicy: {
+        type: "any",
+        required: false,
+        description: "Statements accepted by use(): read-only, dml-only, standard (default; no DROP/TRUNCATE), full, or a custom { allow, allowUnboundedWrites, allowMultipleStatements } policy"
+      },
+      cache: {
+        type: "any",
+        required: false,
+        description: "Enable the query result cache: true or { maxEntries (500), ttl in seconds (60), name }"
+      },
+      slowQueryMs: {
+        type: "number",
+        required: false,
+        description: "Log statements slower than this many milliseconds with console.warn, 0 to disable (default 1000)"
+      },
+      migrationsDir: {
+        type: "string",
+        required: false,
+        description: "Directory of <version>_<name>.up.sql/.down.sql migration files (defaults to migrations)"
+      },
+      allowMigrations: {
+        type: "boolean",
+        required: false,
+        description: "Enable the migrate and rollback actions, which run migration files regardless of queryPolicy (default false)"
       }
     };
   }
 
   static in_schema() {
     return {
+      action: {
+        type: "string",
+        required: false,
+        enum: ["query", "build", "page", "stream", "transaction", "health", "stats", "cacheStats", "invalidate", ...MIGRATION_ACTIONS],
+        description: "Operation to perform (defaults to query)"
+      },
       query: {
         type: "string",
-        required: true,
-        description: "SQL query to execute"
+        required: false,
+        description: "SQL query to execute; required for the query action, unused by the others"
       },
       values: {
         type: "array",
         required: false,
         description: "Values for parameterized queries"
+      },
+      cache: {
+        type: "any",
+        required: false,
+        description: "Cache this read: true or { ttl, tags }; entries are tagged with the tables read plus any extra tags. On writes, extra tags to invalidate"
+      },
+      reset: {
+        type: "boolean",
+        required: false,
+        description: "Clear the aggregated query metrics after the stats action reads them"
+      },
+      tags: {
+        type: "array",
+        required: false,
+        description: "Tags to drop for the invalidate action (all entries when omitted)"
+      },
+      target: {
+        type: "string",
+        required: false,
+        enum: ROUTING_TARGETS,
+        description: "Where to run the statement: auto (lock-free reads on replicas, default), primary or replica"
+      },
+      statement: {
+        type: "object",
+        required: false,
+        description: "JSON select/insert/update/delete description for the build action, compiled to the configured dialect; the page and stream actions take a select ordered by unique columns"
+      },
+      pageSize: {
+        type: "number",
+        required: false,
+        description: "Rows per page for the page action (default 100) or per fetch for the stream action (default 1000)"
+      },
+      cursor: {
+        type: "string",
+        required: false,
+        description: "Opaque continuation token returned as nextCursor by the page action"
+      },
+      format: {
+        type: "string",
+        required: false,
+        enum: ["ndjson", "csv"],
+        description: "Encode the stream action's rows as a ReadableStream body instead of an async iterator"
+      },
+      dryRun: {
+        type: "boolean",
+        required: false,
+        description: "Return the compiled query and values from the build action without executing it"
+      },
+      steps: {
+        type: "array",
+        required: false,
+        description: "Ordered { query, values, optional } statements for the transaction action; optional steps run in a savepoint"
+      },
+      isolationLevel: {
+        type: "string",
+        required: false,
+        enum: ISOLATION_LEVELS,
+        description: "Transaction isolation level (PostgreSQL/MySQL; SQLite is always serializable)"
+      },
+      count: {
+        type: "number",
+        required: false,
+        description: "Number of migrations to revert for the rollback action (defaults to 1)"
       }
     };
   }
@@ -260,10 +953,35 @@ export class SqlTool extends Tool {
           type: "object",
           properties: {
             rows: { type: "array" },
+            query: { type: "string" },
+            nextCursor: { type: "string" },
+            hasMore: { type: "boolean" },
+            iterator: { type: "object" },
+            body: { type: "object" },
+            values: { type: "array" },
             affectedRows: { type: "number" },
             success: { type: "boolean" },
             error: { type: "string" },
-            lastInsertId: { type: "number" }
+            lastInsertId: { type: "number" },
+            command: { type: "string" },
+            steps: { type: "array" },
+            committed: { type: "boolean" },
+            failedStep: { type: "number" },
+            migrations: { type: "array" },
+            drift: { type: "boolean" },
+            applied: { type: "array" },
+            reverted: { type: "array" },
+            failedVersion: { type: "number" },
+            healthy: { type: "boolean" },
+            latencyMs: { type: "number" },
+            replicas: { type: "number" },
+            cached: { type: "boolean" },
+            totalQueries: { type: "number" },
+            statements: { type: "array" },
+            evictedStatements: { type: "number" },
+            invalidated: { type: "number" },
+            pool: { type: "object" },
+            inFlight: { type: "number" }
           }
         }
       },
@@ -272,8 +990,13 @@ export class SqlTool extends Tool {
   }
 
   static about() {
-    return "A unified SQL tool using Bun.SQL that supports PostgreSQL, MySQL, and SQLite databases. Maintains backward compatibility and relaxed injection checks.";
+    return "A unified SQL tool using Bun.SQL that supports PostgreSQL, MySQL, and SQLite databases, including a dialect-aware JSON query builder, keyset pagination and streaming, read-replica routing, an opt-in result cache, slow-query logging and per-statement metrics, atomic multi-statement transactions, versioned schema migrations and health checks that report latency and the pool settings. Queries are checked against a configurable statement policy that understands literals and comments.";
   }
 }
 
+// BigInt is not JSON serializable; ids beyond the safe integer range are kept as strings.
+function bigintToJson(value) {
+  return value <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(value) : value.toString();
+}
+
 export const sql_tool = SqlTool;
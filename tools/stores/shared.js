@@ -0,0 +1,55 @@
+const sharedStores = new Map();
+
+/**
+ * Resolves the store init parameter of a tool. Tools are created per request, so
+ * stores are shared by kind, type and name; a name always stands for one configuration,
+ * and reusing it with another database or table throws instead of silently returning
+ * the first store. A store wrapping a given sqlTool is not shared.
+ * @param {string|Object} config - 'memory', `{ type: 'memory', name }`,
+ *   `{ type: 'sql', name, database | sqlTool, table }`, or a store object.
+ * @param {Object} kind
+ * @param {string} kind.label - The kind of store, used in keys and error messages.
+ * @param {Function} kind.isStore - Tells whether `config` already is a store.
+ * @param {Function} kind.memory - Creates a memory store.
+ * @param {Function} kind.sql - Creates a sql store from the remaining options.
+ * @returns {Object} The store.
+ * @throws {Error} If the store type is unknown or the name is shared by different configurations
+ */
+export function resolveSharedStore(config, { label, isStore, memory, sql }) {
+  if (isStore(config)) {
+    return config;
+  }
+
+  const { type = 'memory', name = 'default', ...options } = typeof config === 'string' ? { type: config } : config;
+  if (type !== 'memory' && type !== 'sql') {
+    throw new Error(`Unsupported ${label} store: ${type}. Must be one of: memory, sql`);
+  }
+  if (options.sqlTool) {
+    return sql(options);
+  }
+
+  const key = `${label}:${type}:${name}`;
+  const identity = stableJson(options);
+  const shared = sharedStores.get(key);
+  if (shared) {
+    if (shared.identity !== identity) {
+      throw new Error(`The ${label} store "${name}" is already configured with different options; give this one its own name`);
+    }
+    return shared.store;
+  }
+
+  const store = type === 'memory' ? memory() : sql(options);
+  sharedStores.set(key, { identity, store });
+  return store;
+}
+
+// JSON with sorted object keys, so equal configurations compare equal whatever their key order.
+function stableJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map((key) => `${JSON.stringify(key)}:${stableJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+}
@@ -0,0 +1,95 @@
+import { createHmac } from 'crypto';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+export const OTP_ALGORITHMS = { SHA1: 'sha1', SHA256: 'sha256', SHA512: 'sha512' };
+
+/**
+ * Encodes bytes as unpadded RFC 4648 base32, the format authenticator apps expect.
+ * @param {Buffer} buffer - The bytes.
+ * @returns {string} The base32 string.
+ */
+export function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+/**
+ * Decodes base32, ignoring case, spaces, dashes and padding.
+ * @param {string} input - The base32 string.
+ * @returns {Buffer} The bytes.
+ * @throws {Error} If the input has characters outside the base32 alphabet
+ */
+export function base32Decode(input) {
+  const cleaned = String(input).toUpperCase().replace(/[\s\-=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Secret must be base32 encoded');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * Computes an HOTP code (RFC 4226) for a counter; TOTP uses the time step as counter.
+ * @param {Buffer} key - The shared secret.
+ * @param {number} counter - The counter.
+ * @param {Object} [options]
+ * @param {number} [options.digits=6] - Code length.
+ * @param {string} [options.algorithm='SHA1'] - SHA1, SHA256 or SHA512.
+ * @returns {string} The zero-padded code.
+ */
+export function hotp(key, counter, { digits = 6, algorithm = 'SHA1' } = {}) {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+  const digest = createHmac(OTP_ALGORITHMS[algorithm], key).update(message).digest();
+
+  // Dynamic truncation: four bytes starting at the offset in the low nibble of the last byte.
+  const offset = digest[digest.length - 1] & 0x0f;
+  const binary = digest.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** digits).padStart(digits, '0');
+}
+
+/**
+ * Builds an otpauth:// URI for QR codes, in the Key Uri Format understood by
+ * Google Authenticator and compatible apps.
+ * @param {Object} options
+ * @param {string} options.secret - The base32 secret.
+ * @param {string} options.account - The account name, e.g. an email address.
+ * @param {string} [options.issuer] - The service name shown by the app.
+ * @param {string} options.algorithm - SHA1, SHA256 or SHA512.
+ * @param {number} options.digits - Code length.
+ * @param {number} options.period - Step length in seconds.
+ * @returns {string} The URI.
+ */
+export function provisioningUri({ secret, account, issuer, algorithm, digits, period }) {
+  const label = issuer ? `${encodeURIComponent(issuer)}:${encodeURIComponent(account)}` : encodeURIComponent(account);
+  const query = new URLSearchParams({ secret });
+  if (issuer) query.set('issuer', issuer);
+  query.set('algorithm', algorithm);
+  query.set('digits', String(digits));
+  query.set('period', String(period));
+  return `otpauth://totp/${label}?${query.toString().replace(/\+/g, '%20')}`;
+}
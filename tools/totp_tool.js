@@ -0,0 +1,264 @@
+import { Tool } from 'duwende';
+import { createHash, randomBytes, randomInt, timingSafeEqual } from 'crypto';
+import { BcryptTool } from './bcrypt_tool.js';
+import { createDenylistStore } from './jwt/denylist.js';
+import { OTP_ALGORITHMS, base32Decode, base32Encode, hotp, provisioningUri } from './totp/otp.js';
+
+// Recovery codes skip characters that are easily confused, such as 0/o and 1/l/i.
+const RECOVERY_ALPHABET = 'abcdefghjkmnpqrstuvwxyz23456789';
+const RECOVERY_LENGTH = 10;
+
+export class TotpTool extends Tool {
+  constructor(params) {
+    super(params);
+    this.issuer = params.issuer || null;
+    this.algorithm = (params.algorithm || 'SHA1').toUpperCase();
+    this.digits = params.digits || 6;
+    this.period = params.period || 30;
+    this.window = params.window ?? 1;
+    this.secretBytes = params.secretBytes || 20;
+    this.recoveryCodeCount = params.recoveryCodeCount || 10;
+    // Accepted time steps are recorded in a denylist store until they can no longer verify.
+    this.usedSteps = createDenylistStore(params.replay ?? { type: 'memory', name: 'totp' });
+    this.bcryptTool = new BcryptTool(params.bcrypt || {});
+
+    if (!(this.algorithm in OTP_ALGORITHMS)) {
+      throw new Error(`Unsupported algorithm: ${this.algorithm}. Must be one of: ${Object.keys(OTP_ALGORITHMS).join(', ')}`);
+    }
+    if (![6, 7, 8].includes(this.digits)) {
+      throw new Error('digits must be 6, 7 or 8');
+    }
+  }
+
+  async use(params) {
+    try {
+      switch (params.action) {
+        case 'generateSecret':
+          return {
+            status: 200,
+            content: this.generateSecret(params.account)
+          };
+        case 'uri':
+          return {
+            status: 200,
+            content: this.uri(params.secret, params.account)
+          };
+        case 'generate':
+          return {
+            status: 200,
+            content: this.generate(params.secret, params.time)
+          };
+        case 'verify':
+          return await this.verify(params.secret, params.code, params.account);
+        case 'recoveryCodes':
+          return {
+            status: 200,
+            content: await this.generateRecoveryCodes(params.count)
+          };
+        case 'verifyRecoveryCode':
+          return await this.verifyRecoveryCode(params.code, params.hashes);
+        default:
+          throw new Error(`Unsupported action: ${params.action}`);
+      }
+    } catch (error) {
+      return {
+        status: 400,
+        content: `Error: ${error.message}`
+      };
+    }
+  }
+
+  /**
+   * Creates a random base32 secret to store with the account, and the provisioning
+   * URI to show as a QR code when an account is given.
+   * @param {string} [account] - The account name, e.g. an email address.
+   * @returns {Object} `{ secret, uri }`.
+   */
+  generateSecret(account) {
+    const secret = base32Encode(randomBytes(this.secretBytes));
+    return account ? { secret, uri: this.uri(secret, account) } : { secret };
+  }
+
+  uri(secret, account) {
+    if (!secret || !account) {
+      throw new Error('A secret and an account are required');
+    }
+    base32Decode(secret);
+    return provisioningUri({
+      secret,
+      account,
+      issuer: this.issuer,
+      algorithm: this.algorithm,
+      digits: this.digits,
+      period: this.period
+    });
+  }
+
+  step(time = Date.now()) {
+    return Math.floor(time / 1000 / this.period);
+  }
+
+  /**
+   * Computes the code for a time.
+   * @param {string} secret - The base32 secret.
+   * @param {number} [time] - Milliseconds since the epoch; defaults to now.
+   * @returns {string} The code.
+   */
+  generate(secret, time) {
+    if (!secret) {
+      throw new Error('A secret is required');
+    }
+    return hotp(base32Decode(secret), this.step(time), { digits: this.digits, algorithm: this.algorithm });
+  }
+
+  /**
+   * Verifies a code, accepting up to `window` steps of clock drift either way. Each
+   * accepted step is recorded per account, so a code cannot be used twice.
+   * @param {string} secret - The base32 secret.
+   * @param {string} code - The submitted code; spaces are ignored.
+   * @param {string} [account] - Scopes replay protection; defaults to the secret.
+   * @returns {Promise<Object>} 200 with `{ valid: true, delta }`, where delta is the drift
+   *   in steps, or 401 with `{ valid: false, code, message }` and code invalid-code or replayed.
+   */
+  async verify(secret, code, account) {
+    if (!secret) {
+      throw new Error('A secret is required');
+    }
+    const submitted = String(code ?? '').replace(/\s/g, '');
+    const key = base32Decode(secret);
+    const current = this.step();
+
+    let matched = null;
+    if (new RegExp(`^\\d{${this.digits}}$`).test(submitted)) {
+      // Every step in the window is checked so the timing does not reveal which one matched.
+      for (let delta = -this.window; delta <= this.window; delta++) {
+        const expected = hotp(key, current + delta, { digits: this.digits, algorithm: this.algorithm });
+        if (timingSafeEqual(Buffer.from(expected), Buffer.from(submitted)) && matched === null) {
+          matched = delta;
+        }
+      }
+    }
+    if (matched === null) {
+      return rejection('invalid-code', 'Invalid code');
+    }
+
+    const owner = account ?? createHash('sha256').update(key).digest('hex');
+    const step = current + matched;
+    const expiresAt = (step + this.window + 1) * this.period;
+    if (!(await this.usedSteps.add(`totp:${owner}:${step}`, expiresAt))) {
+      return rejection('replayed', 'Code has already been used');
+    }
+
+    return {
+      status: 200,
+      content: { valid: true, delta: matched }
+    };
+  }
+
+  /**
+   * Creates single-use recovery codes. Show `codes` to the user once and store only
+   * the bcrypt `hashes`.
+   * @param {number} [count] - Number of codes; defaults to recoveryCodeCount.
+   * @returns {Promise<Object>} `{ codes, hashes }`.
+   */
+  async generateRecoveryCodes(count = this.recoveryCodeCount) {
+    const codes = Array.from({ length: count }, () => {
+      const chars = Array.from({ length: RECOVERY_LENGTH }, () => RECOVERY_ALPHABET[randomInt(RECOVERY_ALPHABET.length)]);
+      return `${chars.slice(0, 5).join('')}-${chars.slice(5).join('')}`;
+    });
+
+    const hashes = [];
+    for (const code of codes) {
+      const result = await this.bcryptTool.hashPassword(normalizeRecoveryCode(code));
+      if (result.status !== 200) {
+        throw new Error(result.content);
+      }
+      hashes.push(result.content);
+    }
+    return { codes, hashes };
+  }
+
+  /**
+   * Checks a recovery code against the stored hashes. On success the remaining
+   * hashes are returned; store them in place of the old list so the code cannot be reused.
+   * @param {string} code - The submitted code; case, spaces and dashes are ignored.
+   * @param {Array<string>} hashes - The stored hashes.
+   * @returns {Promise<Object>} 200 with `{ valid: true, remaining }` or 401 with code invalid-code.
+   */
+  async verifyRecoveryCode(code, hashes) {
+    if (!Array.isArray(hashes)) {
+      throw new Error('The stored recovery code hashes are required');
+    }
+    const submitted = normalizeRecoveryCode(code ?? '');
+
+    if (submitted.length === RECOVERY_LENGTH) {
+      for (const [index, hash] of hashes.entries()) {
+        const result = await this.bcryptTool.comparePassword(submitted, hash);
+        if (result.content === true) {
+          return {
+            status: 200,
+            content: { valid: true, remaining: hashes.filter((_, other) => other !== index) }
+          };
+        }
+      }
+    }
+    return rejection('invalid-code', 'Invalid recovery code');
+  }
+
+  static init_schema() {
+    return {
+      issuer: { type: 'string', required: false },
+      algorithm: { type: 'string', required: false, enum: Object.keys(OTP_ALGORITHMS) },
+      digits: { type: 'number', required: false },
+      period: { type: 'number', required: false },
+      window: { type: 'number', required: false },
+      secretBytes: { type: 'number', required: false },
+      recoveryCodeCount: { type: 'number', required: false },
+      replay: { type: ['string', 'object'], required: false },
+      bcrypt: { type: 'object', required: false }
+    };
+  }
+
+  static in_schema() {
+    return {
+      action: {
+        type: 'string',
+        required: true,
+        enum: ['generateSecret', 'uri', 'generate', 'verify', 'recoveryCodes', 'verifyRecoveryCode']
+      },
+      secret: { type: 'string', required: false },
+      account: { type: 'string', required: false },
+      code: { type: 'string', required: false },
+      time: { type: 'number', required: false },
+      count: { type: 'number', required: false },
+      hashes: { type: 'array', required: false }
+    };
+  }
+
+  static out_schema() {
+    return {
+      type: 'object',
+      properties: {
+        status: { type: 'number' },
+        content: { type: 'any' }
+      }
+    };
+  }
+
+  static about() {
+    return 'This tool provides time-based one-time passwords (TOTP, RFC 6238) for two-factor authentication. It generates base32 secrets and otpauth:// provisioning URIs for authenticator apps, verifies codes with a configurable clock drift window and replay protection backed by an in-memory or sql_tool denylist, and generates single-use recovery codes that are stored as bcrypt hashes.';
+  }
+}
+
+function normalizeRecoveryCode(code) {
+  return String(code).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+function rejection(code, message) {
+  return {
+    status: 401,
+    content: { valid: false, code, message }
+  };
+}
+
+export const totp_tool = TotpTool;